@@ -69,12 +69,43 @@ upsert.run("auto_send_enabled", process.env.AUTO_SEND_ENABLED || "true");
 upsert.run("business_name", process.env.BUSINESS_NAME || "Mattress Overstock");
 upsert.run("retry_max", "3");
 upsert.run("retry_interval_minutes", "5");
+upsert.run("webhook_max_age_seconds", "300");
+upsert.run("intent_min_confidence", "0.75");
+upsert.run("intent_ai_enabled", "true");
+upsert.run("window_change_threshold_minutes", "60");
+upsert.run("handoff_escalation_minutes", "15");
+upsert.run("handoff_sla_time", "12:00");
+upsert.run("handoff_reminder_minutes", "60");
+upsert.run("reschedule_nudge_hours", "24");
+upsert.run("reschedule_escalate_hours", "48");
+upsert.run("reschedule_close_hours", "168");
+
+// Default confirmation text — Drew's six-line format, expressed as a template.
+// {{time_window}} renders as "between 7:00 and 9:00 AM"; {{delivery_day}} as
+// "tomorrow", or "on Monday" for a Saturday pilot send.
+const DEFAULT_SMS_TEMPLATE = [
+  "Hello! {{business_name}} here with a delivery update.",
+  "Your mattress delivery is scheduled {{delivery_day}} {{time_window}}.",
+  "Please reply YES if this time works for you.",
+  "If it does not, reply NO and a member of our team will follow up.",
+  "If the delivery window is not accepted, your delivery will need to be moved to a different day.",
+  "Thanks\u2014we look forward to delivering your mattress!",
+].join("\n");
+
+// The original seed was never actually sent (getSmsBody was hard-coded) —
+// swap it for the message customers have really been receiving.
+const LEGACY_SEED_TEMPLATE =
+  "Hi {{customer_first}}, your mattress delivery from {{business_name}} is confirmed for {{date}} between {{time_window}}. Your driver {{driver}} will text when en route. Reply STOP to opt out.";
+// The six-line default before the Saturday pilot — hard-coded "tomorrow"
+const PRE_PILOT_DEFAULT_TEMPLATE = DEFAULT_SMS_TEMPLATE.replace("scheduled {{delivery_day}} {{time_window}}", "scheduled for tomorrow {{time_window}}");
 
 const templateCount = db.prepare("SELECT COUNT(*) as count FROM sms_templates").get().count;
 if (templateCount === 0) {
-  db.prepare("INSERT INTO sms_templates (body, is_active) VALUES (?, 1)").run(
-    `Hi {{customer_first}}, your mattress delivery from {{business_name}} is confirmed for {{date}} between {{time_window}}. Your driver {{driver}} will text when en route. Reply STOP to opt out.`
-  );
+  db.prepare("INSERT INTO sms_templates (body, is_active) VALUES (?, 1)").run(DEFAULT_SMS_TEMPLATE);
+} else {
+  const upgradeSeed = db.prepare("UPDATE sms_templates SET body = ? WHERE is_active = 1 AND body = ?");
+  upgradeSeed.run(DEFAULT_SMS_TEMPLATE, LEGACY_SEED_TEMPLATE);
+  upgradeSeed.run(DEFAULT_SMS_TEMPLATE, PRE_PILOT_DEFAULT_TEMPLATE);
 }
 
 console.log("[DB] Database initialized at", DB_PATH);
@@ -176,4 +207,441 @@ try {
   }
 } catch(e) {}
 
+// ─── Send pauses (per delivery date and/or per store) ────
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS send_pauses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    delivery_date TEXT,
+    store TEXT,
+    reason TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_send_pauses_date ON send_pauses(delivery_date)"); } catch(e) {}
+
+// ─── Opt-out registry (phone-level SMS suppression) ──────
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS opt_outs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone TEXT NOT NULL UNIQUE,
+    opted_out_at TEXT,
+    opted_in_at TEXT,
+    source TEXT,
+    keyword TEXT,
+    notes TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+
+// Migration: carry existing per-notification STOP replies into the registry
+try { db.exec(`
+  INSERT OR IGNORE INTO opt_outs (phone, source, keyword, opted_out_at)
+  SELECT phone, 'sms', 'STOP', MAX(COALESCE(response_at, updated_at))
+  FROM notifications WHERE customer_response = 'stop' GROUP BY phone
+`); } catch(e) {}
+
+// ─── Webhook replay protection (event IDs seen in the last 7 days) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    event_id TEXT NOT NULL,
+    received_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(source, event_id)
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_webhook_events_received ON webhook_events(received_at)"); } catch(e) {}
+
+// ─── Webhook inbox (raw Spoke/Quo events, processed by a background worker) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_inbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    event_id TEXT,
+    event_type TEXT,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'received',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TEXT,
+    received_at TEXT DEFAULT (datetime('now')),
+    processed_at TEXT,
+    updated_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_webhook_inbox_status ON webhook_inbox(status, next_attempt_at)"); } catch(e) {}
+
+// ─── Stores (sale-number prefix → store, review links, delivery days) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS stores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT NOT NULL UNIQUE,
+    sale_prefix TEXT UNIQUE,
+    name TEXT NOT NULL,
+    display_name TEXT NOT NULL,
+    review_url TEXT,
+    solicit_reviews INTEGER DEFAULT 1,
+    delivery_days TEXT DEFAULT '[]',
+    flexible_days TEXT DEFAULT '[]',
+    flexible_note TEXT,
+    staff_phones TEXT DEFAULT '[]',
+    color TEXT,
+    active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+
+// Seed the original five stores (previously hard-coded in spoke.js, sync.js,
+// sale-review.js and reschedule.js). Day numbers: 0=Sun … 6=Sat.
+if (db.prepare("SELECT COUNT(*) as c FROM stores").get().c === 0) {
+  const seedStore = db.prepare(`
+    INSERT INTO stores (slug, sale_prefix, name, display_name, review_url, solicit_reviews, delivery_days, flexible_days, flexible_note, staff_phones, color)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  // Staff texts are routed by the staff directory (services/staff.js), not per store
+  const staff = "[]";
+  seedStore.run("other", "1", "Other", "Mattress Overstock", null, 0, "[]", "[]", null, staff, "#64748b");
+  seedStore.run("lexington", "2", "Nicholasville Rd", "Mattress Overstock - Nicholasville Road", "https://g.page/r/CRCnucIb-t91EBM/review", 1, "[2,4,6]", "[]", null, staff, "#c084fc");
+  seedStore.run("georgetown", "3", "Georgetown", "Mattress Overstock - Georgetown", "https://g.page/r/CZQNrg3DMJIdEBM/review", 1, "[2,4,6]", "[]", null, staff, "#38bdf8");
+  seedStore.run("somerset", "4", "Somerset", "Mattress Overstock - Somerset", "https://g.page/r/CcHG8jVFzOK1EBM/review", 1, "[5]", "[]", null, staff, "#818cf8");
+  seedStore.run("london", "5", "London", "Mattress Overstock - London", "https://g.page/r/CW69HHcXCceJEBM/review", 1, "[3]", "[5]", "We can occasionally do Fridays if you need it.", staff, "#f472b6");
+}
+
+// ─── Blackout calendar (company-wide or per-store closures) ───
+// kind: 'date' (one day) | 'annual' (month/day) | 'nth_weekday' (month/weekday/week, -1 = last)
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS blackouts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL DEFAULT 'date',
+    date TEXT,
+    month INTEGER,
+    day INTEGER,
+    weekday INTEGER,
+    week INTEGER,
+    offset_days INTEGER DEFAULT 0,
+    store TEXT,
+    reason TEXT,
+    category TEXT DEFAULT 'closure',
+    created_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+
+// Seed the holidays from the old BLACKOUT_DATES list as recurring rules
+if (db.prepare("SELECT COUNT(*) as c FROM blackouts").get().c === 0) {
+  const seedHoliday = db.prepare(`
+    INSERT INTO blackouts (kind, month, day, weekday, week, offset_days, reason, category)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'holiday')
+  `);
+  seedHoliday.run("nth_weekday", 11, null, 4, 4, 0, "Thanksgiving");
+  seedHoliday.run("nth_weekday", 11, null, 4, 4, 1, "Day after Thanksgiving");
+  seedHoliday.run("annual", 12, 24, null, null, 0, "Christmas Eve");
+  seedHoliday.run("annual", 12, 25, null, null, 0, "Christmas Day");
+  seedHoliday.run("annual", 12, 31, null, null, 0, "New Year's Eve");
+  seedHoliday.run("annual", 1, 1, null, null, 0, "New Year's Day");
+  seedHoliday.run("nth_weekday", 5, null, 1, -1, 0, "Memorial Day");
+  seedHoliday.run("annual", 7, 4, null, null, 0, "Independence Day");
+  seedHoliday.run("nth_weekday", 9, null, 1, 1, 0, "Labor Day");
+}
+
+// ─── Scheduler runs (one row per send slot / staff summary, survives restarts) ───
+// status: running | completed | failed | skipped | missed
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS scheduler_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    run_key TEXT NOT NULL UNIQUE,
+    job TEXT NOT NULL,
+    run_date TEXT NOT NULL,
+    slot_key TEXT,
+    slot_time TEXT,
+    delivery_date TEXT,
+    stores TEXT,
+    exclude_stores TEXT,
+    trigger TEXT DEFAULT 'schedule',
+    status TEXT DEFAULT 'running',
+    locked_by TEXT,
+    heartbeat_at TEXT,
+    in_flight_notification_id INTEGER,
+    attempts INTEGER DEFAULT 1,
+    sent INTEGER DEFAULT 0,
+    failed INTEGER DEFAULT 0,
+    suppressed INTEGER DEFAULT 0,
+    held INTEGER DEFAULT 0,
+    detail TEXT,
+    error TEXT,
+    started_at TEXT DEFAULT (datetime('now')),
+    finished_at TEXT
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_scheduler_runs_date ON scheduler_runs(run_date, job)"); } catch(e) {}
+
+// ─── Carrier delivery status (Quo message.delivered / failure events + poller) ───
+// carrier_status: accepted | queued | sent | delivered | undelivered | failed
+try { db.exec("ALTER TABLE notifications ADD COLUMN carrier_status TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN carrier_error TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN carrier_status_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN review_message_id TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN review_carrier_status TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN review_carrier_error TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN review_carrier_status_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE sale_reviews ADD COLUMN carrier_status TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE sale_reviews ADD COLUMN carrier_error TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE sale_reviews ADD COLUMN carrier_status_at TEXT"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_notifications_quo_message ON notifications(quo_message_id)"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_notifications_review_message ON notifications(review_message_id)"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_sale_reviews_quo_message ON sale_reviews(quo_message_id)"); } catch(e) {}
+
+// ─── Message ledger (every SMS in or out — see services/messages.js) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    direction TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    body TEXT,
+    purpose TEXT,
+    notification_id INTEGER,
+    sale_review_id INTEGER,
+    quo_message_id TEXT,
+    status TEXT,
+    error TEXT,
+    carrier_status TEXT,
+    carrier_error TEXT,
+    carrier_status_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_messages_phone ON messages(phone, created_at)"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_messages_notification ON messages(notification_id)"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_messages_created ON messages(created_at)"); } catch(e) {}
+try { db.exec("CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_quo_id ON messages(quo_message_id) WHERE quo_message_id IS NOT NULL"); } catch(e) {}
+try { db.exec("ALTER TABLE messages ADD COLUMN sent_by TEXT"); } catch(e) {}
+
+// Reply classification (see services/intent.js) — latest reply to the delivery text
+try { db.exec("ALTER TABLE notifications ADD COLUMN reply_text TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN reply_intent TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN reply_confidence REAL"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN reply_intent_source TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN reply_classified_at TEXT"); } catch(e) {}
+
+// Reply correlation (see services/reply-correlation.js) — which delivery each reply resolved to
+try { db.exec("ALTER TABLE messages ADD COLUMN match_method TEXT"); } catch(e) {}
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS reply_disambiguations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone TEXT NOT NULL,
+    message_id INTEGER,
+    reply_text TEXT NOT NULL,
+    intent TEXT NOT NULL,
+    candidate_ids TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    resolved_notification_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now')),
+    resolved_at TEXT
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_reply_disambiguations_phone ON reply_disambiguations(phone, status)"); } catch(e) {}
+
+// ─── Inbox threads (one per phone — read state, assignment, needs-reply flag; see services/inbox.js) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS inbox_threads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone TEXT NOT NULL UNIQUE,
+    status TEXT DEFAULT 'open',
+    needs_reply INTEGER DEFAULT 0,
+    assigned_to TEXT,
+    assigned_at TEXT,
+    last_read_at TEXT,
+    last_inbound_at TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_inbox_threads_status ON inbox_threads(status, needs_reply)"); } catch(e) {}
+
+// ─── Notification state machines (see services/notification-state.js) ───
+// status is the message only; confirmation and delivery get their own columns
+try { db.exec("ALTER TABLE notifications ADD COLUMN confirmation_status TEXT DEFAULT 'unconfirmed'"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN confirmation_status_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN delivery_status TEXT DEFAULT 'queued'"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN delivery_status_at TEXT"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_notifications_confirmation ON notifications(confirmation_status)"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_notifications_delivery ON notifications(delivery_status)"); } catch(e) {}
+
+// Migration: confirmation from the customer's recorded reply
+try { db.exec(`
+  UPDATE notifications SET
+    confirmation_status = CASE customer_response WHEN 'yes' THEN 'confirmed' WHEN 'no' THEN 'declined' ELSE 'opted_out' END,
+    confirmation_status_at = COALESCE(response_at, updated_at)
+  WHERE COALESCE(confirmation_status, 'unconfirmed') = 'unconfirmed' AND customer_response IN ('yes', 'no', 'stop')
+`); } catch(e) {}
+
+// Migration: the old status 'delivered' meant the text went out and then either
+// the truck delivered (review sent / delivery_complete logged) or the customer
+// replied YES — only the first is a delivery
+try { db.exec(`
+  UPDATE notifications SET
+    delivery_status = CASE WHEN review_sent_at IS NOT NULL OR id IN (
+      SELECT notification_id FROM activity_log
+      WHERE type IN ('delivery_complete', 'review_request_sent') AND notification_id IS NOT NULL
+    ) THEN 'delivered' ELSE COALESCE(delivery_status, 'queued') END,
+    delivery_status_at = CASE WHEN review_sent_at IS NOT NULL THEN review_sent_at ELSE delivery_status_at END,
+    status = 'sent'
+  WHERE status = 'delivered'
+`); } catch(e) {}
+
+// Failed delivery attempts (see webhooks/spoke.js) — Spoke's reason for the miss
+try { db.exec("ALTER TABLE notifications ADD COLUMN delivery_failure_reason TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN delivery_attempted_at TEXT"); } catch(e) {}
+
+// Delivery-day texts (see services/en-route.js) — per-store switches, live ETA and window updates
+try { db.exec("ALTER TABLE stores ADD COLUMN en_route_texts INTEGER DEFAULT 1"); } catch(e) {}
+try { db.exec("ALTER TABLE stores ADD COLUMN eta_update_texts INTEGER DEFAULT 1"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN en_route_sent_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN live_eta TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN live_eta_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN original_time_window TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN window_updated_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN window_update_count INTEGER DEFAULT 0"); } catch(e) {}
+
+// ─── Window history (promised window changes after the text went out; see services/window-changes.js) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS window_changes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    notification_id INTEGER NOT NULL,
+    old_window TEXT,
+    new_window TEXT NOT NULL,
+    old_time TEXT,
+    new_time TEXT,
+    shift_minutes INTEGER,
+    source TEXT NOT NULL,
+    status TEXT NOT NULL,
+    message_id INTEGER,
+    created_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_window_changes_notification ON window_changes(notification_id)"); } catch(e) {}
+
+// Removed stops (see services/cancellations.js) — prior status for restores, customer notice approval
+try { db.exec("ALTER TABLE notifications ADD COLUMN cancelled_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN cancelled_from TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN cancel_notice_status TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN cancel_notice_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN cancel_notice_by TEXT"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_notifications_cancel_notice ON notifications(cancel_notice_status)"); } catch(e) {}
+try { db.exec("ALTER TABLE stores ADD COLUMN auto_cancel_notices INTEGER DEFAULT 0"); } catch(e) {}
+
+// ─── Staff directory (who gets summaries, alerts and handoffs; see services/staff.js) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS staff (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    phone TEXT NOT NULL UNIQUE,
+    role TEXT NOT NULL DEFAULT 'dispatcher',
+    stores TEXT DEFAULT '[]',
+    duty_days TEXT DEFAULT '[0,1,2,3,4,5,6]',
+    duty_start TEXT,
+    duty_end TEXT,
+    gets_summary INTEGER DEFAULT 1,
+    gets_alerts INTEGER DEFAULT 1,
+    gets_handoffs INTEGER DEFAULT 1,
+    active INTEGER DEFAULT 1,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+
+// Seed from the STAFF_PHONES env var (comma-separated, the old 9 PM summary
+// list) as dispatchers, if set; any number in a store's legacy staff_phones
+// becomes a store manager for those stores. Otherwise start empty.
+if (db.prepare("SELECT COUNT(*) as c FROM staff").get().c === 0) {
+  const seedStaff = db.prepare("INSERT OR IGNORE INTO staff (name, phone, role, stores) VALUES (?, ?, ?, ?)");
+  for (const raw of (process.env.STAFF_PHONES || "").split(",")) {
+    let phone = raw.replace(/[^\d+]/g, "");
+    if (phone.length === 10) phone = "+1" + phone;
+    if (phone.length === 11 && phone.startsWith("1")) phone = "+" + phone;
+    if (phone) seedStaff.run(`Staff ${phone.slice(-4)}`, phone, "dispatcher", "[]");
+  }
+
+  const managers = {};
+  for (const store of db.prepare("SELECT slug, staff_phones FROM stores").all()) {
+    let phones = [];
+    try { phones = JSON.parse(store.staff_phones || "[]"); } catch (e) {}
+    for (const phone of phones) (managers[phone] = managers[phone] || []).push(store.slug);
+  }
+  for (const [phone, stores] of Object.entries(managers)) {
+    seedStaff.run(`Manager ${phone.slice(-4)}`, phone, "store_manager", JSON.stringify(stores));
+  }
+}
+
+// ─── Handoff alerts (HUMAN NEEDED texts, escalated until someone takes them; see services/staff-alerts.js) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS handoff_alerts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    notification_id INTEGER,
+    store TEXT,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    role TEXT,
+    notified TEXT DEFAULT '[]',
+    escalations INTEGER DEFAULT 0,
+    last_sent_at TEXT,
+    acknowledged_at TEXT,
+    acknowledged_by TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_handoff_alerts_status ON handoff_alerts(status, last_sent_at)"); } catch(e) {}
+
+// ─── Handoff queue (customers promised a person, tracked until resolved; see services/handoffs.js) ───
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS handoffs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    notification_id INTEGER NOT NULL,
+    customer_name TEXT,
+    phone TEXT,
+    store TEXT,
+    reason TEXT NOT NULL,
+    detail TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    sla_due_at TEXT NOT NULL,
+    claimed_by TEXT,
+    claimed_at TEXT,
+    resolved_by TEXT,
+    resolved_at TEXT,
+    outcome TEXT,
+    resolution_note TEXT,
+    reminder_count INTEGER DEFAULT 0,
+    last_reminder_at TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+  )
+`); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_handoffs_status ON handoffs(status, sla_due_at)"); } catch(e) {}
+try { db.exec("CREATE INDEX IF NOT EXISTS idx_handoffs_notification ON handoffs(notification_id)"); } catch(e) {}
+
+// Staff takeover of a rescheduling conversation (conversation_state 'staff'; see services/reschedule.js)
+try { db.exec("ALTER TABLE notifications ADD COLUMN conversation_taken_by TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN conversation_taken_at TEXT"); } catch(e) {}
+
+// Quiet rescheduling conversations — nudge, escalate, close (see services/conversation-lifecycle.js)
+try { db.exec("ALTER TABLE notifications ADD COLUMN reschedule_nudged_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN reschedule_escalated_at TEXT"); } catch(e) {}
+try { db.exec("ALTER TABLE notifications ADD COLUMN conversation_closed_at TEXT"); } catch(e) {}
+
+// ─── Delivery capacity (max stops per store and date; see services/capacity.js) ───
+// stores.capacity: weekday → max stops, e.g. {"6": 25}; a missing weekday is unlimited
+try { db.exec("ALTER TABLE stores ADD COLUMN capacity TEXT DEFAULT '{}'"); } catch(e) {}
+try { db.exec(`
+  CREATE TABLE IF NOT EXISTS capacity_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    store TEXT NOT NULL,
+    date TEXT NOT NULL,
+    max_stops INTEGER NOT NULL,
+    note TEXT,
+    created_by TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(store, date)
+  )
+`); } catch(e) {}
+
 module.exports = db;
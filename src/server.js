@@ -4,13 +4,33 @@ const cors = require("cors");
 const path = require("path");
 const fetch = require("node-fetch");
 const db = require("./database");
-const { handleSpokeWebhook } = require("./webhooks/spoke");
+const { handleTestStops } = require("./webhooks/spoke");
+const { verifyWebhook } = require("./webhooks/verify");
 const { sendSms, getQuoStatus } = require("./services/quo");
-const { getSmsBody, isSendDay, isDeliveryDay } = require("./services/templates");
+const { getSmsBody, renderTemplate, validateTemplate, getActiveTemplate } = require("./services/templates");
 const { startScheduler, executeDailySend, executeStaffSummary, getSchedulerStatus } = require("./services/scheduler");
-const { handleRescheduleMessage, startRescheduleConversation } = require("./services/reschedule");
+const { listRuns, getRun } = require("./services/scheduler-runs");
+const { searchMessages, getTimeline } = require("./services/messages");
+const { pollCarrierStatus, getUndeliveredConfirmations, startCarrierStatusPoller } = require("./services/delivery-status");
+const { startRetryWorker } = require("./services/retry");
+const { listPauses, addPause, removePause, getHoldReason, isAutoSendEnabled } = require("./services/pauses");
+const { optOut, optIn, listOptOuts, isOptedOut } = require("./services/optout");
+const { listStores, getStore, createStore, updateStore } = require("./services/stores");
+const { listBlackouts, getUpcomingBlackouts, addBlackout, removeBlackout } = require("./services/blackouts");
+const { getCapacityCalendar, listCapacityOverrides, setCapacityOverride, removeCapacityOverride } = require("./services/capacity");
+const { getSchedule, saveSchedule, setOverride, removeOverride, getScheduleWarnings, isDeliveryDay, getDeliveryDateForSend } = require("./services/schedule");
+const { enqueueWebhook, replayEntry, listEntries, getInboxCounts, startInboxWorker } = require("./services/webhook-inbox");
 const { syncRoutes, startAutoSync, registerPlan, getTrackedPlans } = require("./services/sync");
 const { processSaleReview, recordClick, getComparisonData } = require("./services/sale-review");
+const { listThreads, getThreadCounts, getThread, markThreadRead, assignThread, setThreadStatus, sendReply } = require("./services/inbox");
+const { takeOverConversation, resumeConversation, confirmDateForCustomer } = require("./services/reschedule");
+const { startConversationWorker } = require("./services/conversation-lifecycle");
+const { canTransition, transition, fromLegacy, CONFIRMATION_STATUSES, DELIVERY_STATUSES } = require("./services/notification-state");
+const { getWindowHistory } = require("./services/window-changes");
+const { listCancellations, sendCancellationNotice, dismissCancellationNotice, NOTICE_STATUSES } = require("./services/cancellations");
+const { listStaff, createStaff, updateStaff, removeStaff } = require("./services/staff");
+const { listAlerts, acknowledgeAlert, getEscalationMinutes, startEscalationWorker, ALERT_STATUSES } = require("./services/staff-alerts");
+const { listHandoffs, getHandoffCounts, claimHandoff, resolveHandoff, startHandoffWorker, STATUSES: HANDOFF_STATUSES, OUTCOMES: HANDOFF_OUTCOMES, REASONS: HANDOFF_REASONS } = require("./services/handoffs");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -69,12 +89,13 @@ async function updateSpokeStopNotes(stopId, notes) {
 
 // ─── Middleware ───────────────────────────────────────────
 app.use(cors());
-app.use(express.json());
+// Keep the raw body for webhook signature checks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, "../public")));
 
 // ─── Authentication ─────────────────────────────────────
 function requireAuth(req, res, next) {
-  // Public paths — no auth needed
+  // Public paths — no auth needed (webhooks are signature-checked by verifyWebhook)
   if (req.path === "/api/health") return next();
   if (req.path === "/api/spoke/webhook") return next();
   if (req.path === "/api/quo/webhook") return next();
@@ -124,16 +145,24 @@ app.get("/api/health", (req, res) => {
 // ─── Spoke Dispatch Webhook Endpoint ─────────────────────
 // Configure this URL in Spoke Dispatch: Settings > Integrations > Webhooks
 // URL: https://your-app.up.railway.app/api/spoke/webhook
-app.post("/api/spoke/webhook", async (req, res) => {
+// Stored in the webhook inbox and acknowledged right away — the inbox worker
+// does the Spoke REST lookups and retries on failure.
+app.post("/api/spoke/webhook", verifyWebhook("spoke"), (req, res) => {
   console.log("[Webhook] Received Spoke Dispatch event:", JSON.stringify(req.body).substring(0, 200));
+  const entryId = enqueueWebhook("spoke", req.body, req.webhookEventId);
+  res.status(200).json({ received: true, inboxId: entryId });
+});
 
+// Manual/test stop import — { stop: {...} } or [stop, ...] (admin auth required)
+app.post("/api/spoke/test-stop", async (req, res) => {
   try {
-    const result = await handleSpokeWebhook(req.body, req.headers);
-    res.status(200).json({ received: true, processed: result.processed });
+    const result = await handleTestStops(req.body);
+    if (result.processed === 0 && result.errors.length === 0) {
+      return res.status(400).json({ error: "Send { stop: {...} } or an array of stops" });
+    }
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error("[Webhook] Error processing:", err.message);
-    // Always return 200 to prevent Spoke from retrying
-    res.status(200).json({ received: true, error: err.message });
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -141,7 +170,7 @@ app.post("/api/spoke/webhook", async (req, res) => {
 
 // List all notifications (with optional filters)
 app.get("/api/notifications", (req, res) => {
-  const { store, status, date, limit = 50, offset = 0 } = req.query;
+  const { store, status, confirmation, delivery, date, limit = 50, offset = 0 } = req.query;
   let query = "SELECT * FROM notifications WHERE 1=1";
   const params = [];
 
@@ -151,12 +180,20 @@ app.get("/api/notifications", (req, res) => {
   }
   if (status) {
     if (status === 'rescheduling') {
-      query += " AND conversation_state = 'rescheduling'";
+      query += " AND conversation_state IN ('rescheduling', 'staff')";
     } else {
       query += " AND status = ?";
       params.push(status);
     }
   }
+  if (confirmation && CONFIRMATION_STATUSES.includes(confirmation)) {
+    query += " AND confirmation_status = ?";
+    params.push(confirmation);
+  }
+  if (delivery && DELIVERY_STATUSES.includes(delivery)) {
+    query += " AND delivery_status = ?";
+    params.push(delivery);
+  }
   if (date) {
     query += " AND scheduled_date = ?";
     params.push(date);
@@ -165,7 +202,13 @@ app.get("/api/notifications", (req, res) => {
   query += " ORDER BY created_at DESC LIMIT ? OFFSET ?";
   params.push(Number(limit), Number(offset));
 
-  const notifications = db.prepare(query).all(...params);
+  // The kill switch only stops the automatic sends (a manual send still goes
+  // out), so it's reported here rather than in getHoldReason()
+  const autoSendOff = !isAutoSendEnabled();
+  const notifications = db.prepare(query).all(...params).map((n) => ({
+    ...n,
+    hold_reason: n.status === "pending" ? getHoldReason(n) || (autoSendOff ? "Auto-send is turned off" : null) : null,
+  }));
   const total = db
     .prepare(query.replace(/SELECT \*/, "SELECT COUNT(*) as count").replace(/ORDER BY.*/, ""))
     .get(...params.slice(0, -2));
@@ -177,7 +220,7 @@ app.get("/api/notifications", (req, res) => {
 app.get("/api/notifications/:id", (req, res) => {
   const notification = db.prepare("SELECT * FROM notifications WHERE id = ?").get(req.params.id);
   if (!notification) return res.status(404).json({ error: "Not found" });
-  res.json(notification);
+  res.json({ ...notification, window_changes: getWindowHistory(notification.id) });
 });
 
 // Delete a notification
@@ -186,6 +229,7 @@ app.delete("/api/notifications/:id", (req, res) => {
   if (!notification) return res.status(404).json({ error: "Not found" });
   db.prepare("DELETE FROM notifications WHERE id = ?").run(req.params.id);
   db.prepare("DELETE FROM activity_log WHERE notification_id = ?").run(req.params.id);
+  db.prepare("DELETE FROM window_changes WHERE notification_id = ?").run(req.params.id);
   logActivity("notification_deleted", `Deleted: ${notification.customer_name} — ${notification.scheduled_date} ${notification.time_window}`);
   res.json({ success: true, deleted: notification.id });
 });
@@ -194,77 +238,102 @@ app.delete("/api/notifications/:id", (req, res) => {
 app.post("/api/notifications/:id/send", async (req, res) => {
   const notification = db.prepare("SELECT * FROM notifications WHERE id = ?").get(req.params.id);
   if (!notification) return res.status(404).json({ error: "Not found" });
+  if (!canTransition("message", notification.status, "sent")) {
+    return res.status(409).json({ error: `Can't send a ${notification.status} notification` });
+  }
 
   try {
     const smsBody = getSmsBody(notification);
-    const result = await sendSms(notification.phone, smsBody);
-
-    db.prepare(
-      "UPDATE notifications SET status = ?, sent_at = ?, quo_message_id = ?, retry_count = retry_count + 1, updated_at = ? WHERE id = ?"
-    ).run("sent", new Date().toISOString(), result.messageId || null, new Date().toISOString(), notification.id);
+    const result = await sendSms(notification.phone, smsBody, { notificationId: notification.id, purpose: "confirmation" });
+
+    transition(notification.id, "message", "sent", {
+      fields: {
+        sent_at: new Date().toISOString(),
+        quo_message_id: result.messageId || null,
+        carrier_status: "accepted",
+        carrier_error: null,
+        carrier_status_at: new Date().toISOString(),
+        retry_count: (notification.retry_count || 0) + 1,
+      },
+    });
 
     logActivity("sms_sent", `SMS sent to ${notification.customer_name}`, notification.id);
     res.json({ success: true, messageId: result.messageId });
   } catch (err) {
-    db.prepare("UPDATE notifications SET status = ?, error_message = ?, retry_count = retry_count + 1, updated_at = ? WHERE id = ?").run(
-      "failed",
-      err.message,
-      new Date().toISOString(),
-      notification.id
-    );
+    if (err.code === "OPTED_OUT") {
+      transition(notification.id, "message", "suppressed", { fields: { error_message: err.message } });
+      return res.status(409).json({ error: `${notification.customer_name} has opted out of texts` });
+    }
+    // A failed re-send of a text that already went out leaves it 'sent'
+    if (notification.status !== "sent") {
+      transition(notification.id, "message", "failed", {
+        fields: { error_message: err.message, retry_count: (notification.retry_count || 0) + 1 },
+      });
+    }
     logActivity("sms_failed", `SMS failed for ${notification.customer_name}: ${err.message}`, notification.id);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Send all pending notifications
-app.post("/api/notifications/actions/send-all-pending", async (req, res) => {
-  // Only send notifications for the next delivery day
-  const now = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().split("T")[0];
+// Stops removed from Spoke (filter by notice — e.g. ?notice=held for approvals)
+app.get("/api/cancellations", (req, res) => {
+  const { notice, limit } = req.query;
+  if (notice && !NOTICE_STATUSES.includes(notice)) return res.status(400).json({ error: `notice must be one of: ${NOTICE_STATUSES.join(", ")}` });
+  res.json({ cancellations: listCancellations({ notice, limit }) });
+});
 
-  const pending = db.prepare("SELECT * FROM notifications WHERE status = 'pending' AND scheduled_date = ?").all(tomorrowStr);
-  const results = { sent: 0, failed: 0, errors: [] };
+// Approve (send) a held or failed cancellation notice — { sentBy }
+app.post("/api/notifications/:id/cancel-notice", async (req, res) => {
+  const notification = db.prepare("SELECT id FROM notifications WHERE id = ?").get(req.params.id);
+  if (!notification) return res.status(404).json({ error: "Not found" });
+  try {
+    const result = await sendCancellationNotice(notification.id, { sentBy: req.body?.sentBy || null });
+    if (result.status === "failed") return res.status(502).json({ error: result.error, status: result.status });
+    res.json({ success: true, status: result.status });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
+  }
+});
 
-  for (const notification of pending) {
-    try {
-      const smsBody = getSmsBody(notification);
-      const result = await sendSms(notification.phone, smsBody);
-
-      db.prepare(
-        "UPDATE notifications SET status = ?, sent_at = ?, quo_message_id = ?, updated_at = ? WHERE id = ?"
-      ).run("sent", new Date().toISOString(), result.messageId || null, new Date().toISOString(), notification.id);
-
-      logActivity("sms_sent", `SMS sent to ${notification.customer_name}`, notification.id);
-      results.sent++;
-    } catch (err) {
-      db.prepare("UPDATE notifications SET status = ?, error_message = ?, updated_at = ? WHERE id = ?").run(
-        "failed",
-        err.message,
-        new Date().toISOString(),
-        notification.id
-      );
-      logActivity("sms_failed", `SMS failed for ${notification.customer_name}: ${err.message}`, notification.id);
-      results.failed++;
-      results.errors.push({ id: notification.id, error: err.message });
-    }
+// Drop a held cancellation notice (e.g. staff called instead) — { dismissedBy }
+app.post("/api/notifications/:id/cancel-notice/dismiss", (req, res) => {
+  const notification = db.prepare("SELECT id FROM notifications WHERE id = ?").get(req.params.id);
+  if (!notification) return res.status(404).json({ error: "Not found" });
+  try {
+    res.json({ success: true, notification: dismissCancellationNotice(notification.id, { dismissedBy: req.body?.dismissedBy || null }) });
+  } catch (err) {
+    res.status(409).json({ error: err.message });
   }
+});
 
-  res.json(results);
+// Send all pending notifications
+app.post("/api/notifications/actions/send-all-pending", async (req, res) => {
+  // Same as a manual scheduler send: the next delivery day (Monday from a pilot
+  // Saturday), recorded and locked as a run so it can't overlap the 6 PM send
+  try {
+    res.json(await executeDailySend());
+  } catch (err) {
+    res.status(err.code === "SEND_IN_PROGRESS" ? 409 : 500).json({ error: err.message });
+  }
 });
 
 // ─── SMS Template API ────────────────────────────────────
 app.get("/api/template", (req, res) => {
-  const template = db.prepare("SELECT * FROM sms_templates WHERE is_active = 1").get();
-  res.json(template || { body: "Hi {{customer_first}}, your mattress delivery from {{business_name}} is confirmed for {{date}} between {{time_window}}. Your driver {{driver}} will text when en route. Reply STOP to opt out." });
+  res.json(getActiveTemplate() || { body: "" });
 });
 
 app.put("/api/template", (req, res) => {
   const { body } = req.body;
   if (!body) return res.status(400).json({ error: "Template body required" });
 
+  const check = validateTemplate(body);
+  if (!check.valid) {
+    return res.status(400).json({
+      error: `Unknown template variable${check.unknown.length > 1 ? "s" : ""}: ${check.unknown.map((v) => `{{${v}}}`).join(", ")}`,
+      unknown: check.unknown,
+    });
+  }
+
   // Deactivate existing
   db.prepare("UPDATE sms_templates SET is_active = 0").run();
   // Insert new
@@ -274,6 +343,21 @@ app.put("/api/template", (req, res) => {
   res.json({ success: true });
 });
 
+// Render the active template against a real notification
+app.get("/api/template/preview/:notificationId", (req, res) => {
+  const notification = db.prepare("SELECT * FROM notifications WHERE id = ?").get(req.params.notificationId);
+  if (!notification) return res.status(404).json({ error: "Not found" });
+
+  const template = getActiveTemplate();
+  if (!template) return res.status(404).json({ error: "No active template" });
+
+  res.json({
+    notificationId: notification.id,
+    template: template.body,
+    body: renderTemplate(template.body, notification),
+  });
+});
+
 // ─── Activity Log API ────────────────────────────────────
 app.get("/api/activity", (req, res) => {
   const { limit = 30, hours } = req.query;
@@ -298,10 +382,10 @@ app.get("/api/stats", (req, res) => {
   tomorrow.setDate(tomorrow.getDate() + 1);
   const tomorrowStr = tomorrow.toISOString().split("T")[0];
 
-  // Next delivery date (skip Sun/Mon)
+  // Next delivery date (skip days no send covers — Sun/Mon by default)
   let nextDelivery = new Date(estNow);
   nextDelivery.setDate(nextDelivery.getDate() + 1);
-  while (nextDelivery.getDay() === 0 || nextDelivery.getDay() === 1) {
+  for (let i = 0; i < 7 && !isDeliveryDay(nextDelivery); i++) {
     nextDelivery.setDate(nextDelivery.getDate() + 1);
   }
   const nextDeliveryStr = nextDelivery.toISOString().split("T")[0];
@@ -310,9 +394,11 @@ app.get("/api/stats", (req, res) => {
   const todayDeliveries = {
     date: today,
     total: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ?").get(today).count,
-    confirmed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND customer_response = 'yes'").get(today).count,
-    declined: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND customer_response = 'no'").get(today).count,
-    delivered: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'delivered'").get(today).count,
+    confirmed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND confirmation_status = 'confirmed'").get(today).count,
+    declined: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND confirmation_status = 'declined'").get(today).count,
+    enRoute: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND delivery_status = 'en_route'").get(today).count,
+    delivered: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND delivery_status = 'delivered'").get(today).count,
+    attemptedFailed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND delivery_status = 'attempted_failed'").get(today).count,
   };
 
   // Next delivery day stats (the main view)
@@ -320,25 +406,26 @@ app.get("/api/stats", (req, res) => {
   const nextDay = {
     date: nd,
     total: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled'").get(nd).count,
-    sent: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status IN ('sent','delivered')").get(nd).count,
+    sent: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'sent'").get(nd).count,
     pending: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'pending'").get(nd).count,
-    failed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'failed'").get(nd).count,
-    confirmed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND customer_response = 'yes'").get(nd).count,
-    declined: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND customer_response = 'no'").get(nd).count,
+    failed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status IN ('failed','failed_permanent')").get(nd).count,
+    confirmed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled' AND confirmation_status = 'confirmed'").get(nd).count,
+    declined: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled' AND confirmation_status = 'declined'").get(nd).count,
+    noReply: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'sent' AND confirmation_status = 'unconfirmed'").get(nd).count,
     cancelled: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'cancelled'").get(nd).count,
-    rescheduling: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND conversation_state = 'rescheduling'").get(nd).count,
+    rescheduling: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND conversation_state IN ('rescheduling', 'staff')").get(nd).count,
+    undelivered: getUndeliveredConfirmations(nd).length,
   };
-  nextDay.noReply = nextDay.sent - nextDay.confirmed - nextDay.declined;
-
   const stats = {
     allTime: {
       total: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status != 'cancelled'").get().count,
       sent: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status = 'sent'").get().count,
       pending: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status = 'pending'").get().count,
-      failed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status = 'failed'").get().count,
-      delivered: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status = 'delivered'").get().count,
-      confirmedYes: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE customer_response = 'yes'").get().count,
-      declinedNo: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE customer_response = 'no'").get().count,
+      failed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status IN ('failed','failed_permanent')").get().count,
+      delivered: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE delivery_status = 'delivered'").get().count,
+      attemptedFailed: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE delivery_status = 'attempted_failed'").get().count,
+      confirmedYes: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE confirmation_status = 'confirmed'").get().count,
+      declinedNo: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE confirmation_status = 'declined'").get().count,
     },
     // "today" now shows next delivery day stats (the useful view)
     today: {
@@ -347,7 +434,7 @@ app.get("/api/stats", (req, res) => {
       sent: nextDay.sent,
       pending: nextDay.pending,
       failed: nextDay.failed,
-      delivered: nextDay.confirmed, // "delivered" card shows confirmed count
+      confirmed: nextDay.confirmed,
     },
     todayDeliveries, // actual today (being delivered right now)
     nextDelivery: nextDay,
@@ -356,9 +443,11 @@ app.get("/api/stats", (req, res) => {
       date: tomorrowStr,
       total: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled'").get(tomorrowStr).count,
       pending: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'pending'").get(tomorrowStr).count,
-      sent: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status IN ('sent','delivered')").get(tomorrowStr).count,
+      sent: db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'sent'").get(tomorrowStr).count,
     },
     scheduler: getSchedulerStatus(),
+    inbox: getThreadCounts(),
+    handoffs: getHandoffCounts(),
   };
   res.json(stats);
 });
@@ -370,13 +459,15 @@ app.get("/api/charts/daily", (req, res) => {
     SELECT scheduled_date as date,
       COUNT(*) as total,
       SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as sent,
-      SUM(CASE WHEN status = 'delivered' THEN 1 ELSE 0 END) as delivered,
-      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed,
-      SUM(CASE WHEN customer_response = 'yes' THEN 1 ELSE 0 END) as confirmed,
-      SUM(CASE WHEN customer_response = 'no' THEN 1 ELSE 0 END) as declined,
+      SUM(CASE WHEN status IN ('failed','failed_permanent') THEN 1 ELSE 0 END) as failed,
+      SUM(CASE WHEN confirmation_status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
+      SUM(CASE WHEN confirmation_status = 'declined' THEN 1 ELSE 0 END) as declined,
+      SUM(CASE WHEN status = 'sent' AND confirmation_status = 'unconfirmed' THEN 1 ELSE 0 END) as no_reply,
+      SUM(CASE WHEN delivery_status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+      SUM(CASE WHEN delivery_status = 'attempted_failed' THEN 1 ELSE 0 END) as attempted_failed,
       SUM(CASE WHEN review_sent_at IS NOT NULL THEN 1 ELSE 0 END) as reviews_sent
     FROM notifications
-    WHERE scheduled_date IS NOT NULL
+    WHERE scheduled_date IS NOT NULL AND status != 'cancelled'
     GROUP BY scheduled_date
     ORDER BY scheduled_date DESC
     LIMIT ?
@@ -388,11 +479,12 @@ app.get("/api/charts/stores", (req, res) => {
   const rows = db.prepare(`
     SELECT store,
       COUNT(*) as total,
-      SUM(CASE WHEN customer_response = 'yes' THEN 1 ELSE 0 END) as confirmed,
-      SUM(CASE WHEN customer_response = 'no' THEN 1 ELSE 0 END) as declined,
+      SUM(CASE WHEN confirmation_status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
+      SUM(CASE WHEN confirmation_status = 'declined' THEN 1 ELSE 0 END) as declined,
+      SUM(CASE WHEN delivery_status = 'delivered' THEN 1 ELSE 0 END) as delivered,
       SUM(CASE WHEN review_sent_at IS NOT NULL THEN 1 ELSE 0 END) as reviews_sent
     FROM notifications
-    WHERE store IS NOT NULL AND store != 'unknown'
+    WHERE store IS NOT NULL AND store != 'unknown' AND status != 'cancelled'
     GROUP BY store
     ORDER BY total DESC
   `).all();
@@ -400,13 +492,28 @@ app.get("/api/charts/stores", (req, res) => {
 });
 
 app.get("/api/charts/responses", (req, res) => {
-  const total = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE status IN ('sent','delivered')").get().count;
-  const yes = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE customer_response = 'yes'").get().count;
-  const no = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE customer_response = 'no'").get().count;
-  const stop = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE customer_response = 'stop'").get().count;
-  const noReply = total - yes - no - stop;
+  // Replies to texts that went out, by confirmation state
+  const counts = db.prepare(`
+    SELECT COUNT(*) as total,
+      SUM(CASE WHEN confirmation_status = 'confirmed' THEN 1 ELSE 0 END) as yes,
+      SUM(CASE WHEN confirmation_status = 'declined' THEN 1 ELSE 0 END) as no,
+      SUM(CASE WHEN confirmation_status = 'opted_out' THEN 1 ELSE 0 END) as stop,
+      SUM(CASE WHEN confirmation_status = 'unconfirmed' THEN 1 ELSE 0 END) as noReply,
+      SUM(CASE WHEN delivery_status = 'delivered' THEN 1 ELSE 0 END) as delivered,
+      SUM(CASE WHEN delivery_status = 'attempted_failed' THEN 1 ELSE 0 END) as attemptedFailed
+    FROM notifications WHERE status = 'sent'
+  `).get();
   const reviewsSent = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE review_sent_at IS NOT NULL").get().count;
-  res.json({ total, yes, no, stop, noReply, reviewsSent });
+  res.json({
+    total: counts.total,
+    yes: counts.yes || 0,
+    no: counts.no || 0,
+    stop: counts.stop || 0,
+    noReply: counts.noReply || 0,
+    delivered: counts.delivered || 0,
+    attemptedFailed: counts.attemptedFailed || 0,
+    reviewsSent,
+  });
 });
 
 app.get("/api/charts/time-windows", (req, res) => {
@@ -439,6 +546,262 @@ app.put("/api/settings", (req, res) => {
   res.json({ success: true });
 });
 
+// ─── Stores API ──────────────────────────────────────────
+// Stores are deactivated (PUT { active: false }), never deleted
+app.get("/api/stores", (req, res) => {
+  res.json(listStores());
+});
+
+app.get("/api/stores/:slug", (req, res) => {
+  const store = getStore(req.params.slug);
+  if (!store) return res.status(404).json({ error: "Not found" });
+  res.json(store);
+});
+
+app.post("/api/stores", (req, res) => {
+  try {
+    res.json({ success: true, store: createStore(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/stores/:slug", (req, res) => {
+  try {
+    const store = updateStore(req.params.slug, req.body || {});
+    if (!store) return res.status(404).json({ error: "Not found" });
+    res.json({ success: true, store });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ─── Staff Directory API ─────────────────────────────────
+app.get("/api/staff", (req, res) => {
+  res.json(listStaff());
+});
+
+app.post("/api/staff", (req, res) => {
+  try {
+    res.json({ success: true, staff: createStaff(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.put("/api/staff/:id", (req, res) => {
+  try {
+    const staff = updateStaff(req.params.id, req.body || {});
+    if (!staff) return res.status(404).json({ error: "Not found" });
+    res.json({ success: true, staff });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/staff/:id", (req, res) => {
+  const staff = removeStaff(req.params.id);
+  if (!staff) return res.status(404).json({ error: "Not found" });
+  res.json({ success: true });
+});
+
+// Handoff alerts and who took them (filter by status — e.g. ?status=open)
+app.get("/api/staff-alerts", (req, res) => {
+  const { status, limit } = req.query;
+  if (status && !ALERT_STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(", ")}` });
+  res.json({ alerts: listAlerts({ status, limit }), escalationMinutes: getEscalationMinutes() });
+});
+
+// Take a handoff alert from the dashboard — { acknowledgedBy }
+app.post("/api/staff-alerts/:id/ack", async (req, res) => {
+  try {
+    res.json({ success: true, alert: await acknowledgeAlert(Number(req.params.id), { by: req.body?.acknowledgedBy || null }) });
+  } catch (err) {
+    res.status(err.message === "Alert not found" ? 404 : 409).json({ error: err.message });
+  }
+});
+
+// ─── Handoff Queue API ───────────────────────────────────
+// Customers promised a person (?status=active (default) | open | claimed | overdue | resolved, &store=)
+app.get("/api/handoffs", (req, res) => {
+  const { status = "active", store, limit } = req.query;
+  if (![...HANDOFF_STATUSES, "active", "overdue"].includes(status)) {
+    return res.status(400).json({ error: `status must be one of: active, overdue, ${HANDOFF_STATUSES.join(", ")}` });
+  }
+  res.json({ handoffs: listHandoffs({ status, store, limit }), counts: getHandoffCounts(), reasons: HANDOFF_REASONS, outcomes: HANDOFF_OUTCOMES });
+});
+
+// Take a handoff — { claimedBy }
+app.post("/api/handoffs/:id/claim", (req, res) => {
+  try {
+    res.json({ success: true, handoff: claimHandoff(Number(req.params.id), { claimedBy: req.body?.claimedBy || null }) });
+  } catch (err) {
+    res.status(err.message === "Handoff not found" ? 404 : 409).json({ error: err.message });
+  }
+});
+
+// Close a handoff — { resolvedBy, outcome, note }
+app.post("/api/handoffs/:id/resolve", (req, res) => {
+  const { resolvedBy = null, outcome, note = null } = req.body || {};
+  if (!HANDOFF_OUTCOMES.includes(outcome)) return res.status(400).json({ error: `outcome must be one of: ${HANDOFF_OUTCOMES.join(", ")}` });
+  try {
+    res.json({ success: true, handoff: resolveHandoff(Number(req.params.id), { resolvedBy, outcome, note }) });
+  } catch (err) {
+    res.status(err.message === "Handoff not found" ? 404 : 409).json({ error: err.message });
+  }
+});
+
+// ─── Blackout Calendar API ───────────────────────────────
+app.get("/api/blackouts", (req, res) => {
+  const days = Math.min(parseInt(req.query.days, 10) || 120, 730);
+  res.json({ blackouts: listBlackouts(), upcoming: getUpcomingBlackouts({ days }) });
+});
+
+app.post("/api/blackouts", (req, res) => {
+  try {
+    const { blackout, affected } = addBlackout(req.body || {});
+    res.json({ success: true, blackout, affected });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/blackouts/:id", (req, res) => {
+  const blackout = removeBlackout(req.params.id);
+  if (!blackout) return res.status(404).json({ error: "Not found" });
+  res.json({ success: true });
+});
+
+// ─── Delivery Capacity API ───────────────────────────────
+// Weekday limits live on the store (PUT /api/stores/:slug { capacity: { "6": 25 } })
+app.get("/api/capacity", (req, res) => {
+  const store = getStore(req.query.store);
+  if (!store) return res.status(400).json({ error: "store required" });
+  const days = Math.min(parseInt(req.query.days, 10) || 28, 120);
+  res.json({ store: store.slug, weekdayLimits: store.capacity, calendar: getCapacityCalendar({ store: store.slug, days }), overrides: listCapacityOverrides({ store: store.slug }) });
+});
+
+app.get("/api/capacity/overrides", (req, res) => {
+  res.json(listCapacityOverrides({ store: req.query.store || undefined }));
+});
+
+// One date's limit for a store — { store, date, maxStops, note, createdBy }; replaces any existing one
+app.post("/api/capacity/overrides", (req, res) => {
+  try {
+    res.json({ success: true, override: setCapacityOverride(req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/capacity/overrides/:id", (req, res) => {
+  const override = removeCapacityOverride(req.params.id);
+  if (!override) return res.status(404).json({ error: "Not found" });
+  res.json({ success: true });
+});
+
+// ─── Send Pauses API ─────────────────────────────────────
+// Global pause is the auto_send_enabled setting (PUT /api/settings)
+app.get("/api/pauses", (req, res) => {
+  res.json(listPauses());
+});
+
+app.post("/api/pauses", (req, res) => {
+  const { deliveryDate, store, reason } = req.body || {};
+  try {
+    res.json({ success: true, pause: addPause({ deliveryDate, store, reason }) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/pauses/:id", (req, res) => {
+  const pause = removePause(req.params.id);
+  if (!pause) return res.status(404).json({ error: "Not found" });
+  res.json({ success: true, removed: pause.id, released: pause.released, missedSend: pause.missedSend, nextDeliveryDate: pause.nextDeliveryDate });
+});
+
+// ─── Opt-Out Registry API ────────────────────────────────
+app.get("/api/opt-outs", (req, res) => {
+  res.json(listOptOuts());
+});
+
+app.post("/api/opt-outs", (req, res) => {
+  const { phone, notes } = req.body || {};
+  try {
+    const result = optOut(phone, { source: "dashboard", notes: notes || null });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/opt-outs/:phone", (req, res) => {
+  if (!optIn(req.params.phone, { source: "dashboard" })) return res.status(404).json({ error: "Not opted out" });
+  res.json({ success: true });
+});
+
+// ─── Message Ledger API ──────────────────────────────────
+// ?q=&phone=&purpose=&direction=&status=&notification_id=&sale_review_id=&from=&to=&limit=&offset=
+app.get("/api/messages", (req, res) => {
+  const { q, phone, purpose, direction, status, notification_id, sale_review_id, from, to, limit, offset } = req.query;
+  res.json(searchMessages({
+    q, phone, purpose, direction, status, from, to, limit, offset,
+    notificationId: notification_id,
+    saleReviewId: sale_review_id,
+  }));
+});
+
+// Everything sent to / received from one customer, oldest first
+app.get("/api/messages/timeline/:phone", (req, res) => {
+  const timeline = getTimeline(req.params.phone);
+  if (!timeline.phone) return res.status(400).json({ error: "Phone required" });
+  res.json({ ...timeline, optedOut: isOptedOut(timeline.phone) });
+});
+
+// ─── Customer Inbox API ──────────────────────────────────
+// ?view=open|unread|needs_reply|closed|all&assigned_to=<name>|none&q=
+app.get("/api/inbox", (req, res) => {
+  const { view, assigned_to, q, limit } = req.query;
+  res.json(listThreads({ view, assignedTo: assigned_to, q, limit }));
+});
+
+app.get("/api/inbox/:phone", (req, res) => {
+  res.json(getThread(req.params.phone));
+});
+
+app.post("/api/inbox/:phone/read", (req, res) => {
+  markThreadRead(req.params.phone);
+  res.json({ success: true });
+});
+
+// { assignedTo, status } — either or both
+app.put("/api/inbox/:phone", (req, res) => {
+  const { assignedTo, status } = req.body || {};
+  try {
+    let thread;
+    if (assignedTo !== undefined) thread = assignThread(req.params.phone, assignedTo);
+    if (status !== undefined) thread = setThreadStatus(req.params.phone, status);
+    if (!thread) return res.status(400).json({ error: "Nothing to update — send assignedTo and/or status" });
+    res.json({ success: true, thread });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// { body, sentBy }
+app.post("/api/inbox/:phone/reply", async (req, res) => {
+  const { body, sentBy } = req.body || {};
+  if (!body || !body.trim()) return res.status(400).json({ error: "Reply text is required" });
+  try {
+    const result = await sendReply(req.params.phone, body, { sentBy: sentBy || null });
+    res.json({ success: true, messageId: result.messageId });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") return res.status(409).json({ error: "This customer has opted out of texts" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ─── Connection Status API ───────────────────────────────
 app.get("/api/connections", async (req, res) => {
   const spokeConfigured = !!process.env.SPOKE_API_KEY;
@@ -459,138 +822,99 @@ app.get("/api/connections", async (req, res) => {
   });
 });
 
-// ─── Quo Reply Webhook (YES/NO/rescheduling responses) ───
-// Configure in Quo: Webhooks → message.received
+// ─── Quo Reply Webhook (YES/NO/rescheduling responses + carrier status) ───
+// Configure in Quo: Webhooks → message.received, message.delivered
 // URL: https://your-app.up.railway.app/api/quo/webhook
-app.post("/api/quo/webhook", async (req, res) => {
+app.post("/api/quo/webhook", verifyWebhook("quo"), (req, res) => {
   console.log("[Quo Webhook] Received:", JSON.stringify(req.body).substring(0, 300));
+  const entryId = enqueueWebhook("quo", req.body, req.webhookEventId);
+  res.status(200).json({ received: true, inboxId: entryId });
+});
 
-  try {
-    const event = req.body;
-    const type = event.type || event.data?.type;
+// ─── Webhook Inbox API ───────────────────────────────────
+app.get("/api/webhooks/events", (req, res) => {
+  const { status, source, limit = 50 } = req.query;
+  res.json({ events: listEntries({ status, source, limit }), counts: getInboxCounts() });
+});
 
-    // Only handle incoming messages
-    if (type === "message.received" || event.data?.object?.direction === "incoming") {
-      const message = event.data?.object || event.data || {};
-      const from = message.from || message.identifier || "";
-      const rawBody = (message.text || message.body || message.content || "").trim();
-      const body = rawBody.toUpperCase();
+app.get("/api/webhooks/events/:id", (req, res) => {
+  const entry = db.prepare("SELECT * FROM webhook_inbox WHERE id = ?").get(req.params.id);
+  if (!entry) return res.status(404).json({ error: "Not found" });
+  res.json({ ...entry, payload: JSON.parse(entry.payload) });
+});
 
-      if (!from || !rawBody) {
-        return res.status(200).json({ received: true });
-      }
+app.post("/api/webhooks/events/:id/replay", async (req, res) => {
+  try {
+    const entry = await replayEntry(req.params.id);
+    if (!entry) return res.status(404).json({ error: "Not found" });
+    res.json({ success: entry.status === "processed", status: entry.status, error: entry.last_error });
+  } catch (err) {
+    if (err.code === "NOT_REPLAYABLE") return res.status(409).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Clean the phone number for matching
-      let cleanFrom = from.replace(/[^\d+]/g, "");
-      if (cleanFrom.length === 10) cleanFrom = "+1" + cleanFrom;
-      if (cleanFrom.length === 11 && cleanFrom.startsWith("1")) cleanFrom = "+" + cleanFrom;
-
-      // ─── Check if this customer is mid-rescheduling ───
-      const reschedulingNotif = db.prepare(
-        "SELECT * FROM notifications WHERE phone = ? AND conversation_state = 'rescheduling' ORDER BY updated_at DESC LIMIT 1"
-      ).get(cleanFrom);
-
-      if (reschedulingNotif) {
-        console.log(`[Quo Webhook] ${reschedulingNotif.customer_name} is rescheduling — routing to Claude`);
-
-        // Handle STOP even during rescheduling
-        if (body === "STOP") {
-          db.prepare("UPDATE notifications SET customer_response = 'stop', conversation_state = 'none', updated_at = ? WHERE id = ?")
-            .run(new Date().toISOString(), reschedulingNotif.id);
-          logActivity("customer_optout", `${reschedulingNotif.customer_name} opted out during rescheduling (STOP)`, reschedulingNotif.id);
-          try {
-            await sendSms(cleanFrom, "You've been opted out of delivery notifications from Mattress Overstock. Thank you!");
-          } catch (e) { console.error("[Quo Webhook] Failed to send STOP reply:", e.message); }
-          return res.status(200).json({ received: true });
-        }
-
-        // Process through Claude
-        const result = await handleRescheduleMessage(reschedulingNotif, rawBody);
-
-        // Send Claude's reply
-        try {
-          await sendSms(cleanFrom, result.reply);
-          console.log(`[Quo Webhook] Reschedule reply sent to ${reschedulingNotif.customer_name}: ${result.reply.substring(0, 80)}...`);
-        } catch (e) {
-          console.error("[Quo Webhook] Failed to send reschedule reply:", e.message);
-        }
-
-        return res.status(200).json({ received: true });
-      }
+// ─── Scheduler API ───────────────────────────────────────
+app.get("/api/scheduler", (req, res) => {
+  res.json(getSchedulerStatus());
+});
 
-      // ─── Normal YES/NO/STOP flow ───
-      const notification = db.prepare(
-        "SELECT * FROM notifications WHERE phone = ? AND status = 'sent' ORDER BY sent_at DESC LIMIT 1"
-      ).get(cleanFrom);
+// Run history (scheduler_runs) — ?job=send|summary&status=&limit=
+app.get("/api/scheduler/runs", (req, res) => {
+  const { job, status, limit } = req.query;
+  res.json(listRuns({ job, status, limit }));
+});
 
-      if (!notification) {
-        console.log(`[Quo Webhook] No matching notification for ${cleanFrom.substring(0, 6)}****`);
-        return res.status(200).json({ received: true });
-      }
+app.get("/api/scheduler/runs/:id", (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) return res.status(404).json({ error: "Not found" });
+  res.json(run);
+});
 
-      if (body === "YES") {
-        db.prepare(
-          "UPDATE notifications SET customer_response = 'yes', response_at = ?, status = 'delivered', updated_at = ? WHERE id = ?"
-        ).run(new Date().toISOString(), new Date().toISOString(), notification.id);
-
-        logActivity("customer_confirmed", `${notification.customer_name} replied YES — delivery confirmed`, notification.id);
-        console.log(`[Quo Webhook] ${notification.customer_name} confirmed delivery (YES)`);
-
-        // Auto-reply confirmation
-        try {
-          await sendSms(cleanFrom, `Thank you! Your delivery is confirmed for tomorrow ${notification.time_window}. See you then!`);
-          logActivity("auto_reply_sent", `Confirmation reply sent to ${notification.customer_name}`, notification.id);
-        } catch (e) {
-          console.error("[Quo Webhook] Failed to send YES auto-reply:", e.message);
-        }
-
-      } else if (body === "NO") {
-        db.prepare(
-          "UPDATE notifications SET customer_response = 'no', response_at = ?, updated_at = ? WHERE id = ?"
-        ).run(new Date().toISOString(), new Date().toISOString(), notification.id);
-
-        logActivity("customer_declined", `${notification.customer_name} replied NO — needs rescheduling`, notification.id);
-        console.log(`[Quo Webhook] ${notification.customer_name} declined delivery (NO)`);
-
-        // Start AI rescheduling conversation
-        try {
-          const reschedResult = await startRescheduleConversation(notification);
-          await sendSms(cleanFrom, reschedResult.reply);
-          logActivity("reschedule_started", `AI rescheduling started for ${notification.customer_name}`, notification.id);
-        } catch (e) {
-          console.error("[Quo Webhook] Failed to start rescheduling:", e.message);
-          try {
-            await sendSms(cleanFrom, "We understand you can't make the scheduled delivery. Please call us at (859) 555-0100 to reschedule.");
-          } catch (e2) { console.error("[Quo Webhook] Failed to send fallback reply:", e2.message); }
-        }
-
-      } else if (body === "STOP") {
-        db.prepare(
-          "UPDATE notifications SET customer_response = 'stop', response_at = ?, updated_at = ? WHERE id = ?"
-        ).run(new Date().toISOString(), new Date().toISOString(), notification.id);
-
-        logActivity("customer_optout", `${notification.customer_name} opted out (STOP)`, notification.id);
-
-        // Auto-reply opt-out confirmation
-        try {
-          await sendSms(cleanFrom, `You've been opted out of delivery notifications from Mattress Overstock. Thank you!`);
-          logActivity("auto_reply_sent", `Opt-out reply sent to ${notification.customer_name}`, notification.id);
-        } catch (e) {
-          console.error("[Quo Webhook] Failed to send STOP auto-reply:", e.message);
-        }
-      }
-    }
+// Send/summary schedule (settings.schedule) — see services/schedule.js
+app.get("/api/schedule", (req, res) => {
+  const schedule = getSchedule();
+  res.json({ schedule, warnings: getScheduleWarnings(schedule) });
+});
 
-    res.status(200).json({ received: true });
+app.put("/api/schedule", (req, res) => {
+  try {
+    const { overrides, ...input } = req.body || {};
+    res.json({ success: true, ...saveSchedule(input) });
   } catch (err) {
-    console.error("[Quo Webhook] Error:", err.message);
-    res.status(200).json({ received: true, error: err.message });
+    res.status(400).json({ error: err.message });
   }
 });
 
-// ─── Scheduler API ───────────────────────────────────────
-app.get("/api/scheduler", (req, res) => {
-  res.json(getSchedulerStatus());
+// One-off override for a send date: { send, summary, note } — null skips that job
+app.put("/api/schedule/overrides/:date", (req, res) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+  try {
+    const { send, summary, note } = req.body || {};
+    res.json({ success: true, ...setOverride(req.params.date, { send, summary, note }) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/api/schedule/overrides/:date", (req, res) => {
+  if (!removeOverride(req.params.date)) return res.status(404).json({ error: "Not found" });
+  res.json({ success: true });
+});
+
+// Carrier delivery status (services/delivery-status.js)
+app.get("/api/carrier-status/undelivered", (req, res) => {
+  const date = req.query.date || getDeliveryDateForSend(new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" })));
+  res.json({ date, undelivered: getUndeliveredConfirmations(date) });
+});
+
+// Look up in-flight messages now instead of waiting for the poller
+app.post("/api/carrier-status/poll", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await pollCarrierStatus()) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Manual trigger for the daily send (for testing or catch-up)
@@ -599,15 +923,15 @@ app.post("/api/scheduler/send-now", async (req, res) => {
     const results = await executeDailySend();
     res.json(results);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.code === "SEND_IN_PROGRESS" ? 409 : 500).json({ error: err.message });
   }
 });
 
-// Manual trigger for the 9 PM staff summary
+// Manual trigger for the staff summary
 app.post("/api/scheduler/summary-now", async (req, res) => {
   try {
-    await executeStaffSummary();
-    res.json({ success: true, message: "Staff summary sent" });
+    const result = await executeStaffSummary();
+    res.json({ success: true, message: "Staff summary sent", runId: result.runId });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -651,6 +975,54 @@ app.get("/api/conversations/:notificationId", (req, res) => {
   res.json(messages);
 });
 
+// Pause Emma and handle the customer by hand — { takenBy }
+app.post("/api/conversations/:notificationId/takeover", (req, res) => {
+  try {
+    res.json({ success: true, notification: takeOverConversation(Number(req.params.notificationId), { takenBy: req.body?.takenBy || null }) });
+  } catch (err) {
+    res.status(err.message === "Notification not found" ? 404 : 409).json({ error: err.message });
+  }
+});
+
+// Reply to a taken-over conversation — { body, sentBy }
+app.post("/api/conversations/:notificationId/reply", async (req, res) => {
+  const { body, sentBy } = req.body || {};
+  if (!body || !body.trim()) return res.status(400).json({ error: "Reply text is required" });
+  const notification = db.prepare("SELECT * FROM notifications WHERE id = ?").get(req.params.notificationId);
+  if (!notification) return res.status(404).json({ error: "Notification not found" });
+  if (notification.conversation_state !== "staff") return res.status(409).json({ error: "Take over the conversation before replying" });
+  try {
+    const result = await sendReply(notification.phone, body, { sentBy: sentBy || null });
+    res.json({ success: true, messageId: result.messageId });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") return res.status(409).json({ error: "This customer has opted out of texts" });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Book a new date for a taken-over conversation — { date: YYYY-MM-DD, confirmedBy, message }
+app.post("/api/conversations/:notificationId/confirm", async (req, res) => {
+  const { date, confirmedBy = null, message = null } = req.body || {};
+  try {
+    res.json({ success: true, ...(await confirmDateForCustomer(Number(req.params.notificationId), date, { confirmedBy, message })) });
+  } catch (err) {
+    if (err.message === "Notification not found") return res.status(404).json({ error: err.message });
+    if (err.code === "INVALID_DATE") return res.status(400).json({ error: err.message });
+    // Spoke rejected the stop — an upstream failure, not a conflict (nothing was booked)
+    if (err.code === "BOOKING_FAILED") return res.status(502).json({ error: err.message });
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// Hand the conversation back to Emma — { resumedBy }
+app.post("/api/conversations/:notificationId/resume", (req, res) => {
+  try {
+    res.json({ success: true, notification: resumeConversation(Number(req.params.notificationId), { resumedBy: req.body?.resumedBy || null }) });
+  } catch (err) {
+    res.status(err.message === "Notification not found" ? 404 : 409).json({ error: err.message });
+  }
+});
+
 // Restore notifications from backup
 app.post("/api/restore", express.json({ limit: "5mb" }), (req, res) => {
   try {
@@ -664,18 +1036,21 @@ app.post("/api/restore", express.json({ limit: "5mb" }), (req, res) => {
       (customer_name, phone, store, address, scheduled_date, time_window, raw_delivery_time,
        product, driver, status, sent_at, quo_message_id, spoke_stop_id, spoke_route_id,
        customer_response, response_at, error_message, retry_count,
-       created_at, updated_at, review_sent_at, conversation_state, reschedule_count, rescheduled_from)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+       created_at, updated_at, review_sent_at, conversation_state, reschedule_count, rescheduled_from,
+       confirmation_status, delivery_status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     );
 
     let restored = 0;
     for (const n of notifications) {
       try {
+        const states = fromLegacy(n);
         insert.run(
           n.customer_name, n.phone, n.store, n.address, n.scheduled_date, n.time_window, n.raw_delivery_time,
-          n.product, n.driver, n.status, n.sent_at, n.quo_message_id, n.spoke_stop_id, n.spoke_route_id,
+          n.product, n.driver, states.status, n.sent_at, n.quo_message_id, n.spoke_stop_id, n.spoke_route_id,
           n.customer_response, n.response_at, n.error_message, n.retry_count || 0,
-          n.created_at, n.updated_at, n.review_sent_at, n.conversation_state || "none", n.reschedule_count || 0, n.rescheduled_from
+          n.created_at, n.updated_at, n.review_sent_at, n.conversation_state || "none", n.reschedule_count || 0, n.rescheduled_from,
+          states.confirmation_status, states.delivery_status
         );
         restored++;
       } catch (err) {
@@ -799,7 +1174,7 @@ app.listen(PORT, () => {
 ║   Quo Replies:   /api/quo/webhook                         ║
 ║   Dashboard:     http://localhost:${PORT}                    ║
 ║                                                           ║
-║   SCHEDULE: 6 PM EST Mon–Fri (for Tue–Sat deliveries)    ║
+║   SCHEDULE: Settings → Send Schedule (6 PM Mon–Fri)      ║
 ║   SYNC:     Every 15 min, 8 AM – 6 PM EST               ║
 ║                                                           ║
 ║   Spoke API:   ${process.env.SPOKE_API_KEY ? "✓ Configured" : "✗ Missing — set SPOKE_API_KEY"}       ║
@@ -807,9 +1182,27 @@ app.listen(PORT, () => {
 ╚═══════════════════════════════════════════════════════════╝
   `);
 
-  // Start the 6 PM EST daily scheduler
+  // Start the send/summary scheduler (settings.schedule)
   startScheduler();
 
-  // Start auto-sync (every 15 min, 8 AM – 6 PM EST)
+  // Retry failed sends with backoff (retry_max / retry_interval_minutes)
+  startRetryWorker();
+
+  // Process stored Spoke/Quo webhooks (and resume any interrupted by a restart)
+  startInboxWorker();
+
+  // Look up carrier status for texts whose delivery webhook hasn't arrived
+  startCarrierStatusPoller();
+
+  // Start auto-sync (every 15 min from 8 AM until the day's send)
   startAutoSync();
+
+  // Escalate handoff alerts nobody took (handoff_escalation_minutes)
+  startEscalationWorker();
+
+  // Remind staff about handoffs past their deadline (handoff_sla_time / handoff_reminder_minutes)
+  startHandoffWorker();
+
+  // Nudge, escalate and close rescheduling conversations the customer went quiet on
+  startConversationWorker();
 });
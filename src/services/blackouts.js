@@ -0,0 +1,267 @@
+/**
+ * Blackout Calendar
+ *
+ * Days we don't deliver, company-wide or for a single store. Replaces the
+ * old hard-coded BLACKOUT_DATES list in reschedule.js.
+ *
+ * KINDS:
+ *   date        — one specific day (weather closure, inventory day, …)
+ *   annual      — same month/day every year (Christmas = 12/25)
+ *   nth_weekday — Nth weekday of a month every year, week -1 = last
+ *                 (Thanksgiving = 4th Thursday of November)
+ *
+ * Recurring rules can carry offset_days (day after Thanksgiving = +1).
+ * store NULL means every store is closed.
+ *
+ * WHO RESPECTS IT:
+ *   scheduler / retry — rows for a closed date+store are held (getHoldReason)
+ *   sync              — skips a company-wide closed date, flags per-store conflicts
+ *   reschedule        — validateDate() rejects it, Claude is told upcoming closures
+ */
+
+const db = require("../database");
+const { getStore } = require("./stores");
+
+const KINDS = ["date", "annual", "nth_weekday"];
+const CATEGORIES = ["holiday", "weather", "closure"];
+const MONTH_NAMES = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const ORDINALS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", "-1": "last" };
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getESTToday() {
+  const now = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  return now.toISOString().split("T")[0];
+}
+
+// Date math is done in UTC so YYYY-MM-DD strings never shift a day
+function toDateStr(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return toDateStr(d);
+}
+
+/**
+ * The date a recurring entry falls on in a given year.
+ * @returns {string|null} YYYY-MM-DD
+ */
+function occurrenceInYear(entry, year) {
+  let date;
+  if (entry.kind === "annual") {
+    date = new Date(Date.UTC(year, entry.month - 1, entry.day));
+    if (date.getUTCMonth() !== entry.month - 1) return null; // Feb 29 in a non-leap year
+  } else if (entry.kind === "nth_weekday") {
+    if (entry.week === -1) {
+      date = new Date(Date.UTC(year, entry.month, 0)); // last day of the month
+      date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - entry.weekday + 7) % 7));
+    } else {
+      date = new Date(Date.UTC(year, entry.month - 1, 1));
+      date.setUTCDate(1 + ((entry.weekday - date.getUTCDay() + 7) % 7) + (entry.week - 1) * 7);
+    }
+  } else {
+    return null;
+  }
+  return addDays(toDateStr(date), entry.offset_days || 0);
+}
+
+function matchesDate(entry, dateStr) {
+  if (entry.kind === "date") return entry.date === dateStr;
+  const year = parseInt(dateStr.substring(0, 4), 10);
+  // Check the previous year too — an offset can push Dec 31 into January
+  return occurrenceInYear(entry, year) === dateStr || occurrenceInYear(entry, year - 1) === dateStr;
+}
+
+/**
+ * Human-readable rule ("4th Thursday of Nov +1 day").
+ */
+function describeRule(entry) {
+  let rule;
+  if (entry.kind === "date") rule = entry.date;
+  else if (entry.kind === "annual") rule = `Every ${MONTH_NAMES[entry.month - 1]} ${entry.day}`;
+  else rule = `${ORDINALS[entry.week]} ${WEEKDAY_NAMES[entry.weekday]} of ${MONTH_NAMES[entry.month - 1]}`;
+  if (entry.offset_days) rule += ` ${entry.offset_days > 0 ? "+" : ""}${entry.offset_days} day${Math.abs(entry.offset_days) === 1 ? "" : "s"}`;
+  return rule;
+}
+
+function describeBlackout(entry) {
+  const who = entry.store ? entry.store : "all stores";
+  return `${entry.reason || entry.category} — ${who}`;
+}
+
+/**
+ * Entries that close a date. With a store, only company-wide entries and
+ * that store's own; without one, every entry for the date.
+ * Company-wide entries come first.
+ */
+function getBlackoutsForDate(dateStr, store) {
+  if (!dateStr) return [];
+  const entries = db.prepare("SELECT * FROM blackouts ORDER BY store IS NOT NULL, id ASC").all();
+  return entries.filter((e) => matchesDate(e, dateStr) && (store === undefined || !e.store || e.store === store));
+}
+
+/**
+ * The entry closing a date for a store, or null if it's open.
+ */
+function getBlackout(dateStr, store = null) {
+  return getBlackoutsForDate(dateStr, store)[0] || null;
+}
+
+function isBlackout(dateStr, store = null) {
+  return !!getBlackout(dateStr, store);
+}
+
+/**
+ * Next date an entry applies on (today or later), or null if it's past.
+ */
+function nextOccurrence(entry, fromDateStr) {
+  if (entry.kind === "date") return entry.date >= fromDateStr ? entry.date : null;
+  const year = parseInt(fromDateStr.substring(0, 4), 10);
+  for (const y of [year - 1, year, year + 1]) {
+    const date = occurrenceInYear(entry, y);
+    if (date && date >= fromDateStr) return date;
+  }
+  return null;
+}
+
+/**
+ * Every entry (past one-off dates included), with its next occurrence.
+ */
+function listBlackouts() {
+  const today = getESTToday();
+  return db.prepare("SELECT * FROM blackouts ORDER BY kind = 'date' DESC, date ASC, month ASC, id ASC").all()
+    .map((e) => ({ ...e, rule: describeRule(e), next_date: nextOccurrence(e, today) }));
+}
+
+/**
+ * Closed dates in the next `days` days, soonest first.
+ * @param {object} opts - { store, days } — store narrows to company-wide + that store
+ * @returns {Array} [{ date, id, store, reason, category }]
+ */
+function getUpcomingBlackouts({ store, days = 90 } = {}) {
+  const today = getESTToday();
+  const end = addDays(today, days);
+  const upcoming = [];
+
+  for (const entry of db.prepare("SELECT * FROM blackouts").all()) {
+    if (store !== undefined && entry.store && entry.store !== store) continue;
+    const year = parseInt(today.substring(0, 4), 10);
+    const dates = entry.kind === "date"
+      ? [entry.date]
+      : [year - 1, year, year + 1].map((y) => occurrenceInYear(entry, y));
+    for (const date of dates) {
+      if (date && date >= today && date <= end) {
+        upcoming.push({ date, id: entry.id, store: entry.store, reason: entry.reason, category: entry.category });
+      }
+    }
+  }
+  return upcoming.sort((a, b) => a.date.localeCompare(b.date) || (a.store ? 1 : 0) - (b.store ? 1 : 0));
+}
+
+/**
+ * Notifications already on the books for a closed date (they need rescheduling).
+ */
+function countAffected(dateStr, store) {
+  if (!dateStr) return 0;
+  let query = "SELECT COUNT(*) as c FROM notifications WHERE scheduled_date = ? AND status IN ('pending', 'sent', 'failed')";
+  const params = [dateStr];
+  if (store) {
+    query += " AND store = ?";
+    params.push(store);
+  }
+  return db.prepare(query).get(...params).c;
+}
+
+function toInt(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : NaN;
+}
+
+/**
+ * Add a closure.
+ * @param {object} input - { kind, date, month, day, weekday, week, offsetDays, store, reason, category }
+ * @returns {object} { blackout, affected } — affected = deliveries already scheduled on the next occurrence
+ */
+function addBlackout(input) {
+  const kind = input.kind || "date";
+  if (!KINDS.includes(kind)) throw new Error(`kind must be one of: ${KINDS.join(", ")}`);
+  const category = input.category || (kind === "date" ? "closure" : "holiday");
+  if (!CATEGORIES.includes(category)) throw new Error(`category must be one of: ${CATEGORIES.join(", ")}`);
+
+  const store = input.store || null;
+  if (store && !getStore(store)) throw new Error(`Unknown store: ${store}`);
+
+  const entry = {
+    kind, date: null, month: null, day: null, weekday: null, week: null,
+    offset_days: toInt(input.offsetDays ?? input.offset_days) || 0,
+  };
+  if (Number.isNaN(entry.offset_days)) throw new Error("offsetDays must be a whole number");
+
+  if (kind === "date") {
+    if (!input.date || !/^\d{4}-\d{2}-\d{2}$/.test(input.date)) throw new Error("date must be YYYY-MM-DD");
+    entry.date = input.date;
+    entry.offset_days = 0;
+  } else {
+    entry.month = toInt(input.month);
+    if (!(entry.month >= 1 && entry.month <= 12)) throw new Error("month must be 1–12");
+    if (kind === "annual") {
+      entry.day = toInt(input.day);
+      if (!(entry.day >= 1 && entry.day <= 31)) throw new Error("day must be 1–31");
+    } else {
+      entry.weekday = toInt(input.weekday);
+      entry.week = toInt(input.week);
+      if (!(entry.weekday >= 0 && entry.weekday <= 6)) throw new Error("weekday must be 0 (Sun) through 6 (Sat)");
+      if (![1, 2, 3, 4, -1].includes(entry.week)) throw new Error("week must be 1–4, or -1 for the last one");
+    }
+  }
+
+  const result = db.prepare(`
+    INSERT INTO blackouts (kind, date, month, day, weekday, week, offset_days, store, reason, category, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.kind, entry.date, entry.month, entry.day, entry.weekday, entry.week, entry.offset_days,
+    store, input.reason ? String(input.reason).trim() : null, category, new Date().toISOString()
+  );
+
+  const blackout = db.prepare("SELECT * FROM blackouts WHERE id = ?").get(result.lastInsertRowid);
+  const nextDate = nextOccurrence(blackout, getESTToday());
+  const affected = countAffected(nextDate, store);
+
+  logActivity(
+    "blackout_added",
+    `Blackout added: ${describeBlackout(blackout)} (${describeRule(blackout)})` +
+      (affected > 0 ? ` — ${affected} delivery(s) already scheduled ${nextDate} need rescheduling` : "")
+  );
+  return { blackout: { ...blackout, rule: describeRule(blackout), next_date: nextDate }, affected };
+}
+
+function removeBlackout(id) {
+  const blackout = db.prepare("SELECT * FROM blackouts WHERE id = ?").get(id);
+  if (!blackout) return null;
+  db.prepare("DELETE FROM blackouts WHERE id = ?").run(id);
+  logActivity("blackout_removed", `Blackout removed: ${describeBlackout(blackout)} (${describeRule(blackout)})`);
+  return blackout;
+}
+
+module.exports = {
+  KINDS,
+  CATEGORIES,
+  occurrenceInYear,
+  getBlackoutsForDate,
+  getBlackout,
+  isBlackout,
+  describeBlackout,
+  listBlackouts,
+  getUpcomingBlackouts,
+  addBlackout,
+  removeBlackout,
+};
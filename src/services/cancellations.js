@@ -0,0 +1,227 @@
+/**
+ * Stop Cancellations
+ *
+ * When a stop disappears from its Spoke plan, route sync cancels it
+ * (status 'cancelled', with the status it had kept in cancelled_from):
+ *
+ *   Not texted yet → cancelled quietly, nothing to undo
+ *   Already texted ('sent') → staff are alerted first, then the customer
+ *     gets a "no need to wait at home" notice:
+ *       stores.auto_cancel_notices on  → sent right away
+ *       off (default)                  → held until someone approves it
+ *     Declined, opted-out and rescheduling customers get no notice.
+ *
+ * cancel_notice_status: held | sent | failed | dismissed | withdrawn | not_needed
+ *
+ * A removed stop that shows up again — the same Spoke stop, or the same
+ * phone, date and address re-added as a new stop — gets its old row back at its
+ * prior status instead of a duplicate. A held notice is withdrawn; if the
+ * customer was already told it was cancelled, staff are alerted to call.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { getStore, getDisplayName } = require("./stores");
+const { transition } = require("./notification-state");
+const { describeDay } = require("./reply-correlation");
+const { alertHumanNeeded } = require("./staff-alerts");
+
+const NOTICE_STATUSES = ["held", "sent", "failed", "dismissed", "withdrawn", "not_needed"];
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getNotification(id) {
+  return db.prepare("SELECT * FROM notifications WHERE id = ?").get(id);
+}
+
+/**
+ * Why a texted customer doesn't need to hear about the cancellation, or null.
+ */
+function noticeSkipReason(notification) {
+  if (notification.confirmation_status === "declined") return "they'd already declined";
+  if (notification.confirmation_status === "opted_out") return "they've opted out";
+  if (["rescheduling", "staff"].includes(notification.conversation_state)) return "they're already rescheduling";
+  return null;
+}
+
+/**
+ * Cancel a stop that's no longer in its Spoke plan.
+ * @param {object} notification
+ * @returns {string} "cancelled" (quietly) | "held" | "sent" | "failed" | "not_needed" | "unchanged"
+ */
+async function cancelRemovedStop(notification) {
+  const wasTexted = notification.status === "sent";
+  const now = new Date().toISOString();
+  const skip = wasTexted ? noticeSkipReason(notification) : null;
+  const autoSend = wasTexted && !skip && !!getStore(notification.store)?.auto_cancel_notices;
+  const notice = !wasTexted ? null : skip ? "not_needed" : "held";
+
+  const moved = transition(notification.id, "message", "cancelled", {
+    fields: { cancelled_at: now, cancelled_from: notification.status, cancel_notice_status: notice, cancel_notice_at: null, cancel_notice_by: null },
+    reason: "removed from Spoke",
+  });
+  if (!moved.ok) return "unchanged";
+
+  console.log(`[Cancel] ✗ Cancelled: ${notification.customer_name} (removed from Spoke${wasTexted ? ", already texted" : ""})`);
+  logActivity("stop_removed", `Sync: ${notification.customer_name} removed from route${wasTexted ? " after being texted" : ""}`, notification.id);
+  if (!wasTexted) return "cancelled";
+
+  // ─── Staff first ───
+  const followUp = skip
+    ? `No notice needed — ${skip}.`
+    : autoSend
+      ? "We're texting them that it's cancelled."
+      : "A cancellation notice is waiting for approval in the dashboard.";
+  const sent = await alertHumanNeeded(
+    notification,
+    `STOP REMOVED — ${notification.customer_name} (${notification.phone}), ${getDisplayName(notification.store)}: ` +
+    `${notification.scheduled_date} ${notification.time_window} was already texted. ${followUp}`
+  );
+  if (sent > 0) logActivity("staff_alert_sent", `Removed-stop alert sent to ${sent} staff for ${notification.customer_name}`, notification.id);
+
+  if (skip) return "not_needed";
+  if (!autoSend) {
+    logActivity("cancel_notice_held", `Cancellation notice for ${notification.customer_name} held for approval`, notification.id);
+    return "held";
+  }
+  return (await sendCancellationNotice(notification.id, { sentBy: "auto" })).status;
+}
+
+/**
+ * Text the customer that their delivery is off (approving a held notice,
+ * or retrying a failed one).
+ * @param {number} notificationId
+ * @param {object} opts - { sentBy: staff name, or "auto" }
+ * @returns {object} { status, error } — status is the new cancel_notice_status
+ */
+async function sendCancellationNotice(notificationId, { sentBy = null } = {}) {
+  const notification = getNotification(notificationId);
+  if (!notification) throw new Error("Notification not found");
+  if (notification.status !== "cancelled" || !["held", "failed"].includes(notification.cancel_notice_status)) {
+    throw new Error(`No cancellation notice waiting (${notification.cancel_notice_status || "none"})`);
+  }
+
+  const firstName = notification.customer_name.split(" ")[0];
+  const message =
+    `Hi ${firstName}, this is ${getDisplayName(notification.store)}. Your delivery ${describeDay(notification.scheduled_date)} ` +
+    `${notification.time_window} has been taken off the schedule, so there's no need to wait at home. ` +
+    `We're sorry for the trouble — reply here and we'll help you set up a new time.`;
+
+  const now = new Date().toISOString();
+  let status = "sent";
+  let error = null;
+  try {
+    await sendSms(notification.phone, message, { notificationId: notification.id, purpose: "cancellation_notice", sentBy: sentBy === "auto" ? null : sentBy });
+  } catch (err) {
+    status = err.code === "OPTED_OUT" ? "not_needed" : "failed";
+    error = err.message;
+  }
+
+  db.prepare("UPDATE notifications SET cancel_notice_status = ?, cancel_notice_at = ?, cancel_notice_by = ?, updated_at = ? WHERE id = ?")
+    .run(status, now, sentBy, now, notification.id);
+
+  if (status === "sent") {
+    logActivity("cancel_notice_sent", `Cancellation notice sent to ${notification.customer_name}${sentBy && sentBy !== "auto" ? ` (approved by ${sentBy})` : ""}`, notification.id);
+  } else if (status === "failed") {
+    console.error("[Cancel] Failed to send cancellation notice:", error);
+    logActivity("sms_failed", `Cancellation notice to ${notification.customer_name} failed: ${error}`, notification.id);
+  } else {
+    logActivity("cancel_notice_skipped", `${notification.customer_name} has opted out — no cancellation notice`, notification.id);
+  }
+  return { status, error };
+}
+
+/**
+ * Decide a held notice isn't needed (e.g. staff called the customer).
+ */
+function dismissCancellationNotice(notificationId, { dismissedBy = null } = {}) {
+  const notification = getNotification(notificationId);
+  if (!notification) throw new Error("Notification not found");
+  if (!["held", "failed"].includes(notification.cancel_notice_status)) {
+    throw new Error(`No cancellation notice waiting (${notification.cancel_notice_status || "none"})`);
+  }
+  const now = new Date().toISOString();
+  db.prepare("UPDATE notifications SET cancel_notice_status = 'dismissed', cancel_notice_at = ?, cancel_notice_by = ?, updated_at = ? WHERE id = ?")
+    .run(now, dismissedBy, now, notification.id);
+  logActivity("cancel_notice_dismissed", `Cancellation notice for ${notification.customer_name} dismissed${dismissedBy ? ` by ${dismissedBy}` : ""}`, notification.id);
+  return getNotification(notificationId);
+}
+
+/**
+ * Cancelled stops, newest first.
+ * @param {object} filters - { notice: cancel_notice_status, limit }
+ */
+function listCancellations({ notice = null, limit = 50 } = {}) {
+  let where = "WHERE status = 'cancelled' AND cancelled_from IS NOT NULL";
+  const params = [];
+  if (notice) {
+    where += " AND cancel_notice_status = ?";
+    params.push(notice);
+  }
+  return db.prepare(`SELECT * FROM notifications ${where} ORDER BY cancelled_at DESC LIMIT ?`).all(...params, Math.min(Number(limit) || 50, 500));
+}
+
+/**
+ * A removal-cancelled row for a stop that's back: the same Spoke stop, or
+ * the same phone, date and address under a new stop ID.
+ */
+function findRemovedStop({ spokeStopId = null, phone = null, scheduledDate = null, address = "" }) {
+  const base = "SELECT * FROM notifications WHERE status = 'cancelled' AND cancelled_from IS NOT NULL";
+  if (spokeStopId) {
+    const byStop = db.prepare(`${base} AND spoke_stop_id = ?`).get(spokeStopId);
+    if (byStop) return byStop;
+  }
+  if (phone && scheduledDate) {
+    return db.prepare(`${base} AND phone = ? AND scheduled_date = ? AND COALESCE(address, '') = ? ORDER BY cancelled_at DESC LIMIT 1`)
+      .get(phone, scheduledDate, address || "") || null;
+  }
+  return null;
+}
+
+/**
+ * Put a removed stop back at the status it had before it was cancelled.
+ * @param {object} notification - a row from findRemovedStop()
+ * @param {object} opts - { spokeStopId: the stop's (possibly new) Spoke ID }
+ * @returns {object|null} the restored row, or null if it couldn't be moved
+ */
+async function restoreRemovedStop(notification, { spokeStopId = null } = {}) {
+  const prior = notification.cancelled_from || "pending";
+  const notice = notification.cancel_notice_status === "held" ? "withdrawn" : notification.cancel_notice_status;
+  const moved = transition(notification.id, "message", prior, {
+    fields: {
+      cancelled_at: null, cancelled_from: null, cancel_notice_status: notice,
+      spoke_stop_id: spokeStopId || notification.spoke_stop_id,
+    },
+    reason: "stop back in Spoke",
+    restore: true,
+  });
+  if (!moved.ok) return null;
+
+  console.log(`[Cancel] ↺ Restored ${notification.customer_name} to ${prior} (back in Spoke)`);
+  logActivity("stop_restored", `${notification.customer_name} is back on the route — restored to ${prior}${notice === "withdrawn" ? ", held cancellation notice withdrawn" : ""}`, notification.id);
+
+  if (prior === "sent") {
+    const told = notification.cancel_notice_status === "sent";
+    const sent = await alertHumanNeeded(
+      notification,
+      `STOP BACK — ${notification.customer_name} (${notification.phone}) is on the ${notification.scheduled_date} route again. ` +
+      (told ? "They were already texted that it was cancelled — please call them." : "No cancellation notice went out.")
+    );
+    if (sent > 0) logActivity("staff_alert_sent", `Restored-stop alert sent to ${sent} staff for ${notification.customer_name}`, notification.id);
+  }
+  return getNotification(notification.id);
+}
+
+module.exports = {
+  NOTICE_STATUSES,
+  cancelRemovedStop,
+  sendCancellationNotice,
+  dismissCancellationNotice,
+  listCancellations,
+  findRemovedStop,
+  restoreRemovedStop,
+};
@@ -0,0 +1,201 @@
+/**
+ * Delivery Capacity
+ *
+ * How many stops a store's truck can take on a date. Dispatchers set a
+ * limit per weekday on the store (stores.capacity, {"6": 25} = 25 stops on
+ * Saturdays) and override single dates here — a short-staffed Saturday, a
+ * second truck before a sale. No limit means unlimited; an override of 0
+ * stops new bookings without closing the date.
+ *
+ * A date's load is every delivery on the books for that store and date —
+ * synced stops plus rescheduled deliveries still waiting for a route —
+ * except removed stops and ones the customer already moved to another day.
+ *
+ * WHO RESPECTS IT:
+ *   reschedule — validateDate() rejects a full date and suggests open ones;
+ *                Emma is told which upcoming dates are fully booked
+ * Route sync doesn't: the dispatcher already built that route, so an
+ * overbooked date just shows red on the capacity calendar.
+ */
+
+const db = require("../database");
+const { getStore } = require("./stores");
+const { getBlackout } = require("./blackouts");
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getESTToday() {
+  const now = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  return now.toISOString().split("T")[0];
+}
+
+// Date math is done in UTC so YYYY-MM-DD strings never shift a day
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+function weekdayOf(dateStr) {
+  return new Date(dateStr + "T00:00:00Z").getUTCDay();
+}
+
+/**
+ * Deliveries counted against each date in a range, keyed by date.
+ * @returns {object} { "YYYY-MM-DD": { booked, rescheduled } }
+ */
+function countBooked(store, fromDate, toDate) {
+  const rows = db.prepare(`
+    SELECT scheduled_date,
+      COUNT(*) AS booked,
+      SUM(CASE WHEN rescheduled_from IS NOT NULL THEN 1 ELSE 0 END) AS rescheduled
+    FROM notifications
+    WHERE store = ? AND scheduled_date BETWEEN ? AND ?
+      AND status != 'cancelled'
+      AND COALESCE(conversation_state, 'none') != 'rescheduled'
+    GROUP BY scheduled_date
+  `).all(store, fromDate, toDate);
+  return Object.fromEntries(rows.map((r) => [r.scheduled_date, { booked: r.booked, rescheduled: r.rescheduled }]));
+}
+
+function getOverrides(store, fromDate, toDate) {
+  const rows = db.prepare("SELECT * FROM capacity_overrides WHERE store = ? AND date BETWEEN ? AND ?").all(store, fromDate, toDate);
+  return Object.fromEntries(rows.map((r) => [r.date, r]));
+}
+
+function describeDay(store, date, weekdayLimits, override, counts) {
+  const weekdayLimit = weekdayLimits[weekdayOf(date)];
+  const limit = override ? override.max_stops : weekdayLimit ?? null;
+  const booked = counts?.booked || 0;
+  return {
+    date,
+    store,
+    limit,
+    source: override ? "override" : limit !== null ? "weekday" : null,
+    note: override?.note || null,
+    booked,
+    rescheduled: counts?.rescheduled || 0,
+    remaining: limit === null ? null : Math.max(limit - booked, 0),
+    full: limit !== null && booked >= limit,
+  };
+}
+
+function pickLoad({ booked, rescheduled, remaining, full }) {
+  return { booked, rescheduled, remaining, full };
+}
+
+/**
+ * Limit and load for one store on one date.
+ * @returns {object} { date, store, limit, source ('override' | 'weekday' | null), note,
+ *                     booked, rescheduled, remaining (null = unlimited), full }
+ */
+function getCapacity(store, dateStr) {
+  const weekdayLimits = getStore(store)?.capacity || {};
+  return describeDay(
+    store, dateStr, weekdayLimits,
+    getOverrides(store, dateStr, dateStr)[dateStr],
+    countBooked(store, dateStr, dateStr)[dateStr]
+  );
+}
+
+/**
+ * Whether another delivery fits on a date (always true with no limit set).
+ */
+function hasCapacity(store, dateStr) {
+  return !getCapacity(store, dateStr).full;
+}
+
+/**
+ * Day-by-day capacity for a store, starting today.
+ * @param {object} opts - { store, days }
+ * @returns {Array} getCapacity() shape per date, plus weekday, delivery_day
+ *                  (one of the store's delivery or flexible days) and blackout (reason or null)
+ */
+function getCapacityCalendar({ store, days = 28 } = {}) {
+  const storeRow = getStore(store);
+  const weekdayLimits = storeRow?.capacity || {};
+  const deliveryDays = [...(storeRow?.delivery_days || []), ...(storeRow?.flexible_days || [])];
+  const from = getESTToday();
+  const to = addDays(from, days - 1);
+  const counts = countBooked(store, from, to);
+  const overrides = getOverrides(store, from, to);
+
+  const calendar = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    const blackout = getBlackout(date, store);
+    calendar.push({
+      ...describeDay(store, date, weekdayLimits, overrides[date], counts[date]),
+      weekday: weekdayOf(date),
+      delivery_day: deliveryDays.includes(weekdayOf(date)),
+      blackout: blackout ? blackout.reason || blackout.category : null,
+    });
+  }
+  return calendar;
+}
+
+/**
+ * Upcoming date overrides (today onward), every store or one.
+ */
+function listCapacityOverrides({ store } = {}) {
+  const params = [getESTToday()];
+  let query = "SELECT * FROM capacity_overrides WHERE date >= ?";
+  if (store) {
+    query += " AND store = ?";
+    params.push(store);
+  }
+  return db.prepare(query + " ORDER BY date ASC, store ASC").all(...params)
+    .map((o) => ({ ...o, ...pickLoad(getCapacity(o.store, o.date)) }));
+}
+
+/**
+ * Set (or replace) one date's limit for a store.
+ * @param {object} input - { store, date, maxStops, note, createdBy }
+ * @returns {object} override row with the date's current load
+ */
+function setCapacityOverride(input) {
+  const store = input.store;
+  if (!store || !getStore(store)) throw new Error(`Unknown store: ${store || "(none)"}`);
+  if (!input.date || !/^\d{4}-\d{2}-\d{2}$/.test(input.date)) throw new Error("date must be YYYY-MM-DD");
+  const raw = input.maxStops ?? input.max_stops;
+  const maxStops = raw === null || raw === undefined || raw === "" ? NaN : Number(raw);
+  if (!Number.isInteger(maxStops) || maxStops < 0) throw new Error("maxStops must be a whole number of stops (0 or more)");
+  const note = input.note ? String(input.note).trim() : null;
+
+  db.prepare(`
+    INSERT INTO capacity_overrides (store, date, max_stops, note, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(store, date) DO UPDATE SET max_stops = excluded.max_stops, note = excluded.note,
+      created_by = excluded.created_by, created_at = excluded.created_at
+  `).run(store, input.date, maxStops, note, input.createdBy || null, new Date().toISOString());
+
+  const override = db.prepare("SELECT * FROM capacity_overrides WHERE store = ? AND date = ?").get(store, input.date);
+  const load = getCapacity(store, input.date);
+  logActivity(
+    "capacity_override_set",
+    `Capacity for ${store} on ${input.date} set to ${maxStops} stop(s)${note ? ` (${note})` : ""}${input.createdBy ? ` by ${input.createdBy}` : ""}` +
+      (load.booked > maxStops ? ` — already ${load.booked} booked` : "")
+  );
+  return { ...override, ...pickLoad(load) };
+}
+
+function removeCapacityOverride(id) {
+  const override = db.prepare("SELECT * FROM capacity_overrides WHERE id = ?").get(id);
+  if (!override) return null;
+  db.prepare("DELETE FROM capacity_overrides WHERE id = ?").run(id);
+  logActivity("capacity_override_removed", `Capacity override removed for ${override.store} on ${override.date} (was ${override.max_stops})`);
+  return override;
+}
+
+module.exports = {
+  getCapacity,
+  hasCapacity,
+  getCapacityCalendar,
+  listCapacityOverrides,
+  setCapacityOverride,
+  removeCapacityOverride,
+};
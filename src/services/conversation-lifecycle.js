@@ -0,0 +1,198 @@
+/**
+ * Rescheduling Conversation Lifecycle
+ *
+ * A customer who says NO and then goes quiet used to stay in 'rescheduling'
+ * forever. Silence is measured from their last text in the conversation
+ * (or its start, if they never answered):
+ *
+ *   reschedule_nudge_hours    (default 24)  → one "just checking in" text
+ *                                             from Emma (10 AM–7 PM Eastern)
+ *   reschedule_escalate_hours (default 48)  → handoff queue + HUMAN NEEDED
+ *                                             alert (handoffs.js) — Emma
+ *                                             still answers if they reply
+ *   reschedule_close_hours    (default 168) → conversation_state 'abandoned';
+ *                                             later texts go to the inbox
+ *
+ * 0 turns a step off. A reply resets the clock, so a customer who answers
+ * the nudge and goes quiet again can be nudged again. Conversations staff
+ * have taken over or Emma handed off aren't touched — they're already in
+ * someone's hands. The day's nudged / escalated / closed counts go in the
+ * 9 PM summary.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { getDeliveryRules } = require("./stores");
+const { openHandoff } = require("./handoffs");
+const { alertHumanNeeded } = require("./staff-alerts");
+
+const LIFECYCLE_CHECK_INTERVAL_MS = 15 * 60 * 1000; // check every 15 minutes
+const NUDGE_SEND_HOURS = { start: 10, end: 19 }; // Eastern — no nudges overnight
+const DEFAULTS = { nudgeHours: 24, escalateHours: 48, closeHours: 168 };
+
+let lifecycleRunning = false; // prevent overlapping passes
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getHoursSetting(key, fallback) {
+  const value = parseFloat(db.prepare("SELECT value FROM settings WHERE key = ?").get(key)?.value);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Silence thresholds in hours (0 = that step is off).
+ */
+function getLifecycleSettings() {
+  return {
+    nudgeHours: getHoursSetting("reschedule_nudge_hours", DEFAULTS.nudgeHours),
+    escalateHours: getHoursSetting("reschedule_escalate_hours", DEFAULTS.escalateHours),
+    closeHours: getHoursSetting("reschedule_close_hours", DEFAULTS.closeHours),
+  };
+}
+
+/**
+ * Conversations Emma is running, with when the customer went quiet.
+ */
+function getActiveConversations() {
+  return db.prepare(`
+    SELECT n.*, COALESCE(
+      (SELECT MAX(created_at) FROM reschedule_conversations c WHERE c.notification_id = n.id AND c.role = 'user'),
+      (SELECT MIN(created_at) FROM reschedule_conversations c WHERE c.notification_id = n.id),
+      n.updated_at
+    ) AS silent_since
+    FROM notifications n
+    WHERE n.conversation_state = 'rescheduling'
+  `).all();
+}
+
+function describeSilence(hours) {
+  return hours >= 48 ? `${Math.floor(hours / 24)} days` : `${Math.floor(hours)} hours`;
+}
+
+async function nudge(notification) {
+  const rules = getDeliveryRules(notification.store);
+  const message =
+    `Hi ${notification.customer_name.split(" ")[0]}, just checking in — what day works best for your mattress delivery?` +
+    (rules ? ` We deliver to your area on ${rules.dayNames}.` : "");
+
+  const now = new Date().toISOString();
+  try {
+    await sendSms(notification.phone, message, { notificationId: notification.id, purpose: "reschedule_nudge" });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      db.prepare("UPDATE notifications SET conversation_state = 'none', updated_at = ? WHERE id = ?").run(now, notification.id);
+      logActivity("reschedule_closed", `${notification.customer_name} has opted out — rescheduling conversation closed`, notification.id);
+      return false;
+    }
+    console.error("[Lifecycle] Failed to nudge:", err.message);
+    logActivity("sms_failed", `Reschedule nudge to ${notification.customer_name} failed: ${err.message}`, notification.id);
+    return false;
+  }
+
+  // In Emma's history, so her next reply follows on from it
+  db.prepare("INSERT INTO reschedule_conversations (notification_id, role, content, created_at) VALUES (?, 'assistant', ?, ?)")
+    .run(notification.id, message, now);
+  db.prepare("UPDATE notifications SET reschedule_nudged_at = ? WHERE id = ?").run(now, notification.id);
+  logActivity("reschedule_nudged", `Nudged ${notification.customer_name} — no reply to Emma since ${new Date(notification.silent_since).toLocaleString("en-US", { timeZone: "America/New_York" })}`, notification.id);
+  return true;
+}
+
+async function escalate(notification, silentHours) {
+  const message =
+    `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) stopped replying to Emma ${describeSilence(silentHours)} ago ` +
+    `while rescheduling their ${notification.scheduled_date} delivery${notification.reschedule_nudged_at ? " (already nudged)" : ""}. Please give them a call.`;
+
+  db.prepare("UPDATE notifications SET reschedule_escalated_at = ? WHERE id = ?").run(new Date().toISOString(), notification.id);
+  openHandoff(notification, { reason: "stale_conversation", detail: message });
+  await alertHumanNeeded(notification, message);
+  logActivity("reschedule_stale", `${notification.customer_name} silent for ${describeSilence(silentHours)} — queued for staff follow-up`, notification.id);
+}
+
+function close(notification, silentHours) {
+  const now = new Date().toISOString();
+  db.prepare("UPDATE notifications SET conversation_state = 'abandoned', conversation_closed_at = ?, updated_at = ? WHERE id = ? AND conversation_state = 'rescheduling'")
+    .run(now, now, notification.id);
+  console.log(`[Lifecycle] ✗ Closed ${notification.customer_name}'s rescheduling conversation (${describeSilence(silentHours)} silent)`);
+  logActivity("reschedule_abandoned", `Rescheduling with ${notification.customer_name} closed after ${describeSilence(silentHours)} with no reply`, notification.id);
+}
+
+/**
+ * One pass: close, escalate or nudge each quiet conversation (only the
+ * furthest step it has reached).
+ * @returns {object} { nudged, escalated, closed }
+ */
+async function processStaleConversations() {
+  const { nudgeHours, escalateHours, closeHours } = getLifecycleSettings();
+  const estHour = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" })).getHours();
+  const canNudge = estHour >= NUDGE_SEND_HOURS.start && estHour < NUDGE_SEND_HOURS.end;
+  const counts = { nudged: 0, escalated: 0, closed: 0 };
+
+  for (const notification of getActiveConversations()) {
+    const silentHours = (Date.now() - new Date(notification.silent_since).getTime()) / (60 * 60 * 1000);
+    // Steps already taken during this silence
+    const escalated = notification.reschedule_escalated_at && notification.reschedule_escalated_at > notification.silent_since;
+    const nudged = notification.reschedule_nudged_at && notification.reschedule_nudged_at > notification.silent_since;
+
+    if (closeHours > 0 && silentHours >= closeHours) {
+      close(notification, silentHours);
+      counts.closed++;
+    } else if (escalateHours > 0 && silentHours >= escalateHours) {
+      if (escalated) continue;
+      await escalate(notification, silentHours);
+      counts.escalated++;
+    } else if (nudgeHours > 0 && silentHours >= nudgeHours) {
+      if (nudged || !canNudge) continue;
+      if (await nudge(notification)) counts.nudged++;
+    }
+  }
+
+  if (counts.nudged || counts.escalated || counts.closed) {
+    console.log(`[Lifecycle] ${counts.nudged} nudged, ${counts.escalated} escalated, ${counts.closed} closed`);
+  }
+  return counts;
+}
+
+/**
+ * How many conversations were nudged, escalated and closed since a time —
+ * every store, or only the given ones.
+ */
+function getLifecycleCounts(since, { stores = null } = {}) {
+  const scope = stores ? ` AND store IN (${stores.map(() => "?").join(", ")})` : "";
+  const count = (column) =>
+    db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE ${column} >= ?${scope}`).get(since, ...(stores || [])).count;
+  return {
+    nudged: count("reschedule_nudged_at"),
+    escalated: count("reschedule_escalated_at"),
+    closed: count("conversation_closed_at"),
+  };
+}
+
+async function checkStaleConversations() {
+  if (lifecycleRunning) return;
+  lifecycleRunning = true;
+  try {
+    await processStaleConversations();
+  } catch (err) {
+    console.error("[Lifecycle] Fatal error during lifecycle pass:", err);
+    logActivity("reschedule_error", `Conversation lifecycle error: ${err.message}`);
+  } finally {
+    lifecycleRunning = false;
+  }
+}
+
+function startConversationWorker() {
+  const { nudgeHours, escalateHours, closeHours } = getLifecycleSettings();
+  console.log(`[Lifecycle] Conversation worker started — nudge after ${nudgeHours}h, escalate after ${escalateHours}h, close after ${closeHours}h of silence`);
+  setInterval(checkStaleConversations, LIFECYCLE_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  getLifecycleSettings,
+  processStaleConversations,
+  getLifecycleCounts,
+  startConversationWorker,
+};
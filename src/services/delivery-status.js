@@ -0,0 +1,220 @@
+/**
+ * Carrier Delivery Status
+ *
+ * Quo accepting a message doesn't mean the customer got it — carriers
+ * reject texts to landlines, disconnected numbers, or filtered content.
+ * This tracks what the carrier actually did with each outbound text we
+ * care about:
+ *
+ *   confirmation   — the 6 PM delivery text (notifications.quo_message_id)
+ *   review_request — the post-delivery review text (notifications.review_message_id)
+ *   sale_review    — day-of-sale review text (sale_reviews.quo_message_id)
+ *   ledger         — every outbound text in the message ledger (messages.js)
+ *
+ * CARRIER STATUSES:
+ *   accepted → Quo took it (set when we send)
+ *   queued / sent → in flight at the carrier
+ *   delivered → handset received it
+ *   undelivered / failed → carrier rejected it (carrier_error has the reason)
+ *
+ * SOURCES:
+ *   Quo webhooks (message.delivered and failure events) via the inbox, and
+ *   a poller that looks up anything still in flight after POLL_MIN_AGE_MINUTES
+ *   for up to POLL_MAX_AGE_HOURS, in case a webhook never arrives.
+ *
+ * Undelivered confirmations are listed in the staff summary so someone
+ * calls those customers. The notification's own status stays 'sent'.
+ */
+
+const db = require("../database");
+const { getMessageStatus } = require("./quo");
+
+const POLL_INTERVAL_MS = 5 * 60 * 1000; // check every 5 minutes
+const POLL_MIN_AGE_MINUTES = 2; // give the webhook a chance first
+const POLL_MAX_AGE_HOURS = 48;
+const POLL_BATCH_SIZE = 50;
+
+const IN_FLIGHT_STATUSES = ["accepted", "queued", "sent"];
+const FAILED_STATUSES = ["undelivered", "failed"];
+
+// A status never moves backwards (a late "sent" event can't undo "delivered"),
+// and the first final status wins
+const STATUS_RANK = { accepted: 0, queued: 1, sent: 2, delivered: 3, undelivered: 3, failed: 3 };
+const FINAL_RANK = 3;
+
+const TARGETS = {
+  confirmation: {
+    table: "notifications",
+    messageColumn: "quo_message_id",
+    statusColumn: "carrier_status",
+    errorColumn: "carrier_error",
+    atColumn: "carrier_status_at",
+    label: "Delivery confirmation",
+  },
+  review_request: {
+    table: "notifications",
+    messageColumn: "review_message_id",
+    statusColumn: "review_carrier_status",
+    errorColumn: "review_carrier_error",
+    atColumn: "review_carrier_status_at",
+    label: "Review request",
+  },
+  sale_review: {
+    table: "sale_reviews",
+    messageColumn: "quo_message_id",
+    statusColumn: "carrier_status",
+    errorColumn: "carrier_error",
+    atColumn: "carrier_status_at",
+    label: "Sale review request",
+  },
+  // Not logged on failure — the rows above already cover customer texts
+  ledger: {
+    table: "messages",
+    messageColumn: "quo_message_id",
+    statusColumn: "carrier_status",
+    errorColumn: "carrier_error",
+    atColumn: "carrier_status_at",
+    label: null,
+  },
+};
+
+let pollRunning = false; // prevent overlapping passes
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+/**
+ * Quo's wording → ours. Returns null for anything unrecognized.
+ */
+function normalizeStatus(raw) {
+  if (!raw) return null;
+  const status = String(raw).toLowerCase().replace(/^message\./, "");
+  if (status === "delivered") return "delivered";
+  if (status === "undelivered" || status === "rejected") return "undelivered";
+  if (status === "failed" || status === "delivery_failed") return "failed";
+  if (status === "sent" || status === "sending") return "sent";
+  if (status === "queued") return "queued";
+  return null;
+}
+
+/**
+ * Record a carrier status for a Quo message ID, wherever it was used.
+ * @returns {Array} [{ kind, id, status }] rows that changed
+ */
+function recordCarrierStatus(messageId, rawStatus, reason = null) {
+  const status = normalizeStatus(rawStatus);
+  if (!messageId || !status) return [];
+
+  const now = new Date().toISOString();
+  const changed = [];
+
+  for (const [kind, t] of Object.entries(TARGETS)) {
+    const row = db.prepare(`SELECT * FROM ${t.table} WHERE ${t.messageColumn} = ?`).get(messageId);
+    if (!row) continue;
+
+    const current = row[t.statusColumn];
+    if (current === status) continue;
+    if (current && (STATUS_RANK[current] === FINAL_RANK || STATUS_RANK[current] > STATUS_RANK[status])) continue;
+
+    const error = FAILED_STATUSES.includes(status) ? (reason || "Carrier rejected the message") : null;
+    db.prepare(`UPDATE ${t.table} SET ${t.statusColumn} = ?, ${t.errorColumn} = ?, ${t.atColumn} = ?, updated_at = ? WHERE id = ?`)
+      .run(status, error, now, now, row.id);
+    changed.push({ kind, id: row.id, status });
+
+    if (FAILED_STATUSES.includes(status) && t.label) {
+      const notificationId = t.table === "notifications" ? row.id : null;
+      logActivity("sms_undelivered", `${t.label} to ${row.customer_name} was not delivered: ${error}`, notificationId);
+      console.log(`[Carrier] ✗ ${t.label} #${row.id} (${row.customer_name}) ${status}: ${error}`);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Handle a Quo status webhook (message.delivered, message.undelivered, …).
+ * @returns {boolean} true if the event was an outbound status update
+ */
+function handleStatusEvent(event) {
+  const type = event.type || event.data?.type || "";
+  const message = event.data?.object || event.data || {};
+  const match = type.match(/^message\.(delivered|undelivered|failed)$/);
+  if (!match && (type === "message.received" || message.direction !== "outgoing" || !message.status)) return false;
+
+  const status = match ? match[1] : message.status;
+  const reason = message.errorMessage || message.error?.message || message.statusReason || null;
+  recordCarrierStatus(message.id, status, reason);
+  return true;
+}
+
+/**
+ * Look up messages that are still in flight (webhook missed or delayed).
+ * @returns {object} { checked, updated, errors }
+ */
+async function pollCarrierStatus() {
+  if (pollRunning || !process.env.QUO_API_KEY) return { checked: 0, updated: 0, errors: 0 };
+  pollRunning = true;
+
+  const results = { checked: 0, updated: 0, errors: 0 };
+  const newest = new Date(Date.now() - POLL_MIN_AGE_MINUTES * 60 * 1000).toISOString();
+  const oldest = new Date(Date.now() - POLL_MAX_AGE_HOURS * 60 * 60 * 1000).toISOString();
+
+  try {
+    // One lookup per message ID, even when it's tracked in several tables
+    const messageIds = new Set();
+    for (const t of Object.values(TARGETS)) {
+      db.prepare(`
+        SELECT ${t.messageColumn} as message_id FROM ${t.table}
+        WHERE ${t.messageColumn} IS NOT NULL
+          AND ${t.statusColumn} IN (${IN_FLIGHT_STATUSES.map(() => "?").join(", ")})
+          AND ${t.atColumn} <= ? AND ${t.atColumn} >= ?
+        ORDER BY ${t.atColumn} ASC LIMIT ?
+      `).all(...IN_FLIGHT_STATUSES, newest, oldest, POLL_BATCH_SIZE).forEach((row) => messageIds.add(row.message_id));
+    }
+
+    for (const messageId of messageIds) {
+      results.checked++;
+      try {
+        const { status, error } = await getMessageStatus(messageId);
+        if (recordCarrierStatus(messageId, status, error).length > 0) results.updated++;
+      } catch (err) {
+        results.errors++;
+        console.error(`[Carrier] Status lookup failed for ${messageId}:`, err.message);
+      }
+    }
+  } finally {
+    pollRunning = false;
+  }
+
+  if (results.updated > 0) console.log(`[Carrier] Poll — ${results.checked} checked, ${results.updated} updated`);
+  return results;
+}
+
+/**
+ * Delivery confirmations for a date the carrier didn't deliver.
+ */
+function getUndeliveredConfirmations(deliveryDate) {
+  return db.prepare(`
+    SELECT id, customer_name, phone, store, carrier_status, carrier_error FROM notifications
+    WHERE scheduled_date = ? AND status NOT IN ('cancelled', 'pending')
+      AND carrier_status IN (${FAILED_STATUSES.map(() => "?").join(", ")})
+    ORDER BY customer_name ASC
+  `).all(deliveryDate, ...FAILED_STATUSES);
+}
+
+function startCarrierStatusPoller() {
+  console.log(`[Carrier] Delivery status poller started — every ${POLL_INTERVAL_MS / 60000} min`);
+  setInterval(pollCarrierStatus, POLL_INTERVAL_MS);
+}
+
+module.exports = {
+  TARGETS,
+  normalizeStatus,
+  recordCarrierStatus,
+  handleStatusEvent,
+  pollCarrierStatus,
+  getUndeliveredConfirmations,
+  startCarrierStatusPoller,
+};
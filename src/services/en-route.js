@@ -0,0 +1,208 @@
+/**
+ * Delivery-Day Texts
+ *
+ * The confirmation text promises "your driver will text when en route";
+ * this is that text, driven by Spoke events (webhooks/spoke.js):
+ *
+ *   en_route    — stop.out_for_delivery (the driver is heading to this stop
+ *                 next): "on the way, arriving around 10:40 AM". Sent once,
+ *                 and moves delivery_status queued → en_route.
+ *   eta_update  — route.started (every stop on the route): if the live ETA
+ *                 falls outside the 2-hour window we promised
+ *                 (computeDeliveryWindow() of raw_delivery_time), text the
+ *                 new window. The new window becomes the promise, so the
+ *                 customer only hears again if the ETA leaves that one too —
+ *                 at most MAX_WINDOW_UPDATES times per delivery (a window
+ *                 change texted by route sync counts toward it). Recorded
+ *                 in the window history (window-changes.js).
+ *
+ * Each type can be turned off per store (stores.en_route_texts /
+ * eta_update_texts). Nothing goes to cancelled, declined, opted-out,
+ * rescheduling, or already-attempted deliveries.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { computeDeliveryWindow } = require("./templates");
+const { getDisplayName, sendsDayOfText } = require("./stores");
+const { transition } = require("./notification-state");
+const { recordWindowChange } = require("./window-changes");
+
+const MAX_WINDOW_UPDATES = 2;
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+/**
+ * Spoke ETA (epoch seconds) → minutes from midnight, Eastern.
+ */
+function etaToMinutes(etaTimestamp) {
+  const est = new Date(new Date(etaTimestamp * 1000).toLocaleString("en-US", { timeZone: "America/New_York" }));
+  return est.getHours() * 60 + est.getMinutes();
+}
+
+/**
+ * 640 → "10:40 AM"
+ */
+function formatClock(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const displayHour = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHour}:${String(minutes % 60).padStart(2, "0")} ${hours < 12 ? "AM" : "PM"}`;
+}
+
+function toRawTime(minutes) {
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Why a delivery-day text shouldn't go out, or null if it should.
+ * @param {string} type - "en_route" | "eta_update"
+ */
+function skipReason(notification, type) {
+  if (notification.status === "cancelled") return "cancelled";
+  if (type === "eta_update" && notification.status !== "sent") return "no window was promised";
+  if (["declined", "opted_out"].includes(notification.confirmation_status)) return notification.confirmation_status;
+  if (["delivered", "attempted_failed"].includes(notification.delivery_status)) return notification.delivery_status;
+  if (["rescheduling", "staff"].includes(notification.conversation_state)) return "rescheduling";
+  if (!sendsDayOfText(notification.store, type)) return `${type} texts off for ${notification.store}`;
+  return null;
+}
+
+/**
+ * The window the customer was last told, or null if we never had a time.
+ * @returns {object|null} computeDeliveryWindow() result
+ */
+function getPromisedWindow(notification) {
+  if (!notification.raw_delivery_time) return null;
+  return computeDeliveryWindow(notification.raw_delivery_time);
+}
+
+/**
+ * Text the customer that the driver is on the way. Sent once per delivery.
+ * @param {object} notification
+ * @param {number|null} etaTimestamp - Spoke ETA (epoch seconds), if known
+ * @returns {boolean} true if the text went out
+ */
+async function sendEnRouteText(notification, etaTimestamp = null) {
+  if (notification.en_route_sent_at) {
+    console.log(`[En Route] Already texted ${notification.customer_name} — skipping`);
+    return false;
+  }
+
+  const now = new Date().toISOString();
+  const etaMinutes = etaTimestamp ? etaToMinutes(etaTimestamp) : null;
+  const etaFields = etaMinutes !== null ? { live_eta: toRawTime(etaMinutes), live_eta_at: now } : {};
+
+  if (notification.delivery_status === "queued") {
+    transition(notification.id, "delivery", "en_route", { fields: etaFields, reason: "Spoke stop out for delivery" });
+  }
+
+  const skip = skipReason(notification, "en_route");
+  if (skip) {
+    console.log(`[En Route] Not texting ${notification.customer_name}: ${skip}`);
+    return false;
+  }
+
+  const firstName = notification.customer_name.split(" ")[0];
+  const driver = notification.driver && notification.driver !== "Your driver" ? notification.driver : "Your driver";
+  const arriving = etaMinutes !== null ? `, arriving around ${formatClock(etaMinutes)}` : "";
+  const message = `Hi ${firstName}! ${driver} is on the way with your ${getDisplayName(notification.store)} delivery${arriving}.`;
+
+  try {
+    await sendSms(notification.phone, message, { notificationId: notification.id, purpose: "en_route" });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      console.log(`[En Route] ${notification.customer_name} has opted out — no en-route text`);
+      return false;
+    }
+    console.error("[En Route] Failed to send en-route text:", err.message);
+    logActivity("sms_failed", `En-route text to ${notification.customer_name} failed: ${err.message}`, notification.id);
+    return false;
+  }
+
+  db.prepare(
+    `UPDATE notifications SET en_route_sent_at = ?, live_eta = COALESCE(?, live_eta), live_eta_at = COALESCE(?, live_eta_at), updated_at = ? WHERE id = ?`
+  ).run(now, etaFields.live_eta || null, etaFields.live_eta_at || null, now, notification.id);
+  logActivity("en_route_sent", `En-route text sent to ${notification.customer_name}${arriving ? ` (ETA ${formatClock(etaMinutes)})` : ""}`, notification.id);
+  console.log(`[En Route] ✓ ${notification.customer_name} texted${arriving}`);
+  return true;
+}
+
+/**
+ * Record Spoke's live ETA and, if it's outside the promised window, text
+ * the customer the new one.
+ * @param {object} notification
+ * @param {number} etaTimestamp - Spoke ETA (epoch seconds)
+ * @returns {boolean} true if an updated window went out
+ */
+async function checkLiveEta(notification, etaTimestamp) {
+  if (!etaTimestamp) return false;
+
+  const now = new Date().toISOString();
+  const etaMinutes = etaToMinutes(etaTimestamp);
+  db.prepare("UPDATE notifications SET live_eta = ?, live_eta_at = ? WHERE id = ?").run(toRawTime(etaMinutes), now, notification.id);
+
+  const promised = getPromisedWindow(notification);
+  if (!promised) return false;
+
+  // Windows start at the ETA rounded up, so an ETA up to 30 min before the
+  // start is the same window — compare rounded, like the original promise
+  const updated = computeDeliveryWindow(etaMinutes);
+  if (updated.windowStart >= promised.windowStart && etaMinutes <= promised.windowEnd) return false;
+
+  console.log(`[En Route] ${notification.customer_name}: ETA ${formatClock(etaMinutes)} is outside ${promised.windowText}`);
+
+  const skip = skipReason(notification, "eta_update")
+    || ((notification.window_update_count || 0) >= MAX_WINDOW_UPDATES ? `already sent ${MAX_WINDOW_UPDATES} window updates` : null);
+  if (skip) {
+    console.log(`[En Route] Not texting ${notification.customer_name} a new window: ${skip}`);
+    return false;
+  }
+
+  const firstName = notification.customer_name.split(" ")[0];
+  const message =
+    `Hi ${firstName}, an update on today's delivery from ${getDisplayName(notification.store)}: ` +
+    `we now expect to arrive ${updated.windowText}. Sorry for the change!`;
+
+  let sent;
+  try {
+    sent = await sendSms(notification.phone, message, { notificationId: notification.id, purpose: "eta_update" });
+  } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      console.log(`[En Route] ${notification.customer_name} has opted out — no window update`);
+      return false;
+    }
+    console.error("[En Route] Failed to send window update:", err.message);
+    logActivity("sms_failed", `Window update to ${notification.customer_name} failed: ${err.message}`, notification.id);
+    return false;
+  }
+
+  // The new window is now the promise
+  db.prepare(`
+    UPDATE notifications SET
+      original_time_window = COALESCE(original_time_window, time_window),
+      time_window = ?, raw_delivery_time = ?,
+      window_updated_at = ?, window_update_count = COALESCE(window_update_count, 0) + 1, updated_at = ?
+    WHERE id = ?
+  `).run(updated.windowText, toRawTime(etaMinutes), now, now, notification.id);
+  recordWindowChange({
+    notificationId: notification.id, oldWindow: promised.windowText, newWindow: updated.windowText,
+    oldTime: notification.raw_delivery_time, newTime: toRawTime(etaMinutes),
+    source: "live_eta", status: "notified", messageId: sent.ledgerId || null,
+  });
+  logActivity("eta_update_sent", `${notification.customer_name}'s window moved ${promised.windowText} → ${updated.windowText} (ETA ${formatClock(etaMinutes)})`, notification.id);
+  console.log(`[En Route] ✓ ${notification.customer_name} told ${updated.windowText}`);
+  return true;
+}
+
+module.exports = {
+  MAX_WINDOW_UPDATES,
+  etaToMinutes,
+  formatClock,
+  getPromisedWindow,
+  sendEnRouteText,
+  checkLiveEta,
+};
@@ -0,0 +1,335 @@
+/**
+ * Handoff Queue
+ *
+ * Every time a customer is promised a person, a row goes in `handoffs`
+ * with the reason, customer, store and an SLA deadline:
+ *
+ *   ai_handoff        — Emma handed the conversation off (conversation_state 'handoff')
+ *   ai_error          — Emma couldn't respond (Claude failed or answered garbage)
+ *   no_delivery_rules — the store can't reschedule by text; the customer was
+ *                       told "a member of our team will text you tomorrow after 10 AM"
+ *   text_failed       — a missed-delivery text couldn't go out; someone has to call
+ *   booking_failed    — the customer picked a date but Spoke wouldn't take the stop
+ *   stale_conversation — the customer went quiet mid-reschedule (conversation-lifecycle.js)
+ *
+ *   sla_due_at = handoff_sla_time (default 12:00) Eastern the day after it
+ *                was raised — customers are told "tomorrow after 10 AM"
+ *
+ *   status: open → claimed (someone's on it) → resolved (outcome + note)
+ *
+ * Claiming — from the dashboard/API, or by replying OK to the HUMAN NEEDED
+ * text (staff-alerts.js) — stops that text escalating. Past the deadline the
+ * claimer, or the store's first on-duty tier of handoff contacts if it's
+ * unclaimed (or the claimer is off duty), get an OVERDUE reminder every
+ * handoff_reminder_minutes (default 60) until it's resolved. Overdue
+ * handoffs are listed in the 9 PM summary.
+ *
+ * One unresolved handoff per delivery — raising another returns it.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { getDisplayName } = require("./stores");
+const { listStaff, getHandoffTiers, isOnDuty } = require("./staff");
+
+const REMINDER_CHECK_INTERVAL_MS = 5 * 60 * 1000; // check every 5 minutes
+const DEFAULT_SLA_TIME = "12:00";
+const DEFAULT_REMINDER_MINUTES = 60;
+
+const REASONS = {
+  ai_handoff: "Emma handed the conversation off",
+  ai_error: "Emma had a technical issue",
+  no_delivery_rules: "store can't reschedule by text",
+  text_failed: "couldn't text them after a missed delivery",
+  booking_failed: "couldn't book their new date in Spoke",
+  stale_conversation: "stopped replying to Emma",
+};
+const STATUSES = ["open", "claimed", "resolved"];
+const OUTCOMES = ["rescheduled", "keeping_date", "cancelled", "unreachable", "other"];
+
+let reminderRunning = false; // prevent overlapping passes
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getSetting(key) {
+  return db.prepare("SELECT value FROM settings WHERE key = ?").get(key)?.value;
+}
+
+function getSlaTime() {
+  const value = getSetting("handoff_sla_time");
+  return /^\d{1,2}:\d{2}$/.test(value || "") ? value : DEFAULT_SLA_TIME;
+}
+
+function getReminderMinutes() {
+  const value = parseInt(getSetting("handoff_reminder_minutes"), 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_REMINDER_MINUTES;
+}
+
+/**
+ * When a handoff raised at `from` is due: handoff_sla_time, Eastern, the next day.
+ * @returns {string} ISO timestamp
+ */
+function getSlaDeadline(from = new Date()) {
+  const [h, m] = getSlaTime().split(":").map(Number);
+  from = new Date(Math.floor(from.getTime() / 1000) * 1000);
+  const estNow = new Date(from.toLocaleString("en-US", { timeZone: "America/New_York" }));
+  const due = new Date(estNow);
+  due.setDate(due.getDate() + 1);
+  due.setHours(h, m, 0, 0);
+  return new Date(from.getTime() + (due - estNow)).toISOString();
+}
+
+/**
+ * "Tue 12:00 PM" (Eastern)
+ */
+function formatDue(iso) {
+  return new Date(iso).toLocaleString("en-US", { timeZone: "America/New_York", weekday: "short", hour: "numeric", minute: "2-digit" });
+}
+
+function getHandoff(id) {
+  return db.prepare("SELECT * FROM handoffs WHERE id = ?").get(id) || null;
+}
+
+function getActiveHandoff(notificationId) {
+  return db.prepare("SELECT * FROM handoffs WHERE notification_id = ? AND status != 'resolved' ORDER BY created_at DESC LIMIT 1")
+    .get(notificationId) || null;
+}
+
+/**
+ * Queue a handoff for a customer who was promised a person.
+ * @param {object} notification
+ * @param {object} opts - { reason: key of REASONS, detail: what staff were told }
+ * @returns {object} the handoff (the existing one if the delivery already has one)
+ */
+function openHandoff(notification, { reason, detail = null }) {
+  const existing = getActiveHandoff(notification.id);
+  if (existing) return existing;
+
+  const now = new Date();
+  const id = db.prepare(`
+    INSERT INTO handoffs (notification_id, customer_name, phone, store, reason, detail, status, sla_due_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?)
+  `).run(
+    notification.id, notification.customer_name, notification.phone, notification.store || null,
+    reason, detail, getSlaDeadline(now), now.toISOString()
+  ).lastInsertRowid;
+
+  const handoff = getHandoff(id);
+  console.log(`[Handoff] Queued ${notification.customer_name} (${reason}) — due ${formatDue(handoff.sla_due_at)}`);
+  logActivity("handoff_opened", `${notification.customer_name} queued for staff follow-up: ${REASONS[reason] || reason} (due ${formatDue(handoff.sla_due_at)})`, notification.id);
+  return handoff;
+}
+
+/**
+ * Take a handoff. Claiming one you already hold is a no-op.
+ */
+function claimHandoff(id, { claimedBy = null } = {}) {
+  const handoff = getHandoff(id);
+  if (!handoff) throw new Error("Handoff not found");
+  if (handoff.status === "resolved") throw new Error("Handoff is already resolved");
+  if (handoff.status === "claimed") {
+    if (claimedBy && handoff.claimed_by === claimedBy) return handoff;
+    throw new Error(`Already claimed by ${handoff.claimed_by || "someone"}`);
+  }
+
+  const now = new Date().toISOString();
+  db.prepare("UPDATE handoffs SET status = 'claimed', claimed_by = ?, claimed_at = ? WHERE id = ?").run(claimedBy, now, id);
+  // Someone has it — stop the HUMAN NEEDED text escalating
+  db.prepare("UPDATE handoff_alerts SET status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ? WHERE notification_id = ? AND status IN ('open', 'unanswered')")
+    .run(now, claimedBy, handoff.notification_id);
+
+  logActivity("handoff_claimed", `${claimedBy || "Staff"} claimed the handoff for ${handoff.customer_name}`, handoff.notification_id);
+  return getHandoff(id);
+}
+
+/**
+ * Claim a delivery's open handoff, if it has one nobody's claimed
+ * (e.g. when someone takes its HUMAN NEEDED text).
+ */
+function claimHandoffFor(notificationId, { claimedBy = null } = {}) {
+  const handoff = getActiveHandoff(notificationId);
+  if (!handoff || handoff.status !== "open") return null;
+  return claimHandoff(handoff.id, { claimedBy });
+}
+
+/**
+ * Close a handoff with how it ended. Ends a handoff, taken-over or stalled
+ * rescheduling conversation — 'rescheduled' marks it rescheduled.
+ * @param {object} opts - { resolvedBy, outcome: one of OUTCOMES, note }
+ */
+function resolveHandoff(id, { resolvedBy = null, outcome, note = null } = {}) {
+  const handoff = getHandoff(id);
+  if (!handoff) throw new Error("Handoff not found");
+  if (handoff.status === "resolved") throw new Error("Handoff is already resolved");
+  if (!OUTCOMES.includes(outcome)) throw new Error(`outcome must be one of: ${OUTCOMES.join(", ")}`);
+
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE handoffs SET status = 'resolved', resolved_by = ?, resolved_at = ?, outcome = ?, resolution_note = ?,
+      claimed_by = COALESCE(claimed_by, ?), claimed_at = COALESCE(claimed_at, ?)
+    WHERE id = ?
+  `).run(resolvedBy, now, outcome, note ? String(note).trim() : null, resolvedBy, now, id);
+  db.prepare("UPDATE handoff_alerts SET status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ? WHERE notification_id = ? AND status IN ('open', 'unanswered')")
+    .run(now, resolvedBy, handoff.notification_id);
+  db.prepare(
+    "UPDATE notifications SET conversation_state = ?, updated_at = ? WHERE id = ? AND conversation_state IN ('handoff', 'rescheduling', 'staff')"
+  ).run(outcome === "rescheduled" ? "rescheduled" : "none", now, handoff.notification_id);
+
+  const late = new Date(now) > new Date(handoff.sla_due_at);
+  logActivity(
+    "handoff_resolved",
+    `Handoff for ${handoff.customer_name} resolved${resolvedBy ? ` by ${resolvedBy}` : ""}: ${outcome}${late ? " (after the deadline)" : ""}${note ? ` — ${note}` : ""}`,
+    handoff.notification_id
+  );
+  return getHandoff(id);
+}
+
+/**
+ * Resolve a delivery's unresolved handoff, if any (e.g. Emma rescheduled
+ * them after all).
+ */
+function resolveHandoffFor(notificationId, opts) {
+  const handoff = getActiveHandoff(notificationId);
+  return handoff ? resolveHandoff(handoff.id, opts) : null;
+}
+
+/**
+ * Handoffs, most urgent first.
+ * @param {object} filters - { status: open | claimed | resolved | overdue | active (open + claimed), store, limit }
+ */
+function listHandoffs({ status = "active", store = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status === "active") where.push("status != 'resolved'");
+  else if (status === "overdue") {
+    where.push("status != 'resolved' AND sla_due_at <= ?");
+    params.push(new Date().toISOString());
+  } else if (status) {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (store) {
+    where.push("store = ?");
+    params.push(store);
+  }
+  const order = status === "resolved" ? "resolved_at DESC" : "sla_due_at ASC";
+  return db.prepare(`SELECT * FROM handoffs ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY ${order} LIMIT ?`)
+    .all(...params, Math.min(Number(limit) || 100, 500));
+}
+
+function getHandoffCounts() {
+  const now = new Date().toISOString();
+  return db.prepare(`
+    SELECT
+      SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) as open,
+      SUM(CASE WHEN status = 'claimed' THEN 1 ELSE 0 END) as claimed,
+      SUM(CASE WHEN status != 'resolved' AND sla_due_at <= ? THEN 1 ELSE 0 END) as overdue
+    FROM handoffs
+  `).get(now);
+}
+
+/**
+ * Unresolved handoffs past their deadline — every store, or only the given ones.
+ */
+function getOverdueHandoffs({ stores = null } = {}) {
+  return listHandoffs({ status: "overdue", limit: 500 }).filter((h) => !stores || stores.includes(h.store));
+}
+
+// ─── Overdue reminders ───────────────────────────────────
+
+/**
+ * Who to nudge about an overdue handoff: its claimer if they're on duty,
+ * otherwise the store's first tier of handoff contacts with anyone on duty.
+ */
+function getReminderRecipients(handoff, now) {
+  if (handoff.claimed_by) {
+    const claimer = listStaff({ includeInactive: false })
+      .find((m) => m.name.toLowerCase() === handoff.claimed_by.toLowerCase());
+    if (claimer && isOnDuty(claimer, now)) return [claimer];
+  }
+  const tier = getHandoffTiers(handoff.store)
+    .map((t) => t.members.filter((m) => isOnDuty(m, now)))
+    .find((members) => members.length > 0);
+  return tier || [];
+}
+
+/**
+ * Text a reminder for every overdue handoff not reminded in the last
+ * handoff_reminder_minutes. Waits for someone to be on duty.
+ * @returns {number} handoffs reminded
+ */
+async function processReminders() {
+  const estNow = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  const cutoff = new Date(Date.now() - getReminderMinutes() * 60 * 1000).toISOString();
+  const due = getOverdueHandoffs().filter((h) => !h.last_reminder_at || h.last_reminder_at <= cutoff);
+
+  let reminded = 0;
+  for (const handoff of due) {
+    const recipients = getReminderRecipients(handoff, estNow);
+    if (recipients.length === 0) continue;
+
+    const message =
+      `OVERDUE — ${handoff.customer_name} (${handoff.phone}), ${getDisplayName(handoff.store)}: ${REASONS[handoff.reason] || handoff.reason}. ` +
+      `Follow-up was due ${formatDue(handoff.sla_due_at)}. ` +
+      `${handoff.claimed_by ? `${handoff.claimed_by} claimed it` : "Nobody has claimed it"} — resolve it in the dashboard once they're sorted.`;
+
+    let sent = 0;
+    for (const member of recipients) {
+      try {
+        await sendSms(member.phone, message, { notificationId: handoff.notification_id, purpose: "staff_alert" });
+        sent++;
+      } catch (err) {
+        console.error(`[Handoff] Failed to remind ${member.name}:`, err.message);
+      }
+    }
+
+    db.prepare("UPDATE handoffs SET reminder_count = reminder_count + 1, last_reminder_at = ? WHERE id = ?").run(new Date().toISOString(), handoff.id);
+    if (handoff.reminder_count === 0) {
+      logActivity("handoff_overdue", `Handoff for ${handoff.customer_name} is overdue (due ${formatDue(handoff.sla_due_at)}) — reminded ${recipients.map((m) => m.name).join(", ")}`, handoff.notification_id);
+    }
+    console.log(`[Handoff] ⏰ Reminded ${sent} staff about ${handoff.customer_name}`);
+    reminded++;
+  }
+  return reminded;
+}
+
+async function checkReminders() {
+  if (reminderRunning) return;
+  reminderRunning = true;
+  try {
+    await processReminders();
+  } catch (err) {
+    console.error("[Handoff] Fatal error during reminder pass:", err);
+    logActivity("handoff_error", `Handoff reminder error: ${err.message}`);
+  } finally {
+    reminderRunning = false;
+  }
+}
+
+function startHandoffWorker() {
+  console.log(`[Handoff] Reminder worker started — due ${getSlaTime()} the next day, reminders every ${getReminderMinutes()} min once overdue`);
+  setInterval(checkReminders, REMINDER_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  REASONS,
+  STATUSES,
+  OUTCOMES,
+  getSlaDeadline,
+  getHandoff,
+  getActiveHandoff,
+  openHandoff,
+  claimHandoff,
+  claimHandoffFor,
+  resolveHandoff,
+  resolveHandoffFor,
+  listHandoffs,
+  getHandoffCounts,
+  getOverdueHandoffs,
+  processReminders,
+  startHandoffWorker,
+};
@@ -0,0 +1,282 @@
+/**
+ * Customer Inbox
+ *
+ * Two-way texting from the dashboard. A thread is every message in the
+ * ledger for one phone number (see messages.js), merged with that
+ * customer's rescheduling conversation from reschedule_conversations.
+ * Any number that has texted us has a thread.
+ *
+ * inbox_threads holds the per-phone state the ledger can't:
+ *   last_read_at → inbound messages after it are unread
+ *   needs_reply  → set when a text matched no keyword and no conversation
+ *                  (it used to be dropped); cleared by a staff reply or close
+ *   assigned_to  → staff member handling it (free text)
+ *   status       → open | closed (a new text that needs a reply reopens it)
+ *
+ * Staff replies go through sendSms() (opt-outs still apply) with purpose
+ * "staff_reply" and the sender's name in messages.sent_by. A reply to a
+ * rescheduling conversation staff have taken over is also added to it, so
+ * Emma sees it if the thread is handed back.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { normalizePhone } = require("./messages");
+const { isOptedOut } = require("./optout");
+
+const THREAD_STATUSES = ["open", "closed"];
+const RESCHEDULE_MATCH_MINUTES = 10; // a ledger row within this of a conversation row is the same text
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function latestNotification(phone) {
+  return db.prepare("SELECT * FROM notifications WHERE phone = ? ORDER BY updated_at DESC LIMIT 1").get(phone);
+}
+
+function ensureThread(phone) {
+  const now = new Date().toISOString();
+  db.prepare("INSERT OR IGNORE INTO inbox_threads (phone, created_at, updated_at) VALUES (?, ?, ?)").run(phone, now, now);
+  return db.prepare("SELECT * FROM inbox_threads WHERE phone = ?").get(phone);
+}
+
+/**
+ * Note an inbound text on its thread (called by the Quo webhook for every reply).
+ */
+function touchThread(phone) {
+  const cleaned = normalizePhone(phone);
+  const now = new Date().toISOString();
+  ensureThread(cleaned);
+  db.prepare("UPDATE inbox_threads SET last_inbound_at = ?, updated_at = ? WHERE phone = ?").run(now, now, cleaned);
+}
+
+/**
+ * A text nothing else handled — flag it for staff and reopen the thread.
+ * @param {object} info - { body, reason }
+ */
+function flagNeedsReply(phone, { body = "", reason = "" } = {}) {
+  const cleaned = normalizePhone(phone);
+  const now = new Date().toISOString();
+  ensureThread(cleaned);
+  db.prepare("UPDATE inbox_threads SET needs_reply = 1, status = 'open', updated_at = ? WHERE phone = ?").run(now, cleaned);
+
+  const notification = latestNotification(cleaned);
+  const who = notification?.customer_name || `${cleaned.substring(0, 6)}****`;
+  const preview = body.length > 80 ? body.substring(0, 80) + "..." : body;
+  logActivity("inbox_message", `${who} texted "${preview}"${reason ? ` — ${reason}` : ""}`, notification?.id || null);
+  console.log(`[Inbox] Needs reply: ${who}${reason ? ` (${reason})` : ""}`);
+}
+
+// One row per phone that has ever texted us, with its inbox state
+const THREADS_SQL = `
+  SELECT c.phone, c.last_message_at,
+    COALESCE(t.status, 'open') as status,
+    COALESCE(t.needs_reply, 0) as needs_reply,
+    t.assigned_to, t.last_read_at,
+    (SELECT COUNT(*) FROM messages i WHERE i.phone = c.phone AND i.direction = 'inbound' AND i.created_at > COALESCE(t.last_read_at, '')) as unread,
+    (SELECT body FROM messages l WHERE l.phone = c.phone ORDER BY l.created_at DESC, l.id DESC LIMIT 1) as last_body,
+    (SELECT direction FROM messages l WHERE l.phone = c.phone ORDER BY l.created_at DESC, l.id DESC LIMIT 1) as last_direction,
+    (SELECT customer_name FROM notifications n WHERE n.phone = c.phone ORDER BY n.updated_at DESC LIMIT 1) as customer_name
+  FROM (
+    SELECT phone, MAX(created_at) as last_message_at FROM messages
+    GROUP BY phone HAVING SUM(direction = 'inbound') > 0
+  ) c
+  LEFT JOIN inbox_threads t ON t.phone = c.phone
+`;
+
+/**
+ * Threads for the inbox list, those needing a reply first, then newest.
+ * @param {object} filters - { view: "open" | "unread" | "needs_reply" | "closed" | "all", assignedTo, q, limit }
+ *   assignedTo "none" lists unassigned threads
+ * @returns {object} { threads, counts: { unread, needsReply, open } }
+ */
+function listThreads({ view = "open", assignedTo, q, limit = 100 } = {}) {
+  let where = " WHERE 1=1";
+  const params = [];
+  if (view === "open") where += " AND status = 'open'";
+  else if (view === "closed") where += " AND status = 'closed'";
+  else if (view === "unread") where += " AND unread > 0";
+  else if (view === "needs_reply") where += " AND needs_reply = 1";
+  if (assignedTo === "none") where += " AND assigned_to IS NULL";
+  else if (assignedTo) {
+    where += " AND assigned_to = ?";
+    params.push(assignedTo);
+  }
+  if (q) {
+    where += " AND (phone LIKE ? OR customer_name LIKE ?)";
+    params.push(`%${q}%`, `%${q}%`);
+  }
+
+  const threads = db.prepare(`
+    SELECT * FROM (${THREADS_SQL})${where}
+    ORDER BY needs_reply DESC, last_message_at DESC LIMIT ?
+  `).all(...params, Math.min(Number(limit) || 100, 500));
+  return { threads, counts: getThreadCounts() };
+}
+
+/**
+ * Totals for the nav badge.
+ */
+function getThreadCounts() {
+  return db.prepare(`
+    SELECT COALESCE(SUM(unread), 0) as unread,
+      COALESCE(SUM(needs_reply), 0) as needsReply,
+      COUNT(*) as open
+    FROM (${THREADS_SQL}) WHERE status = 'open'
+  `).get();
+}
+
+/**
+ * One thread, oldest first. Rescheduling turns are merged in unless the
+ * ledger already has the same text (it does for anything sent since the
+ * ledger was added).
+ * @returns {object} { phone, customerName, optedOut, thread, notifications, items }
+ */
+function getThread(phone) {
+  const cleaned = normalizePhone(phone);
+  const thread = db.prepare("SELECT * FROM inbox_threads WHERE phone = ?").get(cleaned)
+    || { phone: cleaned, status: "open", needs_reply: 0, assigned_to: null, last_read_at: null };
+
+  const notifications = db.prepare(
+    "SELECT id, customer_name, store, scheduled_date, time_window, status, customer_response, confirmation_status, delivery_status, conversation_state, conversation_taken_by FROM notifications WHERE phone = ? ORDER BY scheduled_date DESC, id DESC"
+  ).all(cleaned);
+
+  const ledger = db.prepare("SELECT * FROM messages WHERE phone = ? ORDER BY created_at ASC, id ASC").all(cleaned);
+  const items = ledger.map((m) => ({
+    source: "ledger",
+    id: m.id,
+    direction: m.direction,
+    body: m.body,
+    purpose: m.purpose,
+    status: m.status,
+    error: m.error,
+    carrier_status: m.carrier_status,
+    carrier_error: m.carrier_error,
+    sent_by: m.sent_by,
+    notification_id: m.notification_id,
+    created_at: m.created_at,
+    unread: m.direction === "inbound" && m.created_at > (thread.last_read_at || ""),
+  }));
+
+  if (notifications.length > 0) {
+    const turns = db.prepare(`
+      SELECT * FROM reschedule_conversations
+      WHERE notification_id IN (${notifications.map(() => "?").join(", ")})
+      ORDER BY created_at ASC, id ASC
+    `).all(...notifications.map((n) => n.id));
+
+    const matched = new Set();
+    for (const turn of turns) {
+      const direction = turn.role === "user" ? "inbound" : "outbound";
+      const at = new Date(turn.created_at).getTime();
+      const twin = ledger.find((m) => !matched.has(m.id) && m.direction === direction && m.body.trim() === turn.content.trim()
+        && Math.abs(new Date(m.created_at).getTime() - at) <= RESCHEDULE_MATCH_MINUTES * 60 * 1000);
+      if (twin) {
+        matched.add(twin.id);
+        continue;
+      }
+      items.push({
+        source: "reschedule",
+        id: turn.id,
+        direction,
+        body: turn.content,
+        purpose: direction === "inbound" ? "reply" : turn.role === "staff" ? "staff_reply" : "reschedule_reply",
+        status: direction === "inbound" ? "received" : null,
+        notification_id: turn.notification_id,
+        created_at: turn.created_at,
+        unread: false,
+      });
+    }
+    items.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  return {
+    phone: cleaned,
+    customerName: notifications[0]?.customer_name || null,
+    optedOut: isOptedOut(cleaned),
+    thread,
+    notifications,
+    items,
+  };
+}
+
+function markThreadRead(phone) {
+  const cleaned = normalizePhone(phone);
+  const now = new Date().toISOString();
+  ensureThread(cleaned);
+  db.prepare("UPDATE inbox_threads SET last_read_at = ?, updated_at = ? WHERE phone = ?").run(now, now, cleaned);
+}
+
+/**
+ * @param {string|null} assignedTo - staff member's name, or null to unassign
+ */
+function assignThread(phone, assignedTo) {
+  const cleaned = normalizePhone(phone);
+  const name = (assignedTo || "").trim() || null;
+  const now = new Date().toISOString();
+  ensureThread(cleaned);
+  db.prepare("UPDATE inbox_threads SET assigned_to = ?, assigned_at = ?, updated_at = ? WHERE phone = ?")
+    .run(name, name ? now : null, now, cleaned);
+
+  const notification = latestNotification(cleaned);
+  const who = notification?.customer_name || cleaned;
+  logActivity("inbox_assigned", name ? `${who}'s thread assigned to ${name}` : `${who}'s thread unassigned`, notification?.id || null);
+  return ensureThread(cleaned);
+}
+
+function setThreadStatus(phone, status) {
+  if (!THREAD_STATUSES.includes(status)) throw new Error(`Unknown thread status: ${status}`);
+  const cleaned = normalizePhone(phone);
+  const now = new Date().toISOString();
+  ensureThread(cleaned);
+  db.prepare("UPDATE inbox_threads SET status = ?, updated_at = ? WHERE phone = ?").run(status, now, cleaned);
+  if (status === "closed") {
+    // Closing a thread means it's dealt with
+    db.prepare("UPDATE inbox_threads SET needs_reply = 0, last_read_at = ? WHERE phone = ?").run(now, cleaned);
+  }
+  return ensureThread(cleaned);
+}
+
+/**
+ * Text a customer from the inbox. Throws if the send fails (err.code
+ * "OPTED_OUT" when the number has opted out).
+ * @returns {object} sendSms result
+ */
+async function sendReply(phone, body, { sentBy = null } = {}) {
+  const cleaned = normalizePhone(phone);
+  const text = (body || "").trim();
+  if (!text) throw new Error("Reply text is required");
+
+  const notification = latestNotification(cleaned);
+  const result = await sendSms(cleaned, text, {
+    notificationId: notification?.id || null,
+    purpose: "staff_reply",
+    sentBy,
+  });
+
+  const now = new Date().toISOString();
+  const takenOver = db.prepare("SELECT id FROM notifications WHERE phone = ? AND conversation_state = 'staff' ORDER BY updated_at DESC LIMIT 1").get(cleaned);
+  if (takenOver) {
+    db.prepare("INSERT INTO reschedule_conversations (notification_id, role, content, created_at) VALUES (?, 'staff', ?, ?)").run(takenOver.id, text, now);
+  }
+  ensureThread(cleaned);
+  db.prepare("UPDATE inbox_threads SET needs_reply = 0, last_read_at = ?, updated_at = ? WHERE phone = ?").run(now, now, cleaned);
+  logActivity("inbox_reply", `${sentBy || "Staff"} replied to ${notification?.customer_name || cleaned}`, notification?.id || null);
+  return result;
+}
+
+module.exports = {
+  THREAD_STATUSES,
+  touchThread,
+  flagNeedsReply,
+  listThreads,
+  getThreadCounts,
+  getThread,
+  markThreadRead,
+  assignThread,
+  setThreadStatus,
+  sendReply,
+};
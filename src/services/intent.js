@@ -0,0 +1,238 @@
+/**
+ * Reply Intent Classifier
+ *
+ * Customers don't reply with exactly "YES" or "NO". This turns a reply
+ * into one of:
+ *
+ *   confirm  — "Yes!", "Y", "yep that works", "sounds good"
+ *   decline  — "No", "nope", "no can't do tomorrow", "won't be home"
+ *   opt_out  — "STOP", "Stop texting me", "remove me from this list"
+ *   question — "what time?", "can they call first"
+ *   other    — anything else
+ *
+ * with a confidence from 0 to 1.
+ *
+ * LAYERS:
+ *   1. Keywords/regex (always) — exact words score 0.95+, a leading yes/no
+ *      with more text ~0.85, phrases ~0.8, mixed signals score low.
+ *   2. Claude (optional) — only when the keyword layer is below
+ *      intent_min_confidence, ANTHROPIC_API_KEY is set and
+ *      intent_ai_enabled isn't "false". Its answer is used if it's more confident.
+ *
+ * Callers act on a result only at or above intent_min_confidence (default
+ * 0.75); anything less goes to staff in the dashboard inbox.
+ */
+
+const fetch = require("node-fetch");
+const db = require("../database");
+const { parseOptKeyword } = require("./optout");
+
+const INTENTS = ["confirm", "decline", "opt_out", "question", "other"];
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+
+const CONFIRM_WORDS = [
+  "yes", "y", "yep", "yeah", "yea", "ya", "yup", "yas", "sure", "ok", "okay", "k", "kk",
+  "confirm", "confirmed", "correct", "absolutely", "definitely", "perfect", "great",
+];
+const CONFIRM_PHRASES = [
+  /\b(sounds|looks) (good|great|fine|perfect)\b/, /\bthat ?s (fine|good)\b|\bthat (works|is fine|is good)\b/,
+  /\b(works|work) for (me|us)\b/, /^(it ?s|is) (fine|good|great|perfect|ok|okay)\b/, /\bsee (you|ya) (then|tomorrow)\b/, /\bwill be (home|there)\b/,
+  /\b(im|i am|we are|ill be|well be|i will be|we will be) (home|here|there)\b/,
+];
+const DECLINE_WORDS = ["no", "n", "nope", "nah", "negative"];
+const DECLINE_PHRASES = [
+  /\b(can ?t|cannot|can not|won ?t|wont|will not|not going to) (make|do|be)\b/, /\bnot (home|available|going to be (home|there))\b/,
+  /\bwon ?t be (home|there|around)\b/, /\breschedule\b/, /\b(another|different|other) (day|time|date)\b/,
+  /\b(doesn ?t|does not|don ?t|do not) work\b/,
+];
+const OPT_OUT_PHRASES = [
+  /\bstop (texting|messaging|sending|contacting)\b/, /\b(unsubscribe|opt me out|opt out)\b/,
+  /\bremove (me|my number)\b/, /\b(don ?t|do not) (text|message|contact) me\b/, /\bno more (texts|messages)\b/,
+];
+const QUESTION_START = /^(what|when|where|who|why|how|which|can|could|will|would|is|are|do|does|did|should|may)\b/;
+// Negations that turn "yes"-ish text around ("not good", "doesnt work") —
+// not a bare "no", which is usually "no problem"
+const NEGATION = /\b(not|never|dont|cant|wont|isnt|doesnt)\b/;
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getSetting(key) {
+  return db.prepare("SELECT value FROM settings WHERE key = ?").get(key)?.value;
+}
+
+/**
+ * Confidence a caller needs before acting on an intent.
+ */
+function getMinConfidence() {
+  const value = parseFloat(getSetting("intent_min_confidence"));
+  return Number.isFinite(value) && value > 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "")
+    .replace(/[^a-z0-9?\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function result(intent, confidence, source = "keyword") {
+  return { intent, confidence, source };
+}
+
+/**
+ * Deterministic layer.
+ * @returns {object} { intent, confidence, source: "keyword" }
+ */
+function classifyKeywords(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return result("other", 0);
+
+  if (parseOptKeyword(raw) === "out") return result("opt_out", 1);
+
+  // Emoji-only replies
+  if (/^(👍|👌|✅|🙏|😊|🙂)+$/u.test(raw.replace(/\s/g, ""))) return result("confirm", 0.9);
+  if (/^(👎|❌|🚫)+$/u.test(raw.replace(/\s/g, ""))) return result("decline", 0.85);
+
+  const normalized = normalize(raw);
+  const words = normalized.replace(/\?/g, " ").split(" ").filter(Boolean);
+  if (words.length === 0) return result("other", 0);
+
+  if (OPT_OUT_PHRASES.some((re) => re.test(normalized))) return result("opt_out", 0.9);
+
+  // "no problem" / "no worries" is a yes
+  const first = /^no (problem|prob|worries)\b/.test(normalized) ? "ok" : words[0];
+  const confirmLead = CONFIRM_WORDS.includes(first);
+  const declineLead = DECLINE_WORDS.includes(first);
+  const confirmPhrase = CONFIRM_PHRASES.some((re) => re.test(normalized));
+  const declinePhrase = DECLINE_PHRASES.some((re) => re.test(normalized));
+  // A leading "will" / "can" / "is" only makes it a question if no answer
+  // phrase matched — "Will be there", "Can not make it"
+  const isQuestion = raw.includes("?") || (QUESTION_START.test(normalized) && !confirmPhrase && !declinePhrase);
+
+  // One word, nothing else
+  if (words.length === 1 && !raw.includes("?")) {
+    if (confirmLead) return result("confirm", 0.95);
+    if (declineLead) return result("decline", 0.95);
+  }
+
+  // "yes but what time?" / "no, is Friday ok?" — a person should read these
+  if (isQuestion && (confirmLead || declineLead)) return result("question", 0.6);
+  if (isQuestion) return result("question", 0.8);
+
+  // Both directions in one message
+  if ((confirmLead || confirmPhrase) && (declineLead || declinePhrase)) {
+    if (declineLead && !confirmLead) return result("decline", 0.7);
+    return result("other", 0.4);
+  }
+
+  if (declineLead) return result("decline", 0.85);
+  if (declinePhrase) return result("decline", 0.8);
+  if (confirmLead) return result("confirm", NEGATION.test(words.slice(1).join(" ")) ? 0.5 : 0.85);
+  if (confirmPhrase) return result("confirm", NEGATION.test(normalized) ? 0.5 : 0.8);
+
+  return result("other", 0.3);
+}
+
+/**
+ * Ask Claude. Returns null if unavailable or unparseable.
+ * @param {object} context - { timeWindow, deliveryDay } for the prompt
+ */
+async function classifyWithClaude(text, context = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+  if (!apiKey || getSetting("intent_ai_enabled") === "false") return null;
+
+  try {
+    const response = await fetch("https://api.anthropic.com/v1/messages", {
+      method: "POST",
+      headers: {
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: "claude-sonnet-4-5-20250929",
+        max_tokens: 100,
+        system: `You classify a customer's text reply to a mattress delivery confirmation that asked them to reply YES if the delivery time works or NO if it doesn't.
+Reply with JSON only: {"intent": "...", "confidence": 0.0-1.0}
+Intents:
+- confirm: the delivery time works for them
+- decline: the time doesn't work / they want a different day
+- opt_out: they want no more texts
+- question: they are asking something a person needs to answer
+- other: anything else (thanks, unrelated, unclear)
+Use a confidence below 0.75 when the reply is ambiguous or mixes intents.`,
+        messages: [
+          {
+            role: "user",
+            content: `${context.timeWindow ? `Delivery: ${context.deliveryDay || "tomorrow"} ${context.timeWindow}\n` : ""}Customer reply: ${text}`,
+          },
+        ],
+      }),
+    });
+
+    if (!response.ok) {
+      const errText = await response.text();
+      console.error("[Intent] Claude API error:", response.status, errText.substring(0, 200));
+      return null;
+    }
+
+    const data = await response.json();
+    const reply = (data.content || []).filter((b) => b.type === "text").map((b) => b.text).join("");
+    const json = reply.match(/\{[\s\S]*\}/);
+    if (!json) return null;
+
+    const parsed = JSON.parse(json[0]);
+    const confidence = Math.max(0, Math.min(1, Number(parsed.confidence) || 0));
+    if (!INTENTS.includes(parsed.intent)) return null;
+    return result(parsed.intent, confidence, "claude");
+  } catch (e) {
+    console.error("[Intent] Claude classification failed:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Classify a reply: keywords first, Claude when they aren't confident enough.
+ * @param {string} text - raw reply
+ * @param {object} context - { timeWindow, deliveryDay } (Claude prompt only)
+ * @returns {Promise<object>} { intent, confidence, source: "keyword"|"claude" }
+ */
+async function classifyReply(text, context = {}) {
+  const keyword = classifyKeywords(text);
+  if (keyword.confidence >= getMinConfidence()) return keyword;
+
+  const ai = await classifyWithClaude(text, context);
+  return ai && ai.confidence > keyword.confidence ? ai : keyword;
+}
+
+/**
+ * Store the classification and raw text on the notification.
+ */
+function recordReplyIntent(notificationId, text, classification) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE notifications
+    SET reply_text = ?, reply_intent = ?, reply_confidence = ?, reply_intent_source = ?, reply_classified_at = ?, updated_at = ?
+    WHERE id = ?
+  `).run(text, classification.intent, classification.confidence, classification.source, now, now, notificationId);
+  logActivity(
+    "reply_classified",
+    `"${text.length > 60 ? text.substring(0, 60) + "..." : text}" → ${classification.intent} (${Math.round(classification.confidence * 100)}%, ${classification.source})`,
+    notificationId
+  );
+}
+
+module.exports = {
+  INTENTS,
+  getMinConfidence,
+  classifyKeywords,
+  classifyWithClaude,
+  classifyReply,
+  recordReplyIntent,
+};
@@ -0,0 +1,173 @@
+/**
+ * Message Ledger
+ *
+ * Every SMS in or out, one row each in `messages`. sendSms() writes the
+ * outbound rows itself (sent, failed, or suppressed), so nothing that texts
+ * through Quo can skip the ledger; the Quo webhook writes inbound replies.
+ *
+ * PURPOSES (outbound):
+ *   confirmation     — delivery confirmation (6 PM send, retries, manual sends)
+ *   review_request   — post-delivery review text
+ *   sale_review      — day-of-sale review text
+ *   auto_reply       — YES/NO replies to customers
+ *   opt_reply        — STOP/START confirmations
+ *   reschedule_reply — Claude's rescheduling messages
+ *   reschedule_nudge — "just checking in" after a customer goes quiet mid-reschedule
+ *   missed_delivery  — "sorry we missed you" after a failed delivery attempt
+ *   en_route         — "on the way, arriving around X" when the driver heads over
+ *   eta_update       — new window when the live ETA leaves the promised one
+ *   window_change    — re-confirmation after route sync moved a texted window
+ *   cancellation_notice — "no need to wait at home" after a texted stop was removed
+ *   staff_summary    — nightly staff recap
+ *   staff_alert      — failed sends, missed runs, human-needed handoffs
+ *   staff_reply      — a staff member replying from the dashboard inbox (sent_by)
+ * Inbound rows are purpose "reply".
+ *
+ * Carrier delivery status is filled in by delivery-status.js, keyed on the
+ * Quo message ID.
+ */
+
+const db = require("../database");
+
+const PURPOSES = [
+  "confirmation", "review_request", "sale_review", "auto_reply", "opt_reply",
+  "reschedule_reply", "reschedule_nudge", "missed_delivery", "en_route", "eta_update", "window_change", "cancellation_notice", "staff_summary", "staff_alert", "staff_reply", "reply", "other",
+];
+const DIRECTIONS = ["outbound", "inbound"];
+
+function normalizePhone(phone) {
+  let cleaned = String(phone || "").replace(/[^\d+]/g, "");
+  if (cleaned.length === 10) cleaned = "+1" + cleaned;
+  if (cleaned.length === 11 && cleaned.startsWith("1")) cleaned = "+" + cleaned;
+  return cleaned;
+}
+
+/**
+ * Record an outbound text.
+ * @param {object} msg - { phone, body, purpose, notificationId, saleReviewId, quoMessageId, status, error, sentBy }
+ *   status: "sent" | "failed" | "suppressed"
+ * @returns {number} message ID
+ */
+function recordOutbound({ phone, body, purpose = "other", notificationId = null, saleReviewId = null, quoMessageId = null, status, error = null, sentBy = null }) {
+  const now = new Date().toISOString();
+  const result = db.prepare(`
+    INSERT INTO messages
+      (direction, phone, body, purpose, notification_id, sale_review_id, quo_message_id, status, error, sent_by, carrier_status, carrier_status_at, created_at, updated_at)
+    VALUES ('outbound', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    normalizePhone(phone), body, PURPOSES.includes(purpose) ? purpose : "other",
+    notificationId, saleReviewId, quoMessageId, status, error, sentBy,
+    status === "sent" ? "accepted" : null, status === "sent" ? now : null, now, now
+  );
+  return result.lastInsertRowid;
+}
+
+/**
+ * Record an inbound text. Linked to the customer's most recent delivery
+ * unless a notification is given. A replayed webhook (same Quo ID) is ignored.
+ * @returns {number|null} message ID, or null if it was already recorded
+ */
+function recordInbound({ phone, body, quoMessageId = null, notificationId = null }) {
+  const cleaned = normalizePhone(phone);
+  const linkedId = notificationId
+    ?? db.prepare("SELECT id FROM notifications WHERE phone = ? ORDER BY updated_at DESC LIMIT 1").get(cleaned)?.id
+    ?? null;
+
+  const now = new Date().toISOString();
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO messages (direction, phone, body, purpose, notification_id, quo_message_id, status, created_at, updated_at)
+    VALUES ('inbound', ?, ?, 'reply', ?, ?, 'received', ?, ?)
+  `).run(cleaned, body, linkedId, quoMessageId, now, now);
+  return result.changes > 0 ? result.lastInsertRowid : null;
+}
+
+const SELECT_WITH_CUSTOMER = `
+  SELECT m.*, COALESCE(n.customer_name, s.customer_name) as customer_name, COALESCE(n.store, s.store) as store
+  FROM messages m
+  LEFT JOIN notifications n ON n.id = m.notification_id
+  LEFT JOIN sale_reviews s ON s.id = m.sale_review_id
+`;
+
+/**
+ * Search the ledger, newest first.
+ * @param {object} filters - { q, phone, purpose, direction, status, notificationId, saleReviewId, from, to, limit, offset }
+ *   q matches the body, phone, or customer name; from/to are YYYY-MM-DD (UTC)
+ * @returns {object} { messages, total }
+ */
+function searchMessages({ q, phone, purpose, direction, status, notificationId, saleReviewId, from, to, limit = 50, offset = 0 } = {}) {
+  let where = " WHERE 1=1";
+  const params = [];
+  if (q) {
+    where += " AND (m.body LIKE ? OR m.phone LIKE ? OR n.customer_name LIKE ? OR s.customer_name LIKE ?)";
+    const like = `%${q}%`;
+    params.push(like, like, like, like);
+  }
+  if (phone) {
+    where += " AND m.phone = ?";
+    params.push(normalizePhone(phone));
+  }
+  if (purpose) {
+    where += " AND m.purpose = ?";
+    params.push(purpose);
+  }
+  if (direction) {
+    where += " AND m.direction = ?";
+    params.push(direction);
+  }
+  if (status) {
+    // "undelivered" covers both carrier failure states
+    if (status === "undelivered") where += " AND m.carrier_status IN ('undelivered', 'failed')";
+    else {
+      where += " AND m.status = ?";
+      params.push(status);
+    }
+  }
+  if (notificationId) {
+    where += " AND m.notification_id = ?";
+    params.push(notificationId);
+  }
+  if (saleReviewId) {
+    where += " AND m.sale_review_id = ?";
+    params.push(saleReviewId);
+  }
+  if (from) {
+    where += " AND m.created_at >= ?";
+    params.push(from);
+  }
+  if (to) {
+    where += " AND m.created_at < date(?, '+1 day')";
+    params.push(to);
+  }
+
+  const total = db.prepare(
+    `SELECT COUNT(*) as c FROM messages m LEFT JOIN notifications n ON n.id = m.notification_id LEFT JOIN sale_reviews s ON s.id = m.sale_review_id${where}`
+  ).get(...params).c;
+  const messages = db.prepare(`${SELECT_WITH_CUSTOMER}${where} ORDER BY m.created_at DESC, m.id DESC LIMIT ? OFFSET ?`)
+    .all(...params, Math.min(Number(limit) || 50, 500), Number(offset) || 0);
+  return { messages, total };
+}
+
+/**
+ * Everything we know about one phone number, for the customer timeline.
+ * @returns {object} { phone, customerName, notifications, saleReviews, messages } — messages oldest first
+ */
+function getTimeline(phone) {
+  const cleaned = normalizePhone(phone);
+  const notifications = db.prepare(
+    "SELECT id, customer_name, store, scheduled_date, time_window, status, customer_response, confirmation_status, delivery_status FROM notifications WHERE phone = ? ORDER BY scheduled_date DESC, id DESC"
+  ).all(cleaned);
+  const saleReviews = db.prepare(
+    "SELECT id, customer_name, store, sale_number, status, clicked_at, created_at FROM sale_reviews WHERE phone = ? ORDER BY created_at DESC"
+  ).all(cleaned);
+  const messages = db.prepare(`${SELECT_WITH_CUSTOMER} WHERE m.phone = ? ORDER BY m.created_at ASC, m.id ASC`).all(cleaned);
+
+  return {
+    phone: cleaned,
+    customerName: notifications[0]?.customer_name || saleReviews[0]?.customer_name || null,
+    notifications,
+    saleReviews,
+    messages,
+  };
+}
+
+module.exports = { PURPOSES, DIRECTIONS, normalizePhone, recordOutbound, recordInbound, searchMessages, getTimeline };
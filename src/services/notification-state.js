@@ -0,0 +1,173 @@
+/**
+ * Notification State
+ *
+ * A notification tracks three separate things, each its own column with
+ * its own legal transitions:
+ *
+ *   message (status) — our confirmation text
+ *     pending → sent | failed | failed_permanent | suppressed | cancelled
+ *     failed → sent | failed | failed_permanent | suppressed | cancelled
+ *     failed_permanent → sent | failed | suppressed | cancelled   (manual send)
+ *     suppressed → sent | failed | cancelled                      (manual send after opt-in)
+ *     sent → cancelled
+ *     cancelled is final — except a { restore } back to its prior status
+ *     when a removed stop reappears in Spoke (see cancellations.js)
+ *
+ *   confirmation (confirmation_status) — what the customer told us
+ *     unconfirmed → confirmed | declined | opted_out
+ *     confirmed → declined | opted_out      (changed their mind)
+ *     confirmed → unconfirmed               (window changed — asked again, see window-changes.js)
+ *     declined → confirmed | opted_out      (e.g. rescheduled by staff)
+ *
+ *   delivery (delivery_status) — what happened on the truck
+ *     queued → en_route | delivered | attempted_failed
+ *     en_route → delivered | attempted_failed | queued
+ *     attempted_failed → queued | en_route | delivered
+ *     delivered is final
+ *
+ * Moving to the state a row is already in is allowed (a re-send stays 'sent').
+ * A YES is a confirmation, not a delivery — only Spoke moves delivery_status.
+ * customer_response keeps the raw yes/no/stop reply alongside.
+ *
+ * Illegal transitions are refused and logged as 'illegal_transition'.
+ */
+
+const db = require("../database");
+
+const MACHINES = {
+  message: {
+    column: "status",
+    atColumn: null,
+    transitions: {
+      pending: ["sent", "failed", "failed_permanent", "suppressed", "cancelled"],
+      failed: ["sent", "failed", "failed_permanent", "suppressed", "cancelled"],
+      failed_permanent: ["sent", "failed", "suppressed", "cancelled"],
+      suppressed: ["sent", "failed", "cancelled"],
+      sent: ["cancelled"],
+      cancelled: [],
+    },
+    // Only with { restore: true }
+    restores: {
+      cancelled: ["pending", "failed", "failed_permanent", "suppressed", "sent"],
+    },
+  },
+  confirmation: {
+    column: "confirmation_status",
+    atColumn: "confirmation_status_at",
+    transitions: {
+      unconfirmed: ["confirmed", "declined", "opted_out"],
+      confirmed: ["unconfirmed", "declined", "opted_out"],
+      declined: ["confirmed", "opted_out"],
+      opted_out: [],
+    },
+  },
+  delivery: {
+    column: "delivery_status",
+    atColumn: "delivery_status_at",
+    transitions: {
+      queued: ["en_route", "delivered", "attempted_failed"],
+      en_route: ["delivered", "attempted_failed", "queued"],
+      attempted_failed: ["queued", "en_route", "delivered"],
+      delivered: [],
+    },
+  },
+};
+
+const MESSAGE_STATUSES = Object.keys(MACHINES.message.transitions);
+const CONFIRMATION_STATUSES = Object.keys(MACHINES.confirmation.transitions);
+const DELIVERY_STATUSES = Object.keys(MACHINES.delivery.transitions);
+
+// customer_response value written alongside each confirmation state
+const RESPONSE_FOR = { confirmed: "yes", declined: "no", opted_out: "stop" };
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function canTransition(machine, from, to, { restore = false } = {}) {
+  const m = MACHINES[machine];
+  if (!m) throw new Error(`Unknown state machine: ${machine}`);
+  if (!(to in m.transitions)) return false;
+  if (restore && (m.restores?.[from] || []).includes(to)) return true;
+  return from === to || (m.transitions[from] || []).includes(to);
+}
+
+/**
+ * Move a notification along one of its state machines.
+ * @param {number} notificationId
+ * @param {string} machine - "message" | "confirmation" | "delivery"
+ * @param {string} to - target state
+ * @param {object} opts - { fields: other columns to set in the same update, reason,
+ *   restore: allow the machine's restore moves (cancelled → prior status) }
+ * @returns {object} { ok, from, to } — ok is false if the move isn't allowed
+ *   (or the row changed underneath us); nothing is written in that case
+ */
+function transition(notificationId, machine, to, { fields = {}, reason = null, restore = false } = {}) {
+  const m = MACHINES[machine];
+  if (!m) throw new Error(`Unknown state machine: ${machine}`);
+
+  const row = db.prepare(`SELECT id, customer_name, ${m.column} as state FROM notifications WHERE id = ?`).get(notificationId);
+  if (!row) return { ok: false, from: null, to };
+
+  const from = row.state;
+  if (!canTransition(machine, from, to, { restore })) {
+    logActivity("illegal_transition", `${row.customer_name}: ${machine} ${from} → ${to} refused${reason ? ` (${reason})` : ""}`, notificationId);
+    console.warn(`[State] Refused ${machine} ${from} → ${to} for notification #${notificationId}`);
+    return { ok: false, from, to };
+  }
+
+  const now = new Date().toISOString();
+  const sets = { ...fields, [m.column]: to, updated_at: now };
+  if (m.atColumn && from !== to) sets[m.atColumn] = now;
+  if (machine === "confirmation" && RESPONSE_FOR[to] && !("customer_response" in fields)) {
+    sets.customer_response = RESPONSE_FOR[to];
+  }
+
+  const columns = Object.keys(sets);
+  // Guarded on the state we read, so two writers can't both move it
+  const result = db.prepare(`
+    UPDATE notifications SET ${columns.map((c) => `${c} = ?`).join(", ")}
+    WHERE id = ? AND ${m.column} IS ?
+  `).run(...columns.map((c) => sets[c]), notificationId, from);
+
+  return { ok: result.changes > 0, from, to };
+}
+
+/**
+ * The three states for a row from before the split (e.g. an old backup),
+ * where status 'delivered' could mean a YES reply or a completed delivery.
+ * Mirrors the database.js migration, minus its activity-log check.
+ * @returns {object} { status, confirmation_status, delivery_status }
+ */
+function fromLegacy(row) {
+  const confirmation = row.confirmation_status
+    || { yes: "confirmed", no: "declined", stop: "opted_out" }[row.customer_response]
+    || "unconfirmed";
+  const delivery = row.delivery_status
+    || (row.status === "delivered" && row.review_sent_at ? "delivered" : "queued");
+  return {
+    status: row.status === "delivered" ? "sent" : row.status || "pending",
+    confirmation_status: confirmation,
+    delivery_status: delivery,
+  };
+}
+
+/**
+ * All three states for display ("sent · confirmed · queued").
+ */
+function describeState(notification) {
+  return [notification.status, notification.confirmation_status, notification.delivery_status].filter(Boolean).join(" · ");
+}
+
+module.exports = {
+  MACHINES,
+  MESSAGE_STATUSES,
+  CONFIRMATION_STATUSES,
+  DELIVERY_STATUSES,
+  canTransition,
+  transition,
+  fromLegacy,
+  describeState,
+};
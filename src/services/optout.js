@@ -0,0 +1,132 @@
+/**
+ * Opt-Out Registry
+ *
+ * Phone-level SMS suppression. Once a number texts STOP (or staff add it from
+ * the dashboard), sendSms() refuses to text it — confirmations, review
+ * requests, reschedule replies, everything — until it texts START/UNSTOP or
+ * staff remove it.
+ *
+ * KEYWORDS (whole message, case-insensitive):
+ *   STOP, STOPALL, UNSUBSCRIBE, CANCEL, END, QUIT → opt out
+ *   START, UNSTOP                                 → opt back in
+ *
+ * Rows are never deleted — opting back in sets opted_in_at, so the registry
+ * doubles as the compliance history. Every blocked send is written to the
+ * activity log as 'sms_suppressed'.
+ */
+
+const db = require("../database");
+
+const OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const OPT_IN_KEYWORDS = ["START", "UNSTOP"];
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function cleanPhone(phone) {
+  if (!phone) return "";
+  let cleaned = String(phone).replace(/[^\d+]/g, "");
+  if (cleaned.length === 10) cleaned = "+1" + cleaned;
+  if (cleaned.length === 11 && cleaned.startsWith("1")) cleaned = "+" + cleaned;
+  return cleaned;
+}
+
+function maskPhone(phone) {
+  return `${phone.substring(0, 6)}****`;
+}
+
+/**
+ * Classify an inbound message as an opt-out / opt-in keyword.
+ * @returns {"out"|"in"|null}
+ */
+function parseOptKeyword(text) {
+  const word = (text || "").trim().toUpperCase().replace(/[.!]+$/, "");
+  if (OPT_OUT_KEYWORDS.includes(word)) return "out";
+  if (OPT_IN_KEYWORDS.includes(word)) return "in";
+  return null;
+}
+
+function isOptedOut(phone) {
+  const cleaned = cleanPhone(phone);
+  if (!cleaned) return false;
+  const row = db.prepare("SELECT opted_in_at FROM opt_outs WHERE phone = ? AND opted_out_at IS NOT NULL").get(cleaned);
+  return !!row && !row.opted_in_at;
+}
+
+/**
+ * Add a number to the registry.
+ * @param {string} phone
+ * @param {object} opts - { source: "sms"|"dashboard", keyword, notes, notificationId }
+ * @returns {object} { phone, alreadyOptedOut }
+ */
+function optOut(phone, { source = "dashboard", keyword = null, notes = null, notificationId = null } = {}) {
+  const cleaned = cleanPhone(phone);
+  if (!cleaned) throw new Error("Phone number required");
+
+  const alreadyOptedOut = isOptedOut(cleaned);
+  if (!alreadyOptedOut) {
+    const now = new Date().toISOString();
+    db.prepare(`
+      INSERT INTO opt_outs (phone, opted_out_at, opted_in_at, source, keyword, notes, created_at)
+      VALUES (?, ?, NULL, ?, ?, ?, ?)
+      ON CONFLICT(phone) DO UPDATE SET
+        opted_out_at = excluded.opted_out_at, opted_in_at = NULL,
+        source = excluded.source, keyword = excluded.keyword, notes = excluded.notes
+    `).run(cleaned, now, source, keyword, notes, now);
+
+    logActivity(
+      "customer_optout",
+      `${maskPhone(cleaned)} opted out of all texts (${keyword ? `replied ${keyword}` : `added via ${source}`})`,
+      notificationId
+    );
+  }
+  return { phone: cleaned, alreadyOptedOut };
+}
+
+/**
+ * Take a number off the registry.
+ * @returns {boolean} true if the number was opted out
+ */
+function optIn(phone, { source = "dashboard", keyword = null, notificationId = null } = {}) {
+  const cleaned = cleanPhone(phone);
+  if (!cleaned || !isOptedOut(cleaned)) return false;
+
+  db.prepare("UPDATE opt_outs SET opted_in_at = ? WHERE phone = ?").run(new Date().toISOString(), cleaned);
+  logActivity(
+    "customer_optin",
+    `${maskPhone(cleaned)} opted back in (${keyword ? `replied ${keyword}` : `removed via ${source}`})`,
+    notificationId
+  );
+  return true;
+}
+
+/**
+ * Numbers currently suppressed, newest first.
+ */
+function listOptOuts() {
+  return db.prepare(
+    "SELECT * FROM opt_outs WHERE opted_out_at IS NOT NULL AND opted_in_at IS NULL ORDER BY opted_out_at DESC"
+  ).all();
+}
+
+/**
+ * Audit a send that was blocked by the registry.
+ */
+function recordSuppressed(phone, body, notificationId = null) {
+  const preview = (body || "").replace(/\s+/g, " ").substring(0, 60);
+  logActivity("sms_suppressed", `Blocked text to opted-out ${maskPhone(cleanPhone(phone))}: "${preview}"`, notificationId);
+}
+
+module.exports = {
+  OPT_OUT_KEYWORDS,
+  OPT_IN_KEYWORDS,
+  parseOptKeyword,
+  isOptedOut,
+  optOut,
+  optIn,
+  listOptOuts,
+  recordSuppressed,
+};
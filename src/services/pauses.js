@@ -0,0 +1,168 @@
+/**
+ * Send Pause Controls
+ *
+ * Three levels of "don't text customers yet":
+ *   1. Global kill switch — settings.auto_send_enabled = "false"
+ *      Stops the automatic 6 PM send and the retry worker entirely.
+ *   2. Per delivery date  — send_pauses row with delivery_date set, store NULL
+ *   3. Per store          — send_pauses row with store set (optionally scoped
+ *      to one delivery_date, e.g. Somerset trucks down on a Friday)
+ *
+ * Paused rows are never modified — they stay 'pending' in the queue. Lifted
+ * before their send, they go out with it. Lifted after the send for their
+ * delivery date already ran, nothing picks them up again: removePause()
+ * reports them as `missedSend` and the dashboard offers Send All for them
+ * (never automatic — a pause lifted at 11 PM shouldn't text customers). A
+ * single-row manual send from the dashboard still goes out (that's an
+ * explicit override).
+ *
+ * Rows for a blackout date (blackouts.js) are held the same way — the
+ * customer needs a new date, not a confirmation text.
+ */
+
+const db = require("../database");
+const { getBlackout, describeBlackout } = require("./blackouts");
+const { getStore } = require("./stores");
+const { getDeliveryDateForSend } = require("./schedule");
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getESTToday() {
+  const now = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  return now.toISOString().split("T")[0];
+}
+
+/**
+ * Is the global auto-send switch on?
+ */
+function isAutoSendEnabled() {
+  const row = db.prepare("SELECT value FROM settings WHERE key = 'auto_send_enabled'").get();
+  return !row || String(row.value).toLowerCase() !== "false";
+}
+
+/**
+ * Describe a pause row for logs and the dashboard.
+ */
+function describePause(pause) {
+  const who = pause.store ? pause.store : "all stores";
+  const when = pause.delivery_date ? pause.delivery_date : "until lifted";
+  return `${who} — ${when}${pause.reason ? ` (${pause.reason})` : ""}`;
+}
+
+/**
+ * All pauses that can still affect a send (undated, or dated today or later).
+ */
+function listPauses() {
+  return db.prepare(
+    "SELECT * FROM send_pauses WHERE delivery_date IS NULL OR delivery_date >= ? ORDER BY delivery_date IS NULL, delivery_date ASC, id ASC"
+  ).all(getESTToday());
+}
+
+/**
+ * Pauses that apply to a delivery date (optionally narrowed to one store).
+ */
+function getPausesForDate(deliveryDate, store) {
+  const pauses = db.prepare(
+    "SELECT * FROM send_pauses WHERE delivery_date IS NULL OR delivery_date = ? ORDER BY id ASC"
+  ).all(deliveryDate);
+  if (store === undefined) return pauses;
+  return pauses.filter((p) => !p.store || p.store === store);
+}
+
+/**
+ * Why a notification is being held, or null if it can go out.
+ */
+function getHoldReason(notification) {
+  const blackout = getBlackout(notification.scheduled_date, notification.store || null);
+  if (blackout) return `Closed: ${describeBlackout(blackout)}`;
+
+  const pause = getPausesForDate(notification.scheduled_date, notification.store || null)[0];
+  if (!pause) return null;
+  return `Paused: ${describePause(pause)}`;
+}
+
+/**
+ * Add a pause. At least one of deliveryDate / store is required —
+ * a global pause is the auto_send_enabled switch.
+ */
+function addPause({ deliveryDate, store, reason }) {
+  if (!deliveryDate && !store) {
+    throw new Error("A pause needs a delivery date, a store, or both — use auto_send_enabled to pause everything");
+  }
+  if (deliveryDate && !/^\d{4}-\d{2}-\d{2}$/.test(deliveryDate)) {
+    throw new Error("deliveryDate must be YYYY-MM-DD");
+  }
+  if (store && !getStore(store)) {
+    throw new Error(`Unknown store: ${store}`);
+  }
+
+  const result = db.prepare(
+    "INSERT INTO send_pauses (delivery_date, store, reason, created_at) VALUES (?, ?, ?, ?)"
+  ).run(deliveryDate || null, store || null, reason || null, new Date().toISOString());
+
+  const pause = db.prepare("SELECT * FROM send_pauses WHERE id = ?").get(result.lastInsertRowid);
+  logActivity("send_paused", `Send paused: ${describePause(pause)}`);
+  return pause;
+}
+
+/**
+ * Pending texts (today onward) in a pause's date/store that nothing holds any more.
+ */
+function getReleasedNotifications(pause) {
+  let query = "SELECT * FROM notifications WHERE status = 'pending' AND scheduled_date >= ?";
+  const params = [getESTToday()];
+  if (pause.delivery_date) {
+    query += " AND scheduled_date = ?";
+    params.push(pause.delivery_date);
+  }
+  if (pause.store) {
+    query += " AND store = ?";
+    params.push(pause.store);
+  }
+  return db.prepare(query).all(...params).filter((n) => !getHoldReason(n));
+}
+
+/**
+ * Lift a pause.
+ * @returns {object|null} the pause, plus released (texts no longer held) and
+ *   missedSend (of those, ones for the next delivery date whose send already ran)
+ */
+function removePause(id) {
+  const pause = db.prepare("SELECT * FROM send_pauses WHERE id = ?").get(id);
+  if (!pause) return null;
+  db.prepare("DELETE FROM send_pauses WHERE id = ?").run(id);
+
+  const released = getReleasedNotifications(pause);
+  const now = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  const nextDate = getDeliveryDateForSend(now);
+  // A send slot can be limited to some stores — only a completed run that covered the row's store counts
+  const sentRuns = db.prepare(
+    "SELECT stores, exclude_stores FROM scheduler_runs WHERE job = 'send' AND delivery_date = ? AND status = 'completed'"
+  ).all(nextDate).map((r) => ({
+    stores: r.stores ? JSON.parse(r.stores) : null,
+    exclude: r.exclude_stores ? JSON.parse(r.exclude_stores) : [],
+  }));
+  const missedSend = released.filter((n) => n.scheduled_date === nextDate &&
+    sentRuns.some((r) => (!r.stores || r.stores.includes(n.store)) && !r.exclude.includes(n.store))).length;
+
+  logActivity(
+    "send_resumed",
+    `Send pause lifted: ${describePause(pause)}` +
+      (missedSend > 0 ? ` — ${missedSend} held text(s) for ${nextDate} missed the send and need Send All` : "")
+  );
+  return { ...pause, released: released.length, missedSend, nextDeliveryDate: nextDate };
+}
+
+module.exports = {
+  isAutoSendEnabled,
+  listPauses,
+  getPausesForDate,
+  getHoldReason,
+  describePause,
+  addPause,
+  removePause,
+};
@@ -7,9 +7,17 @@
  * Required env vars:
  *   QUO_API_KEY         — Your Quo API key
  *   QUO_PHONE_NUMBER_ID — The phone number ID to send from
+ *
+ * Every send is checked against the opt-out registry (services/optout.js).
+ * A blocked send is audited and throws an error with code "OPTED_OUT".
+ *
+ * Every attempt — sent, failed, or suppressed — is written to the message
+ * ledger (services/messages.js) with its purpose and linked records.
  */
 
 const fetch = require("node-fetch");
+const { isOptedOut, recordSuppressed } = require("./optout");
+const { recordOutbound } = require("./messages");
 
 const QUO_BASE_URL = "https://api.openphone.com/v1";
 // Note: Quo's API may use /v1 or /v4 depending on the endpoint.
@@ -19,9 +27,15 @@ const QUO_BASE_URL = "https://api.openphone.com/v1";
  * Send an SMS via Quo
  * @param {string} to - Recipient phone number (E.164 format, e.g. +18595550142)
  * @param {string} body - SMS message body
- * @returns {object} { success, messageId }
+ * @param {object} [options]
+ * @param {boolean} [options.allowOptedOut] - only for the opt-out confirmation itself
+ * @param {number} [options.notificationId] - delivery this text is about (ledger + suppression audit)
+ * @param {number} [options.saleReviewId] - sale review this text is about (ledger)
+ * @param {string} [options.purpose] - ledger purpose (see messages.js PURPOSES)
+ * @param {string} [options.sentBy] - staff member who wrote it (inbox replies)
+ * @returns {object} { success, messageId, ledgerId }
  */
-async function sendSms(to, body) {
+async function sendSms(to, body, options = {}) {
   const apiKey = process.env.QUO_API_KEY;
   const phoneNumberId = process.env.QUO_PHONE_NUMBER_ID;
 
@@ -43,6 +57,34 @@ async function sendSms(to, body) {
   if (cleanTo.length === 10) cleanTo = "+1" + cleanTo;
   if (cleanTo.length === 11 && cleanTo.startsWith("1")) cleanTo = "+" + cleanTo;
 
+  const ledger = (status, fields = {}) => {
+    try {
+      return recordOutbound({
+        phone: cleanTo,
+        body,
+        purpose: options.purpose,
+        notificationId: options.notificationId || null,
+        saleReviewId: options.saleReviewId || null,
+        sentBy: options.sentBy || null,
+        status,
+        ...fields,
+      });
+    } catch (e) {
+      // The ledger must never turn a good send into a failure
+      console.error("[Quo] Failed to write message ledger:", e.message);
+      return null;
+    }
+  };
+
+  if (!options.allowOptedOut && isOptedOut(cleanTo)) {
+    console.log(`[Quo] Suppressed SMS to opted-out ${cleanTo.substring(0, 6)}****`);
+    recordSuppressed(cleanTo, body, options.notificationId || null);
+    ledger("suppressed", { error: "Recipient has opted out of SMS" });
+    const err = new Error("Recipient has opted out of SMS");
+    err.code = "OPTED_OUT";
+    throw err;
+  }
+
   console.log(`[Quo] Sending SMS to ${cleanTo.substring(0, 6)}****`);
 
   try {
@@ -68,18 +110,51 @@ async function sendSms(to, body) {
     const data = await response.json();
     console.log(`[Quo] SMS sent successfully — ID: ${data.data?.id || data.id || "unknown"}`);
 
+    const messageId = data.data?.id || data.id || null;
     return {
       success: true,
-      messageId: data.data?.id || data.id || null,
+      messageId,
+      ledgerId: ledger("sent", { quoMessageId: messageId }),
       response: data,
     };
   } catch (err) {
-    if (err.message.includes("Quo API returned")) throw err;
+    if (err.message.includes("Quo API returned")) {
+      ledger("failed", { error: err.message });
+      throw err;
+    }
     console.error("[Quo] Network error:", err.message);
+    ledger("failed", { error: `Failed to reach Quo API: ${err.message}` });
     throw new Error(`Failed to reach Quo API: ${err.message}`);
   }
 }
 
+/**
+ * Look up a sent message's current carrier status
+ * @param {string} messageId - Quo message ID returned by sendSms
+ * @returns {object} { status, error } — status as Quo reports it (queued, sent, delivered, undelivered, failed)
+ */
+async function getMessageStatus(messageId) {
+  const apiKey = process.env.QUO_API_KEY;
+  if (!apiKey) {
+    throw new Error("QUO_API_KEY not configured — set it in Railway environment variables");
+  }
+
+  const response = await fetch(`${QUO_BASE_URL}/messages/${encodeURIComponent(messageId)}`, {
+    headers: { Authorization: apiKey },
+  });
+  if (!response.ok) {
+    const errorBody = await response.text();
+    throw new Error(`Quo API returned ${response.status}: ${errorBody.substring(0, 200)}`);
+  }
+
+  const data = await response.json();
+  const message = data.data || data;
+  return {
+    status: message.status || null,
+    error: message.errorMessage || message.error?.message || message.statusReason || null,
+  };
+}
+
 /**
  * Check if Quo API is reachable
  * @returns {boolean}
@@ -98,4 +173,4 @@ async function getQuoStatus() {
   }
 }
 
-module.exports = { sendSms, getQuoStatus };
+module.exports = { sendSms, getMessageStatus, getQuoStatus };
@@ -0,0 +1,232 @@
+/**
+ * Reply Correlation
+ *
+ * Works out which delivery a customer's reply is about. A customer with
+ * two orders — or a household sharing one phone — can have several open
+ * notifications, and "YES" has to land on the right one.
+ *
+ * OPEN: text sent, delivery date today or later, not yet delivered or
+ * missed, not already rescheduled away. A confirmed delivery stays open (the
+ * customer can still change their mind — see notification-state.js).
+ *
+ * MATCHING (first that finds exactly one wins), recorded on the inbound
+ * message as messages.match_method:
+ *   only_open       — there's only one open delivery
+ *   disambiguation  — the customer answered our "which one?" question
+ *   mentioned       — the reply names a date, weekday or product that fits one
+ *   only_unanswered — only one open delivery has no reply yet
+ *
+ * Otherwise a confirm/decline reply triggers a "which delivery?" text listing
+ * the options (reply_disambiguations holds the question until it's answered
+ * or expires after DISAMBIGUATION_TTL_HOURS); anything else goes to the inbox.
+ */
+
+const db = require("../database");
+const { getWindowText } = require("./templates");
+
+const DISAMBIGUATION_TTL_HOURS = 24;
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function estToday() {
+  const est = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+  return est.toISOString().split("T")[0];
+}
+
+function addDays(dateStr, days) {
+  const d = new Date(dateStr + "T12:00:00");
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+/**
+ * Open deliveries for a phone, soonest first.
+ */
+function getOpenNotifications(phone) {
+  return db.prepare(`
+    SELECT * FROM notifications
+    WHERE phone = ? AND status = 'sent' AND scheduled_date >= ?
+      AND delivery_status IN ('queued', 'en_route')
+      AND COALESCE(conversation_state, 'none') != 'rescheduled'
+    ORDER BY scheduled_date ASC, id ASC
+  `).all(phone, estToday());
+}
+
+/**
+ * "tomorrow" or "on Tuesday, October 20" for a delivery date.
+ */
+function describeDay(scheduledDate) {
+  if (!scheduledDate) return "on your scheduled day";
+  const today = estToday();
+  if (scheduledDate === today) return "today";
+  if (scheduledDate === addDays(today, 1)) return "tomorrow";
+  const d = new Date(scheduledDate + "T12:00:00");
+  return "on " + d.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
+}
+
+/**
+ * Pick the candidate a reply points at ("1", "friday", "10/23", "the queen").
+ * @returns {object|null} the notification, only if exactly one fits
+ */
+function pickFromReply(text, candidates) {
+  const normalized = String(text || "").toLowerCase().replace(/[’']/g, "");
+
+  // "1", "#2", "2."
+  const index = normalized.trim().match(/^#?\s*(\d)\s*[.)!]?$/);
+  if (index) return candidates[Number(index[1]) - 1] || null;
+
+  const fits = (predicate) => {
+    const matches = candidates.filter(predicate);
+    return matches.length === 1 ? matches[0] : null;
+  };
+
+  const today = estToday();
+  if (/\btoday\b/.test(normalized)) {
+    const match = fits((n) => n.scheduled_date === today);
+    if (match) return match;
+  }
+  if (/\btomorrow\b/.test(normalized)) {
+    const match = fits((n) => n.scheduled_date === addDays(today, 1));
+    if (match) return match;
+  }
+
+  // "fri", "thurs", "saturday"
+  const words = normalized.split(/[^a-z0-9]+/).filter(Boolean);
+  const weekday = WEEKDAYS.findIndex((day) => words.some((w) => w.length >= 3 && day.startsWith(w)));
+  if (weekday >= 0) {
+    const match = fits((n) => new Date(n.scheduled_date + "T12:00:00").getDay() === weekday);
+    if (match) return match;
+  }
+
+  // "10/23" or "oct 23"
+  const numeric = normalized.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  const named = normalized.match(new RegExp(`\\b(${MONTHS.join("|")})[a-z]*\\.?\\s+(\\d{1,2})\\b`));
+  const month = numeric ? Number(numeric[1]) : named ? MONTHS.indexOf(named[1]) + 1 : null;
+  const day = numeric ? Number(numeric[2]) : named ? Number(named[2]) : null;
+  if (month && day) {
+    const match = fits((n) => {
+      const [, m, d] = n.scheduled_date.split("-").map(Number);
+      return m === month && d === day;
+    });
+    if (match) return match;
+  }
+
+  // Product words ("the queen", "adjustable base")
+  const productWords = words.filter((w) => w.length >= 4);
+  if (productWords.length > 0) {
+    const match = fits((n) => {
+      const product = (n.product || "").toLowerCase();
+      return product && productWords.some((w) => product.includes(w));
+    });
+    if (match) return match;
+  }
+
+  return null;
+}
+
+/**
+ * The unanswered "which delivery?" question for a phone, if any.
+ */
+function getPendingDisambiguation(phone) {
+  const cutoff = new Date(Date.now() - DISAMBIGUATION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  db.prepare("UPDATE reply_disambiguations SET status = 'expired' WHERE phone = ? AND status = 'pending' AND created_at < ?")
+    .run(phone, cutoff);
+  const row = db.prepare("SELECT * FROM reply_disambiguations WHERE phone = ? AND status = 'pending' ORDER BY created_at DESC LIMIT 1").get(phone);
+  if (!row) return null;
+  return { ...row, candidate_ids: JSON.parse(row.candidate_ids), intent: JSON.parse(row.intent) };
+}
+
+/**
+ * Record which delivery an inbound message was about.
+ */
+function recordMatch(messageId, notificationId, method) {
+  if (!messageId) return;
+  db.prepare("UPDATE messages SET notification_id = ?, match_method = ?, updated_at = ? WHERE id = ?")
+    .run(notificationId, method, new Date().toISOString(), messageId);
+}
+
+/**
+ * Work out which delivery a reply is about.
+ * @param {string} phone - cleaned E.164
+ * @param {string} text - raw reply
+ * @param {number|null} messageId - the reply's ledger row
+ * @returns {object} one of
+ *   { status: "matched", notification, method, replyText, intent? } — intent
+ *      is set when this reply answered a "which one?" question (the original
+ *      reply's intent, with replyText the original reply)
+ *   { status: "ambiguous", candidates }
+ *   { status: "none" }
+ */
+function correlateReply(phone, text, messageId = null) {
+  const open = getOpenNotifications(phone);
+
+  const pending = getPendingDisambiguation(phone);
+  if (pending) {
+    // Same order as the question, so "2" means the second line we sent
+    const candidates = pending.candidate_ids.map((id) => db.prepare("SELECT * FROM notifications WHERE id = ?").get(id)).filter(Boolean);
+    const choice = pickFromReply(text, candidates);
+    if (choice && open.some((n) => n.id === choice.id)) {
+      db.prepare("UPDATE reply_disambiguations SET status = 'resolved', resolved_notification_id = ?, resolved_at = ? WHERE id = ?")
+        .run(choice.id, new Date().toISOString(), pending.id);
+      recordMatch(pending.message_id, choice.id, "disambiguation");
+      recordMatch(messageId, choice.id, "disambiguation");
+      logActivity("reply_disambiguated", `${choice.customer_name} picked their ${choice.scheduled_date} delivery for "${pending.reply_text}"`, choice.id);
+      return { status: "matched", notification: choice, method: "disambiguation", replyText: pending.reply_text, intent: pending.intent };
+    }
+  }
+
+  if (open.length === 0) return { status: "none" };
+
+  let notification = null;
+  let method = null;
+  if (open.length === 1) {
+    [notification, method] = [open[0], "only_open"];
+  } else {
+    const mentioned = pickFromReply(text, open);
+    const unanswered = open.filter((n) => n.confirmation_status === "unconfirmed");
+    if (mentioned) [notification, method] = [mentioned, "mentioned"];
+    else if (unanswered.length === 1) [notification, method] = [unanswered[0], "only_unanswered"];
+  }
+
+  if (!notification) return { status: "ambiguous", candidates: open };
+  recordMatch(messageId, notification.id, method);
+  return { status: "matched", notification, method, replyText: text };
+}
+
+/**
+ * Save the question and build the "which delivery?" text.
+ * @param {object} intent - the reply's classification, applied once answered
+ * @returns {string} SMS body
+ */
+function askWhichDelivery(phone, candidates, { text, intent, messageId = null }) {
+  const now = new Date().toISOString();
+  db.prepare("UPDATE reply_disambiguations SET status = 'superseded' WHERE phone = ? AND status = 'pending'").run(phone);
+  db.prepare(`
+    INSERT INTO reply_disambiguations (phone, message_id, reply_text, intent, candidate_ids, status, created_at)
+    VALUES (?, ?, ?, ?, ?, 'pending', ?)
+  `).run(phone, messageId, text, JSON.stringify(intent), JSON.stringify(candidates.map((n) => n.id)), now);
+
+  const lines = candidates.map((n, i) => {
+    const d = new Date(n.scheduled_date + "T12:00:00");
+    const date = d.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+    const who = candidates.some((o) => o.customer_name !== n.customer_name) ? ` for ${n.customer_name.split(" ")[0]}` : "";
+    return `${i + 1}) ${date} ${getWindowText(n)}${n.product ? ` — ${n.product}` : ""}${who}`;
+  });
+  logActivity("reply_ambiguous", `Reply "${text}" matches ${candidates.length} open deliveries — asked which one`, candidates[0].id);
+  return `Thanks! We have ${candidates.length} deliveries scheduled for this number:\n${lines.join("\n")}\nWhich one is your reply about? Reply ${candidates.map((_, i) => i + 1).join(" or ")}.`;
+}
+
+module.exports = {
+  getOpenNotifications,
+  describeDay,
+  pickFromReply,
+  getPendingDisambiguation,
+  correlateReply,
+  askWhichDelivery,
+};
@@ -3,7 +3,9 @@
  *
  * Uses Claude to have a natural text conversation with customers who
  * replied NO to their delivery confirmation. Claude knows each store's
- * valid delivery days and guides the customer to pick a new date.
+ * valid delivery days (from the store registry), upcoming blackout
+ * dates and fully booked dates (capacity.js), and guides the customer to
+ * pick a new date.
  *
  * Flow:
  *   1. Customer replies NO → status set to reschedule 'awaiting_date'
@@ -14,64 +16,35 @@
  *   6. Valid date confirmed → create unassigned stop in Spoke → confirm to customer
  *   7. New stop flows through normal pipeline (allocated → 6 PM text → etc.)
  *
+ * Whenever Emma can't carry on and the customer is promised a person, the
+ * delivery goes in the handoff queue (handoffs.js) and staff are alerted.
+ *
+ * Staff can take a conversation over (conversation_state 'staff'): Emma
+ * stops answering, the customer's texts land in the inbox, staff reply from
+ * there and can confirm a date themselves (same validateDate() + Spoke stop
+ * as Emma), or hand the thread back to Emma.
+ *
  * Requires: ANTHROPIC_API_KEY environment variable
  */
 
 const fetch = require("node-fetch");
 const db = require("../database");
 const { sendSms } = require("./quo");
+const { getDeliveryRules, getDisplayName } = require("./stores");
+const { getBlackout, getUpcomingBlackouts } = require("./blackouts");
+const { hasCapacity, getCapacityCalendar } = require("./capacity");
+const { alertHumanNeeded } = require("./staff-alerts");
+const { openHandoff, claimHandoffFor, resolveHandoffFor } = require("./handoffs");
 
 const SPOKE_API_BASE = "https://api.getcircuit.com/public/v0.2b";
 
-// ─── Store Delivery Day Rules ───────────────────────────
-// Day numbers: 0=Sun, 1=Mon, 2=Tue, 3=Wed, 4=Thu, 5=Fri, 6=Sat
-const STORE_DELIVERY_RULES = {
-  lexington: {
-    days: [2, 4, 6], // Tue, Thu, Sat
-    dayNames: "Tuesdays, Thursdays, and Saturdays",
-    flexible: [],
-  },
-  georgetown: {
-    days: [2, 4, 6], // Tue, Thu, Sat
-    dayNames: "Tuesdays, Thursdays, and Saturdays",
-    flexible: [],
-  },
-  somerset: {
-    days: [5], // Fri only
-    dayNames: "Fridays",
-    flexible: [],
-  },
-  london: {
-    days: [3], // Wed
-    dayNames: "Wednesdays",
-    flexible: [5], // occasionally Fri
-    flexibleNote: "We can occasionally do Fridays if you need it.",
-  },
-};
+// How far ahead Claude is told about closures
+const BLACKOUT_LOOKAHEAD_DAYS = 90;
+// How far ahead Claude is told about fully booked dates, and open dates are suggested
+const CAPACITY_LOOKAHEAD_DAYS = 42;
 
-// ─── Blackout Dates ─────────────────────────────────────
-const BLACKOUT_DATES = [
-  "2026-11-26", // Thanksgiving
-  "2026-11-27", // Day after Thanksgiving
-  "2026-12-24", // Christmas Eve
-  "2026-12-25", // Christmas Day
-  "2026-12-31", // New Year's Eve
-  "2027-01-01", // New Year's Day
-  "2027-05-25", // Memorial Day
-  "2027-07-04", // Independence Day
-  "2027-09-07", // Labor Day
-  "2027-11-25", // Thanksgiving 2027
-  "2027-11-26", // Day after Thanksgiving 2027
-  "2027-12-24", // Christmas Eve 2027
-  "2027-12-25", // Christmas Day 2027
-];
-
-const SALE_PREFIX_TO_STORE = {
-  "2": "lexington",
-  "3": "georgetown",
-  "4": "somerset",
-  "5": "london",
-};
+// Conversations staff can take over (Emma's, or one she already handed off)
+const TAKEOVER_STATES = ["rescheduling", "handoff"];
 
 /**
  * Handle an incoming text from a customer who is in rescheduling mode.
@@ -82,16 +55,12 @@ const SALE_PREFIX_TO_STORE = {
  */
 async function handleRescheduleMessage(notification, customerMessage) {
   const store = notification.store;
-  const rules = STORE_DELIVERY_RULES[store];
+  const rules = getDeliveryRules(store);
 
   if (!rules) {
     console.log("[Reschedule] No delivery rules for store:", store);
-    // Alert Drew that a human is needed
-    try {
-      await sendSms("+19316500631", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling. No delivery rules for store: ${store || "unknown"}.`);
-    } catch (e) {
-      console.error("[Reschedule] Failed to alert Drew:", e.message);
-    }
+    // Queue it and alert store staff that a human is needed
+    await handOff(notification, "no_delivery_rules", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling. No delivery rules for store: ${store || "unknown"}.`);
     return {
       reply: "We're having trouble looking up your delivery area. A team member will reach out to help reschedule. Thank you!",
       rescheduled: false,
@@ -124,12 +93,8 @@ async function handleRescheduleMessage(notification, customerMessage) {
   const claudeResponse = await callClaude(systemPrompt, messages);
 
   if (!claudeResponse) {
-    // Alert Drew that a human is needed (Claude API failed)
-    try {
-      await sendSms("+19316500631", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling. Emma had a technical issue and couldn't respond.`);
-    } catch (e) {
-      console.error("[Reschedule] Failed to alert Drew:", e.message);
-    }
+    // Queue it and alert store staff that a human is needed (Claude API failed)
+    await handOff(notification, "ai_error", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling. Emma had a technical issue and couldn't respond.`);
     return {
       reply: "We're having a little trouble right now. A team member will reach out to help reschedule. Thank you!",
       rescheduled: false,
@@ -150,12 +115,8 @@ async function handleRescheduleMessage(notification, customerMessage) {
   } catch (e) {
     console.error("[Reschedule] Failed to parse Claude response:", e.message);
     console.log("[Reschedule] Raw response:", claudeResponse);
-    // Alert Drew that a human is needed (Claude response unparseable)
-    try {
-      await sendSms("+19316500631", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling. Emma had a technical issue and couldn't respond.`);
-    } catch (alertErr) {
-      console.error("[Reschedule] Failed to alert Drew:", alertErr.message);
-    }
+    // Queue it and alert store staff that a human is needed (Claude response unparseable)
+    await handOff(notification, "ai_error", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling. Emma had a technical issue and couldn't respond.`);
     return {
       reply: "We're having a little trouble right now. A team member will reach out to help reschedule. Thank you!",
       rescheduled: false,
@@ -176,36 +137,19 @@ async function handleRescheduleMessage(notification, customerMessage) {
       return { reply: validation.reason, rescheduled: false };
     }
 
-    // Create the rescheduled stop in Spoke
-    const spokeCreated = await createRescheduledStop(notification, parsed.date);
-
-    // Update the original notification
-    db.prepare(
-      "UPDATE notifications SET conversation_state = 'rescheduled', reschedule_count = reschedule_count + 1, updated_at = ? WHERE id = ?"
-    ).run(new Date().toISOString(), notification.id);
-
-    // Create a new notification record for the rescheduled delivery
-    const newNotif = db.prepare(
-      `INSERT INTO notifications
-      (customer_name, phone, store, address, scheduled_date, time_window, product, driver, status, rescheduled_from, conversation_state, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, 'TBD', ?, 'TBD', 'pending', ?, 'none', ?, ?)`
-    ).run(
-      notification.customer_name,
-      notification.phone,
-      notification.store,
-      notification.address,
-      parsed.date,
-      notification.product,
-      notification.id,
-      new Date().toISOString(),
-      new Date().toISOString()
-    );
-
-    logActivity(
-      "reschedule_confirmed",
-      `${notification.customer_name} rescheduled to ${parsed.date} (${parsed.day_name || ""})`,
-      notification.id
-    );
+    try {
+      await confirmRescheduledDate(notification, parsed.date, { dayName: parsed.day_name, by: "Emma", rules });
+    } catch (err) {
+      // Someone else took the last slot while Claude was answering
+      if (err.code === "INVALID_DATE") return { reply: err.message, rescheduled: false };
+      if (err.code !== "BOOKING_FAILED") throw err;
+      await handOff(notification, "booking_failed", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) picked ${parsed.date} for their ${notification.store || ""} delivery but the Spoke stop couldn't be created, so it isn't booked.`);
+      return {
+        reply: "We're having a little trouble booking that date. A team member will reach out to help reschedule. Thank you!",
+        rescheduled: false,
+        handoff: true,
+      };
+    }
 
     return { reply: parsed.reply, rescheduled: true, newDate: parsed.date };
   }
@@ -217,12 +161,10 @@ async function handleRescheduleMessage(notification, customerMessage) {
 
     logActivity("reschedule_handoff", `${notification.customer_name} needs human assistance for rescheduling`, notification.id);
 
-    // Alert Drew that a human is needed
-    try {
-      await sendSms("+19316500631", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling their ${notification.store || ""} delivery originally scheduled for ${notification.scheduled_date}. Emma couldn't handle the request.`);
-      logActivity("handoff_alert_sent", `Handoff alert sent to Drew for ${notification.customer_name}`, notification.id);
-    } catch (e) {
-      console.error("[Reschedule] Failed to alert Drew:", e.message);
+    // Queue it and alert store staff that a human is needed
+    const alerted = await handOff(notification, "ai_handoff", `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) needs help rescheduling their ${notification.store || ""} delivery originally scheduled for ${notification.scheduled_date}. Emma couldn't handle the request.`);
+    if (alerted > 0) {
+      logActivity("handoff_alert_sent", `Handoff alert sent to ${alerted} staff for ${notification.customer_name}`, notification.id);
     }
 
     return { reply: parsed.reply, rescheduled: false, handoff: true };
@@ -245,36 +187,44 @@ function buildSystemPrompt(store, rules, notification) {
     timeZone: "America/New_York",
   });
 
-  const storeDisplayNames = {
-    lexington: "Mattress Overstock - Nicholasville Road (Lexington)",
-    georgetown: "Mattress Overstock - Georgetown",
-    somerset: "Mattress Overstock - Somerset",
-    london: "Mattress Overstock - London",
-  };
-
   const flexNote = rules.flexibleNote ? `\n- ${rules.flexibleNote}` : "";
 
+  const closures = getUpcomingBlackouts({ store, days: BLACKOUT_LOOKAHEAD_DAYS })
+    .map((b) => `${formatShortDate(b.date)}${b.reason ? ` (${b.reason})` : ""}`);
+  const closureNote = closures.length > 0
+    ? `\n- We are closed and cannot deliver on these dates: ${closures.join(", ")}`
+    : "";
+  const fullDates = getCapacityCalendar({ store, days: CAPACITY_LOOKAHEAD_DAYS })
+    .filter((d) => d.full && d.delivery_day && !d.blackout)
+    .map((d) => formatShortDate(d.date));
+  const fullNote = fullDates.length > 0
+    ? `\n- These dates are fully booked — do not offer or confirm them: ${fullDates.join(", ")}`
+    : "";
+  const missedNote = notification.delivery_status === "attempted_failed"
+    ? `\n- Our driver tried to deliver and couldn't (${notification.delivery_failure_reason || "no reason given"}) — this is why they're rescheduling, so be apologetic`
+    : "";
+
   return `You are Emma, a friendly AI text message assistant for Mattress Overstock helping a customer reschedule their mattress delivery. Keep your messages short and conversational — this is SMS, not email.
 
 You have already introduced yourself as "Emma, an AI assistant" in your first message to this customer. Do NOT re-introduce yourself or mention being AI again — just continue the conversation naturally as Emma.
 
 CUSTOMER INFO:
 - Name: ${notification.customer_name}
-- Store: ${storeDisplayNames[store] || store}
+- Store: ${getDisplayName(store)}
 - Original delivery date: ${notification.scheduled_date}
-- Address: ${notification.address}
+- Address: ${notification.address}${missedNote}
 
 TODAY'S DATE: ${todayStr}
 
 DELIVERY RULES FOR THIS STORE:
 - Valid delivery days: ${rules.dayNames}${flexNote}
-- The delivery must be on a future date (not today or in the past)
-- No deliveries on these holidays: Thanksgiving, day after Thanksgiving, Christmas Eve, Christmas Day, New Year's Eve, New Year's Day, Memorial Day, Independence Day, Labor Day
+- The delivery must be on a future date (not today or in the past)${closureNote}${fullNote}
 
 IMPORTANT RULES:
 - You CANNOT provide a time window. Time windows are set the day before delivery and the customer will be texted automatically.
 - If the customer asks for a specific time, politely explain that delivery windows are assigned the day before and they'll receive a text with their window.
 - If the customer asks for a day that doesn't match the store's delivery days, tell them which days are available.
+- If the customer asks for a fully booked date, tell them that day is full and offer the nearest open delivery days.
 - If the customer seems frustrated or has a complex request you can't handle, hand off to a human.
 - Be warm and brief. Use first names. No emojis.
 - The reschedule date must be at least 2 days from today to allow route planning.
@@ -339,10 +289,17 @@ async function callClaude(systemPrompt, messages) {
   }
 }
 
+// "Sat Oct 24" — no inner comma, so lists of dates stay readable
+function formatShortDate(dateStr) {
+  const date = new Date(dateStr + "T12:00:00");
+  return `${date.toLocaleDateString("en-US", { weekday: "short" })} ${date.toLocaleDateString("en-US", { month: "short", day: "numeric" })}`;
+}
+
 /**
- * Server-side date validation as a safety net.
+ * Server-side date validation as a safety net. A fully booked date's reason
+ * names the next open ones (pass suggest: false to skip looking them up).
  */
-function validateDate(dateStr, store, rules) {
+function validateDate(dateStr, store, rules, { suggest = true } = {}) {
   const date = new Date(dateStr + "T12:00:00");
   const now = new Date();
   const dayOfWeek = date.getDay();
@@ -365,17 +322,118 @@ function validateDate(dateStr, store, rules) {
     return { valid: false, reason: `We deliver to your area on ${rules.dayNames}. Which of those days works for you?` };
   }
 
-  // Not a blackout date
-  if (BLACKOUT_DATES.includes(dateStr)) {
-    return { valid: false, reason: `We're closed on that holiday. What other day works for you?` };
+  // Not a blackout date (company-wide or this store)
+  const blackout = getBlackout(dateStr, store);
+  if (blackout) {
+    return {
+      valid: false,
+      reason: blackout.category === "holiday"
+        ? `We're closed on that holiday. What other day works for you?`
+        : `We aren't able to deliver that day. What other day works for you? We deliver on ${rules.dayNames}.`,
+    };
+  }
+
+  // Room left on the truck (per-store limits, see capacity.js)
+  if (!hasCapacity(store, dateStr)) {
+    const openDates = suggest ? getOpenDates(store, rules) : [];
+    return {
+      valid: false,
+      reason: openDates.length > 0
+        ? `That day is fully booked. We have openings on ${openDates.map(formatShortDate).join(", ")}. Would one of those work?`
+        : `That day is fully booked. What other day works for you? We deliver on ${rules.dayNames}.`,
+    };
   }
 
   return { valid: true };
 }
 
+/**
+ * The next bookable dates on the store's regular delivery days — passes
+ * validateDate(), room left on the truck.
+ * @returns {string[]} up to `limit` YYYY-MM-DD dates
+ */
+function getOpenDates(store, rules, { limit = 3 } = {}) {
+  const open = [];
+  const day = new Date();
+  day.setHours(12, 0, 0, 0);
+  for (let i = 1; i <= CAPACITY_LOOKAHEAD_DAYS && open.length < limit; i++) {
+    day.setDate(day.getDate() + 1);
+    if (!rules.days.includes(day.getDay())) continue;
+    const dateStr = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, "0")}-${String(day.getDate()).padStart(2, "0")}`;
+    if (validateDate(dateStr, store, rules, { suggest: false }).valid) open.push(dateStr);
+  }
+  return open;
+}
+
+/**
+ * Book the new date: a pending notification for the new delivery, an
+ * unassigned Spoke stop, and the original marked rescheduled. Shared by
+ * Emma's confirm_date and staff confirming a date themselves.
+ *
+ * The new notification is inserted in the same synchronous step as the
+ * capacity re-check, before the Spoke call, so two customers confirming the
+ * last slot at once can't both get it. It's deleted again if Spoke rejects
+ * the stop.
+ * @param {object} opts - { dayName, by: "Emma" or the staff member's name, rules }
+ * @returns {object} { newNotificationId, spokeCreated }
+ * @throws code INVALID_DATE if the date filled up since it was validated,
+ *         code BOOKING_FAILED if the Spoke stop couldn't be created (nothing booked)
+ */
+async function confirmRescheduledDate(notification, newDate, { dayName = null, by = null, rules } = {}) {
+  // Hold the slot with the new notification record for the rescheduled delivery
+  const newNotificationId = db.transaction(() => {
+    if (!hasCapacity(notification.store, newDate)) {
+      throw Object.assign(new Error(validateDate(newDate, notification.store, rules).reason), { code: "INVALID_DATE" });
+    }
+    return db.prepare(
+      `INSERT INTO notifications
+      (customer_name, phone, store, address, scheduled_date, time_window, product, driver, status, rescheduled_from, conversation_state, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 'TBD', ?, 'TBD', 'pending', ?, 'none', ?, ?)`
+    ).run(
+      notification.customer_name,
+      notification.phone,
+      notification.store,
+      notification.address,
+      newDate,
+      notification.product,
+      notification.id,
+      new Date().toISOString(),
+      new Date().toISOString()
+    ).lastInsertRowid;
+  })();
+
+  // Create the rescheduled stop in Spoke
+  let spokeCreated;
+  try {
+    spokeCreated = await createRescheduledStop(notification, newDate);
+  } catch (err) {
+    db.prepare("DELETE FROM notifications WHERE id = ?").run(newNotificationId);
+    logActivity("reschedule_failed", `${notification.customer_name} not rescheduled to ${newDate} — Spoke stop couldn't be created: ${err.message}`, notification.id);
+    throw Object.assign(new Error(`Couldn't create the Spoke stop, so ${newDate} wasn't booked: ${err.message}`), { code: "BOOKING_FAILED" });
+  }
+
+  // Update the original notification
+  db.prepare(
+    "UPDATE notifications SET conversation_state = 'rescheduled', conversation_taken_by = NULL, conversation_taken_at = NULL, reschedule_count = reschedule_count + 1, updated_at = ? WHERE id = ?"
+  ).run(new Date().toISOString(), notification.id);
+
+  logActivity(
+    "reschedule_confirmed",
+    `${notification.customer_name} rescheduled to ${newDate} (${dayName || ""})${by && by !== "Emma" ? ` by ${by}` : ""}`,
+    notification.id
+  );
+
+  // Whoever booked it, nobody needs to follow up any more
+  resolveHandoffFor(notification.id, { resolvedBy: by, outcome: "rescheduled", note: `Rescheduled${by === "Emma" ? " by text" : ""} to ${newDate}` });
+
+  return { newNotificationId, spokeCreated };
+}
+
 /**
  * Create an unassigned stop in Spoke for the rescheduled delivery.
  * The dispatcher will assign it to a route when building that day's deliveries.
+ * @returns {boolean} false if Spoke isn't configured (the dispatcher adds it by hand)
+ * @throws if Spoke rejects the stop or can't be reached
  */
 async function createRescheduledStop(notification, newDate) {
   const apiKey = process.env.SPOKE_API_KEY;
@@ -448,24 +506,34 @@ async function createRescheduledStop(notification, newDate) {
 
     const errText = await res.text();
     console.error("[Reschedule] Failed to create Spoke stop:", res.status, errText.substring(0, 500));
-    return false;
+    throw new Error(`Spoke API ${res.status}`);
   } catch (e) {
     console.error("[Reschedule] Spoke API error:", e.message);
-    return false;
+    throw e;
   }
 }
 
 /**
- * Kick off the reschedule conversation after a customer replies NO.
+ * Kick off the reschedule conversation after a customer replies NO, or
+ * after the driver couldn't deliver ({ reason: "missed" }).
  */
-async function startRescheduleConversation(notification) {
+async function startRescheduleConversation(notification, { reason = "declined" } = {}) {
   const store = notification.store;
-  const rules = STORE_DELIVERY_RULES[store];
+  const rules = getDeliveryRules(store);
+  const firstName = notification.customer_name.split(" ")[0];
+  const opener = reason === "missed" ? `Sorry we missed you today, ${firstName}!` : `No problem, ${firstName}!`;
 
   if (!rules) {
-    // Store not configured for automated rescheduling
+    // Store not configured for automated rescheduling — the reply promises a person
+    db.prepare("UPDATE notifications SET conversation_state = 'handoff', updated_at = ? WHERE id = ?")
+      .run(new Date().toISOString(), notification.id);
+    const message = `HUMAN NEEDED — ${notification.customer_name} (${notification.phone}) declined their ${notification.scheduled_date} delivery. ` +
+      `No delivery rules for store: ${store || "unknown"} — they were told someone will text them tomorrow after 10 AM.`;
+    // A missed delivery gets its own staff alert from the Spoke webhook
+    if (reason === "missed") openHandoff(notification, { reason: "no_delivery_rules", detail: message });
+    else await handOff(notification, "no_delivery_rules", message);
     return {
-      reply: "No problem! A member of our team will text you tomorrow after 10 AM to reschedule your delivery. Thank you!",
+      reply: `${reason === "missed" ? "Sorry we missed you today!" : "No problem!"} A member of our team will text you tomorrow after 10 AM to reschedule your delivery. Thank you!`,
       rescheduled: false,
     };
   }
@@ -475,11 +543,10 @@ async function startRescheduleConversation(notification) {
     .run(new Date().toISOString(), notification.id);
 
   // Build initial reschedule message — introduce Emma (AI assistant)
-  const firstName = notification.customer_name.split(" ")[0];
-  let message = `No problem, ${firstName}! This is Emma, an AI assistant for Mattress Overstock. I can help reschedule your delivery. We deliver to your area on ${rules.dayNames}. What day works best for you?`;
+  let message = `${opener} This is Emma, an AI assistant for Mattress Overstock. I can help reschedule your delivery. We deliver to your area on ${rules.dayNames}. What day works best for you?`;
 
   if (rules.flexibleNote) {
-    message = `No problem, ${firstName}! This is Emma, an AI assistant for Mattress Overstock. I can help reschedule your delivery. We typically deliver to your area on ${rules.dayNames}. ${rules.flexibleNote} What day works best for you?`;
+    message = `${opener} This is Emma, an AI assistant for Mattress Overstock. I can help reschedule your delivery. We typically deliver to your area on ${rules.dayNames}. ${rules.flexibleNote} What day works best for you?`;
   }
 
   // Log the initial assistant message
@@ -491,6 +558,103 @@ async function startRescheduleConversation(notification) {
   return { reply: message, rescheduled: false };
 }
 
+/**
+ * Put a delivery in the handoff queue and alert the store's handoff contacts.
+ * @returns {number} how many staff phones were texted
+ */
+async function handOff(notification, reason, message) {
+  openHandoff(notification, { reason, detail: message });
+  return alertHumanNeeded(notification, message);
+}
+
+// ─── Staff takeover ──────────────────────────────────────
+
+function getNotification(id) {
+  return db.prepare("SELECT * FROM notifications WHERE id = ?").get(id);
+}
+
+/**
+ * Pause Emma — staff handle the customer's texts from the inbox. Claims the
+ * delivery's open handoff, if any.
+ */
+function takeOverConversation(notificationId, { takenBy = null } = {}) {
+  const notification = getNotification(notificationId);
+  if (!notification) throw new Error("Notification not found");
+  if (notification.conversation_state === "staff") throw new Error(`Already taken over by ${notification.conversation_taken_by || "staff"}`);
+  if (!TAKEOVER_STATES.includes(notification.conversation_state)) {
+    throw new Error(`No rescheduling conversation to take over (${notification.conversation_state || "none"})`);
+  }
+
+  const now = new Date().toISOString();
+  db.prepare("UPDATE notifications SET conversation_state = 'staff', conversation_taken_by = ?, conversation_taken_at = ?, updated_at = ? WHERE id = ?")
+    .run(takenBy, now, now, notification.id);
+  claimHandoffFor(notification.id, { claimedBy: takenBy });
+
+  logActivity("reschedule_takeover", `${takenBy || "Staff"} took over rescheduling with ${notification.customer_name} — Emma paused`, notification.id);
+  return getNotification(notification.id);
+}
+
+/**
+ * Hand a taken-over (or handed-off) conversation back to Emma. She answers
+ * the customer's next text, with the staff messages in her history.
+ */
+function resumeConversation(notificationId, { resumedBy = null } = {}) {
+  const notification = getNotification(notificationId);
+  if (!notification) throw new Error("Notification not found");
+  if (!["staff", "handoff"].includes(notification.conversation_state)) {
+    throw new Error(`Emma isn't paused for this delivery (${notification.conversation_state || "none"})`);
+  }
+  if (!getDeliveryRules(notification.store)) throw new Error(`No delivery rules for store: ${notification.store || "unknown"} — Emma can't reschedule it`);
+
+  db.prepare("UPDATE notifications SET conversation_state = 'rescheduling', conversation_taken_by = NULL, conversation_taken_at = NULL, updated_at = ? WHERE id = ?")
+    .run(new Date().toISOString(), notification.id);
+  resolveHandoffFor(notification.id, { resolvedBy: resumedBy, outcome: "other", note: "Handed back to Emma" });
+
+  logActivity("reschedule_resumed", `${resumedBy || "Staff"} handed ${notification.customer_name} back to Emma`, notification.id);
+  return getNotification(notification.id);
+}
+
+/**
+ * Staff confirm a new date for a conversation they've taken over — checked
+ * with validateDate() and booked exactly as Emma would, then texted to the
+ * customer.
+ * @param {object} opts - { confirmedBy, message: text to send instead of the default }
+ * @returns {object} { notification, newNotificationId, spokeCreated, texted }
+ */
+async function confirmDateForCustomer(notificationId, date, { confirmedBy = null, message = null } = {}) {
+  const notification = getNotification(notificationId);
+  if (!notification) throw new Error("Notification not found");
+  if (notification.conversation_state !== "staff") throw new Error("Take over the conversation before confirming a date");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) throw Object.assign(new Error("date must be YYYY-MM-DD"), { code: "INVALID_DATE" });
+
+  // Stores without delivery rules: staff know the route, so any weekday passes
+  const rules = getDeliveryRules(notification.store) || { days: [0, 1, 2, 3, 4, 5, 6], flexible: [], dayNames: "any day" };
+  const validation = validateDate(date, notification.store, rules);
+  if (!validation.valid) throw Object.assign(new Error(validation.reason), { code: "INVALID_DATE" });
+
+  const booked = await confirmRescheduledDate(notification, date, {
+    dayName: new Date(date + "T12:00:00").toLocaleDateString("en-US", { weekday: "long" }),
+    by: confirmedBy || "Staff",
+    rules,
+  });
+
+  const display = new Date(date + "T12:00:00").toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
+  const text = (message && message.trim()) ||
+    `Hi ${notification.customer_name.split(" ")[0]}, your delivery has been rescheduled for ${display}! We'll text you the evening before with your delivery window.`;
+  let texted = false;
+  try {
+    await sendSms(notification.phone, text, { notificationId: notification.id, purpose: "staff_reply", sentBy: confirmedBy });
+    db.prepare("INSERT INTO reschedule_conversations (notification_id, role, content, created_at) VALUES (?, 'staff', ?, ?)")
+      .run(notification.id, text, new Date().toISOString());
+    texted = true;
+  } catch (err) {
+    console.error("[Reschedule] Failed to text staff-confirmed date:", err.message);
+    logActivity("sms_failed", `Reschedule confirmation to ${notification.customer_name} failed: ${err.message}`, notification.id);
+  }
+
+  return { notification: getNotification(notification.id), ...booked, texted };
+}
+
 function logActivity(type, detail, notificationId = null) {
   db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
     type,
@@ -500,4 +664,10 @@ function logActivity(type, detail, notificationId = null) {
   );
 }
 
-module.exports = { handleRescheduleMessage, startRescheduleConversation };
+module.exports = {
+  handleRescheduleMessage,
+  startRescheduleConversation,
+  takeOverConversation,
+  resumeConversation,
+  confirmDateForCustomer,
+};
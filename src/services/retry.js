@@ -0,0 +1,189 @@
+/**
+ * Failed SMS Retry Worker
+ *
+ * Picks up notifications the 6 PM send (or a manual send) marked 'failed'
+ * and retries them with exponential backoff until retry_max is reached.
+ *
+ * SETTINGS (settings table):
+ *   retry_max              — retries allowed after the first failed attempt (default 3)
+ *   retry_interval_minutes — base backoff; doubles after each failure (default 5)
+ *                            e.g. 5 → retry at +5, +10, +20 minutes
+ *
+ * SCOPE:
+ *   Only notifications for upcoming delivery dates (after today, EST).
+ *   Only between 8 AM and 9 PM EST, so a failure never texts a customer overnight.
+ *   Nothing while auto_send_enabled is off; paused dates/stores are skipped.
+ *
+ * When a notification runs out of retries it is marked 'failed_permanent'
+ * and the store's on-duty staff get an alert to call the customer.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { getSmsBody } = require("./templates");
+const { alertStaff } = require("./staff-alerts");
+const { isAutoSendEnabled, getHoldReason } = require("./pauses");
+const { transition } = require("./notification-state");
+
+const RETRY_CHECK_INTERVAL_MS = 60 * 1000; // check every minute
+const RETRY_START_HOUR = 8; // 8 AM EST
+const RETRY_END_HOUR = 21; // 9 PM EST
+
+let retryRunning = false; // prevent overlapping passes
+
+function getESTNow() {
+  return new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+}
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getRetrySettings() {
+  const get = (key) => db.prepare("SELECT value FROM settings WHERE key = ?").get(key)?.value;
+  const retryMax = parseInt(get("retry_max"), 10);
+  const intervalMinutes = parseInt(get("retry_interval_minutes"), 10);
+  return {
+    retryMax: Number.isFinite(retryMax) && retryMax >= 0 ? retryMax : 3,
+    intervalMinutes: Number.isFinite(intervalMinutes) && intervalMinutes > 0 ? intervalMinutes : 5,
+  };
+}
+
+/**
+ * Minutes to wait after the Nth failed attempt before trying again.
+ */
+function getBackoffMinutes(failedAttempts, intervalMinutes) {
+  return intervalMinutes * Math.pow(2, Math.max(0, failedAttempts - 1));
+}
+
+/**
+ * Give up on a notification and tell staff to call the customer.
+ */
+async function markPermanentlyFailed(notification) {
+  transition(notification.id, "message", "failed_permanent", { reason: "retries exhausted" });
+
+  logActivity(
+    "sms_failed_permanent",
+    `Gave up texting ${notification.customer_name} after ${notification.retry_count} attempts: ${notification.error_message || "unknown error"}`,
+    notification.id
+  );
+  console.log(`[Retry] ✗ Giving up on #${notification.id} (${notification.customer_name})`);
+
+  const sent = await alertStaff(
+    `SMS FAILED — Could not text ${notification.customer_name} (${notification.phone}) about their ${notification.scheduled_date} delivery after ${notification.retry_count} attempts. Please call them. Error: ${(notification.error_message || "unknown").substring(0, 120)}`,
+    { notificationId: notification.id, store: notification.store }
+  );
+  if (sent > 0) {
+    logActivity("staff_alert_sent", `Failed-send alert sent to ${sent} staff for ${notification.customer_name}`, notification.id);
+  }
+}
+
+/**
+ * One pass over failed notifications — retry the ones whose backoff is up.
+ */
+async function processRetries() {
+  const now = getESTNow();
+  const hour = now.getHours();
+  if (hour < RETRY_START_HOUR || hour >= RETRY_END_HOUR) return { retried: 0, recovered: 0, exhausted: 0 };
+  if (!isAutoSendEnabled()) return { retried: 0, recovered: 0, exhausted: 0 };
+
+  const today = now.toISOString().split("T")[0];
+  const { retryMax, intervalMinutes } = getRetrySettings();
+  const results = { retried: 0, recovered: 0, exhausted: 0 };
+
+  const failed = db.prepare(
+    "SELECT * FROM notifications WHERE status = 'failed' AND scheduled_date > ? ORDER BY scheduled_date ASC, id ASC"
+  ).all(today);
+
+  for (const notification of failed) {
+    if (getHoldReason(notification)) continue;
+
+    if (notification.retry_count > retryMax) {
+      await markPermanentlyFailed(notification);
+      results.exhausted++;
+      continue;
+    }
+
+    const backoffMs = getBackoffMinutes(notification.retry_count, intervalMinutes) * 60 * 1000;
+    const lastAttempt = new Date(notification.updated_at).getTime();
+    if (Number.isFinite(lastAttempt) && Date.now() - lastAttempt < backoffMs) continue;
+
+    results.retried++;
+    try {
+      const smsBody = getSmsBody(notification);
+      const result = await sendSms(notification.phone, smsBody, { notificationId: notification.id, purpose: "confirmation" });
+
+      transition(notification.id, "message", "sent", {
+        fields: {
+          sent_at: new Date().toISOString(),
+          quo_message_id: result.messageId || null,
+          error_message: null,
+          carrier_status: "accepted",
+          carrier_error: null,
+          carrier_status_at: new Date().toISOString(),
+        },
+      });
+
+      logActivity(
+        "sms_sent",
+        `[Retry ${notification.retry_count}/${retryMax}] SMS sent to ${notification.customer_name}`,
+        notification.id
+      );
+      results.recovered++;
+    } catch (err) {
+      if (err.code === "OPTED_OUT") {
+        transition(notification.id, "message", "suppressed", { fields: { error_message: err.message } });
+        continue;
+      }
+
+      db.prepare(
+        `UPDATE notifications
+         SET error_message = ?, retry_count = retry_count + 1, updated_at = ?
+         WHERE id = ?`
+      ).run(err.message, new Date().toISOString(), notification.id);
+
+      logActivity(
+        "sms_retry_failed",
+        `[Retry ${notification.retry_count}/${retryMax}] Failed for ${notification.customer_name}: ${err.message}`,
+        notification.id
+      );
+
+      const updated = db.prepare("SELECT * FROM notifications WHERE id = ?").get(notification.id);
+      if (updated.retry_count > retryMax) {
+        await markPermanentlyFailed(updated);
+        results.exhausted++;
+      }
+    }
+  }
+
+  if (results.retried > 0 || results.exhausted > 0) {
+    console.log(`[Retry] Pass complete — retried: ${results.retried}, recovered: ${results.recovered}, gave up: ${results.exhausted}`);
+  }
+  return results;
+}
+
+async function checkAndRetry() {
+  if (retryRunning) return;
+  retryRunning = true;
+  try {
+    await processRetries();
+  } catch (err) {
+    console.error("[Retry] Fatal error during retry pass:", err);
+    logActivity("retry_error", `Retry worker error: ${err.message}`);
+  } finally {
+    retryRunning = false;
+  }
+}
+
+/**
+ * Start the retry loop alongside the scheduler.
+ */
+function startRetryWorker() {
+  const { retryMax, intervalMinutes } = getRetrySettings();
+  console.log(`[Retry] Worker started — up to ${retryMax} retries, ${intervalMinutes} min base backoff`);
+  setInterval(checkAndRetry, RETRY_CHECK_INTERVAL_MS);
+}
+
+module.exports = { startRetryWorker, processRetries };
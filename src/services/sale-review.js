@@ -18,39 +18,11 @@
  */
 const db = require("../database");
 const { sendSms } = require("./quo");
+const { isOptedOut, recordSuppressed } = require("./optout");
+const { resolveStoreFromSaleNumber, getStore, getReviewLink, getDisplayName } = require("./stores");
 const fetch = require("node-fetch");
 const crypto = require("crypto");
 
-// ─── Store mappings (mirrored from spoke.js) ─────────────
-const SALE_PREFIX_TO_STORE = {
-  "1": "other",
-  "2": "lexington",
-  "3": "georgetown",
-  "4": "somerset",
-  "5": "london",
-};
-
-const STORE_REVIEW_LINKS = {
-  somerset: "https://g.page/r/CcHG8jVFzOK1EBM/review",
-  lexington: "https://g.page/r/CRCnucIb-t91EBM/review",
-  london: "https://g.page/r/CW69HHcXCceJEBM/review",
-  georgetown: "https://g.page/r/CZQNrg3DMJIdEBM/review",
-};
-
-const STORE_DISPLAY_NAMES = {
-  somerset: "Mattress Overstock - Somerset",
-  lexington: "Mattress Overstock - Nicholasville Road",
-  london: "Mattress Overstock - London",
-  georgetown: "Mattress Overstock - Georgetown",
-  other: "Mattress Overstock",
-};
-
-function resolveStoreFromSaleNumber(saleNumber) {
-  if (!saleNumber) return "unknown";
-  const prefix = String(saleNumber).trim().charAt(0);
-  return SALE_PREFIX_TO_STORE[prefix] || "unknown";
-}
-
 function cleanPhone(phone) {
   if (!phone) return "";
   let cleaned = phone.replace(/[^\d+]/g, "");
@@ -153,18 +125,25 @@ async function processSaleReview({ customerName, phone, saleNumber, baseUrl }) {
   if (!saleNumber || !String(saleNumber).trim()) {
     throw new Error("Sale number required");
   }
+  // Before Claude or a sale_reviews row — a half-written row would block the
+  // resend (same phone + sale) once they opt back in
+  if (isOptedOut(cleanedPhone)) {
+    recordSuppressed(cleanedPhone, `Day-of-sale review request (Sale #${String(saleNumber).trim()})`);
+    throw new Error("This customer has opted out of texts — review request not sent");
+  }
 
   const store = resolveStoreFromSaleNumber(saleNumber);
-  if (store === "other" || store === "unknown") {
+  const storeRecord = getStore(store);
+  if (!storeRecord || !storeRecord.solicit_reviews) {
     throw new Error(`Sale number prefix "${String(saleNumber).charAt(0)}" maps to "${store}" — no Google review link available`);
   }
 
-  const reviewLink = STORE_REVIEW_LINKS[store];
+  const reviewLink = getReviewLink(store);
   if (!reviewLink) {
     throw new Error(`No Google review link configured for store: ${store}`);
   }
 
-  const storeName = STORE_DISPLAY_NAMES[store];
+  const storeName = getDisplayName(store);
   const firstName = customerName.trim().split(/\s+/)[0];
 
   // Check for duplicate (same phone + sale number)
@@ -196,13 +175,13 @@ async function processSaleReview({ customerName, phone, saleNumber, baseUrl }) {
 
   const saleReviewId = result.lastInsertRowid;
 
-  // Send SMS via Quo
+  // Send SMS via Quo (it re-checks opt-outs in case they opted out just now)
   try {
-    const smsResult = await sendSms(cleanedPhone, fullMessage);
+    const smsResult = await sendSms(cleanedPhone, fullMessage, { saleReviewId, purpose: "sale_review" });
 
     db.prepare(
-      "UPDATE sale_reviews SET status = 'sent', sent_at = ?, quo_message_id = ?, updated_at = ? WHERE id = ?"
-    ).run(now, smsResult.messageId || null, now, saleReviewId);
+      "UPDATE sale_reviews SET status = 'sent', sent_at = ?, quo_message_id = ?, carrier_status = 'accepted', carrier_status_at = ?, updated_at = ? WHERE id = ?"
+    ).run(now, smsResult.messageId || null, now, now, saleReviewId);
 
     logActivity("sale_review_sent", `Day-of-sale review request sent to ${customerName} → ${storeName} (Sale #${saleNumber})`);
     console.log(`[SaleReview] ✓ Sent to ${customerName} (${store}) — tracking: ${trackingId}`);
@@ -229,6 +208,7 @@ async function processSaleReview({ customerName, phone, saleNumber, baseUrl }) {
     ).run(err.message, now, saleReviewId);
 
     logActivity("sale_review_failed", `Failed to send sale review to ${customerName}: ${err.message}`);
+    if (err.code === "OPTED_OUT") throw new Error("This customer has opted out of texts — review request not sent");
     throw new Error(`SMS send failed: ${err.message}`);
   }
 }
@@ -270,7 +250,7 @@ function recordClick(trackingId) {
       }
       // Look up the store to get the review URL
       const notifFull = db.prepare("SELECT store FROM notifications WHERE id = ?").get(notification.id);
-      return STORE_REVIEW_LINKS[notifFull?.store] || null;
+      return getReviewLink(notifFull?.store);
     }
   } catch (e) {
     // review_tracking_id column may not exist yet
@@ -349,7 +329,4 @@ module.exports = {
   processSaleReview,
   recordClick,
   getComparisonData,
-  resolveStoreFromSaleNumber,
-  STORE_REVIEW_LINKS,
-  STORE_DISPLAY_NAMES,
 };
@@ -0,0 +1,382 @@
+/**
+ * Send & Summary Schedule
+ *
+ * When the customer send and the staff summary run, stored as JSON in
+ * settings.schedule and edited from Settings → Send Schedule. All times are
+ * "HH:MM" America/New_York.
+ *
+ *   sendTime        — default customer send (was SEND_HOUR = 18:00)
+ *   summaryTime     — staff summary (was SUMMARY_HOUR = 21:00)
+ *   sendDays        — weekdays the send runs, 0=Sun … 6=Sat (default Mon–Fri);
+ *                     each send covers the next day's deliveries
+ *   storeSendTimes  — { slug: "HH:MM" } stores that send at their own time
+ *   saturdayPilot   — { enabled, time, stores } a Saturday send for MONDAY
+ *                     deliveries (pilot routes); empty stores = every store
+ *   overrides       — { "YYYY-MM-DD": { send, summary, note } } one-off changes
+ *                     for a send date: a time replaces every slot that day,
+ *                     null skips the job, missing = normal schedule
+ *   catchUp         — { policy, minutes } what happens to a run the server
+ *                     wasn't up for (see getRunTiming):
+ *                       "window"   → still runs up to `minutes` late (default 60)
+ *                       "same_day" → runs any time later that day, but customer
+ *                                    texts never go out after 9 PM
+ *                       "never"    → only runs on time; otherwise recorded as missed
+ *
+ * A "slot" is one send run: a time, a delivery date, and which stores it
+ * covers (stores = only these, excludeStores = everyone except these).
+ */
+
+const db = require("../database");
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const CATCH_UP_POLICIES = ["window", "same_day", "never"];
+const ON_TIME_GRACE_MINUTES = 5; // "never" still tolerates a few minutes of tick jitter
+const CUSTOMER_QUIET_MINUTES = 21 * 60; // no customer texts from a catch-up after 9 PM
+
+const DEFAULT_SCHEDULE = {
+  sendTime: "18:00",
+  summaryTime: "21:00",
+  sendDays: [1, 2, 3, 4, 5],
+  storeSendTimes: {},
+  saturdayPilot: { enabled: false, time: "18:00", stores: [] },
+  overrides: {},
+  catchUp: { policy: "window", minutes: 60 },
+};
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getESTNow() {
+  return new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+}
+
+// Dates here are EST wall-clock Date objects (see getESTNow) — format from local fields
+function toDateStr(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * "18:00" → "6:00 PM"
+ */
+function formatTime(time) {
+  const [h, m] = time.split(":").map(Number);
+  return `${h % 12 || 12}:${String(m).padStart(2, "0")} ${h < 12 ? "AM" : "PM"}`;
+}
+
+/**
+ * The stored schedule merged over the defaults.
+ */
+function getSchedule() {
+  const row = db.prepare("SELECT value FROM settings WHERE key = 'schedule'").get();
+  let stored = {};
+  try {
+    stored = JSON.parse(row?.value || "{}") || {};
+  } catch (e) {
+    console.error("[Schedule] settings.schedule is not valid JSON — using defaults");
+  }
+  return {
+    ...DEFAULT_SCHEDULE,
+    ...stored,
+    saturdayPilot: { ...DEFAULT_SCHEDULE.saturdayPilot, ...(stored.saturdayPilot || {}) },
+    catchUp: { ...DEFAULT_SCHEDULE.catchUp, ...(stored.catchUp || {}) },
+    storeSendTimes: stored.storeSendTimes || {},
+    overrides: stored.overrides || {},
+  };
+}
+
+function assertTime(value, field) {
+  if (!TIME_PATTERN.test(String(value))) throw new Error(`${field} must be HH:MM (24-hour)`);
+}
+
+/**
+ * Validate a full schedule object.
+ */
+function validateSchedule(schedule) {
+  assertTime(schedule.sendTime, "sendTime");
+  assertTime(schedule.summaryTime, "summaryTime");
+
+  if (!Array.isArray(schedule.sendDays) || schedule.sendDays.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new Error("sendDays must be weekday numbers 0 (Sun) through 6 (Sat)");
+  }
+  if (schedule.saturdayPilot.enabled && schedule.sendDays.includes(6)) {
+    throw new Error("Saturday is already a regular send day — turn it off in sendDays to use the Monday pilot");
+  }
+
+  for (const [slug, time] of Object.entries(schedule.storeSendTimes)) {
+    assertTime(time, `storeSendTimes.${slug}`);
+  }
+
+  assertTime(schedule.saturdayPilot.time, "saturdayPilot.time");
+  if (!Array.isArray(schedule.saturdayPilot.stores)) throw new Error("saturdayPilot.stores must be a list of store slugs");
+
+  if (!CATCH_UP_POLICIES.includes(schedule.catchUp.policy)) {
+    throw new Error(`catchUp.policy must be one of: ${CATCH_UP_POLICIES.join(", ")}`);
+  }
+  if (!Number.isInteger(schedule.catchUp.minutes) || schedule.catchUp.minutes < 1 || schedule.catchUp.minutes > 24 * 60) {
+    throw new Error("catchUp.minutes must be between 1 and 1440");
+  }
+
+  for (const [date, override] of Object.entries(schedule.overrides)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Override date ${date} must be YYYY-MM-DD`);
+    for (const job of ["send", "summary"]) {
+      if (override[job] !== undefined && override[job] !== null) assertTime(override[job], `overrides.${date}.${job}`);
+    }
+  }
+}
+
+/**
+ * Replace the schedule (partial input is merged over the current one).
+ * @returns {object} { schedule, warnings }
+ */
+function saveSchedule(input) {
+  const current = getSchedule();
+  const next = {
+    ...current,
+    ...input,
+    saturdayPilot: { ...current.saturdayPilot, ...(input.saturdayPilot || {}) },
+    catchUp: { ...current.catchUp, ...(input.catchUp || {}) },
+  };
+  next.catchUp.minutes = Number(next.catchUp.minutes);
+  next.sendDays = [...new Set((next.sendDays || []).map(Number))].sort((a, b) => a - b);
+  next.storeSendTimes = Object.fromEntries(Object.entries(next.storeSendTimes || {}).filter(([, time]) => time));
+  validateSchedule(next);
+
+  db.prepare("INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES ('schedule', ?, ?)")
+    .run(JSON.stringify(next), new Date().toISOString());
+  logActivity("schedule_updated", `Send schedule updated: ${describeSchedule(next)}`);
+
+  return { schedule: next, warnings: getScheduleWarnings(next) };
+}
+
+/**
+ * Add or replace a one-off override for a send date.
+ * @param {object} override - { send, summary, note } — null skips that job
+ */
+function setOverride(date, { send, summary, note } = {}) {
+  const schedule = getSchedule();
+  schedule.overrides = { ...schedule.overrides, [date]: { send, summary, note: note || null } };
+  return saveSchedule({ overrides: schedule.overrides });
+}
+
+function removeOverride(date) {
+  const schedule = getSchedule();
+  if (!schedule.overrides[date]) return null;
+  const { [date]: removed, ...rest } = schedule.overrides;
+  saveSchedule({ overrides: rest });
+  return removed;
+}
+
+function describeSchedule(schedule) {
+  const days = schedule.sendDays.map((d) => DAY_NAMES[d].substring(0, 3)).join("/");
+  const stores = Object.entries(schedule.storeSendTimes).map(([slug, time]) => `${slug} ${formatTime(time)}`);
+  let text = `send ${formatTime(schedule.sendTime)} ${days}, summary ${formatTime(schedule.summaryTime)}`;
+  if (stores.length > 0) text += `, ${stores.join(", ")}`;
+  if (schedule.saturdayPilot.enabled) text += `, Saturday pilot ${formatTime(schedule.saturdayPilot.time)}`;
+  text += `, catch-up ${schedule.catchUp.policy}${schedule.catchUp.policy === "window" ? ` ${schedule.catchUp.minutes} min` : ""}`;
+  return text;
+}
+
+/**
+ * The confirmation template says "tomorrow" — wrong for a Saturday send.
+ */
+function getScheduleWarnings(schedule) {
+  const warnings = [];
+  if (schedule.saturdayPilot.enabled) {
+    const template = db.prepare("SELECT body FROM sms_templates WHERE is_active = 1 ORDER BY id DESC LIMIT 1").get();
+    if (template && /\btomorrow\b/i.test(template.body) && !/\{\{\s*delivery_day\s*\}\}/.test(template.body)) {
+      warnings.push('The SMS template says "tomorrow" — use {{delivery_day}} so Saturday texts say "on Monday".');
+    }
+  }
+  return warnings;
+}
+
+// ─── Resolution ──────────────────────────────────────────
+
+/**
+ * Send runs on a given date, earliest first.
+ * @param {Date} date - EST wall-clock date
+ * @returns {Array} [{ key, time, deliveryDate, stores, excludeStores }]
+ */
+function getSendSlots(date, schedule = getSchedule()) {
+  const dateStr = toDateStr(date);
+  const override = schedule.overrides[dateStr];
+  const day = date.getDay();
+
+  // Saturday pilot covers Monday, everything else the next day
+  const isPilotDay = day === 6 && schedule.saturdayPilot.enabled;
+  const deliveryDate = toDateStr(addDays(date, isPilotDay ? 2 : 1));
+
+  if (override && override.send !== undefined) {
+    if (override.send === null) return [];
+    const stores = isPilotDay && schedule.saturdayPilot.stores.length > 0 ? schedule.saturdayPilot.stores : null;
+    return [{ key: "override", time: override.send, deliveryDate, stores, excludeStores: [] }];
+  }
+
+  if (isPilotDay) {
+    const stores = schedule.saturdayPilot.stores.length > 0 ? schedule.saturdayPilot.stores : null;
+    return [{ key: "pilot", time: schedule.saturdayPilot.time, deliveryDate, stores, excludeStores: [] }];
+  }
+
+  if (!schedule.sendDays.includes(day)) return [];
+
+  // Stores with their own time get their own slot; the default slot skips them
+  const ownTimes = Object.entries(schedule.storeSendTimes).filter(([, time]) => time !== schedule.sendTime);
+  const slots = [{
+    key: "default",
+    time: schedule.sendTime,
+    deliveryDate,
+    stores: null,
+    excludeStores: ownTimes.map(([slug]) => slug),
+  }];
+  const byTime = {};
+  for (const [slug, time] of ownTimes) (byTime[time] = byTime[time] || []).push(slug);
+  for (const [time, stores] of Object.entries(byTime)) {
+    slots.push({ key: `stores:${stores.join(",")}`, time, deliveryDate, stores, excludeStores: [] });
+  }
+  return slots.sort((a, b) => toMinutes(a.time) - toMinutes(b.time));
+}
+
+/**
+ * Where `now` falls relative to a run scheduled at `time` today, under the
+ * catch-up policy.
+ * @param {string} job - "send" | "summary" (customer sends respect the 9 PM cutoff)
+ * @returns {"upcoming"|"due"|"missed"}
+ */
+function getRunTiming(time, now, job, schedule = getSchedule()) {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const lateBy = nowMinutes - toMinutes(time);
+  if (lateBy < 0) return "upcoming";
+
+  const { policy, minutes } = schedule.catchUp;
+  let due;
+  if (policy === "never") due = lateBy < ON_TIME_GRACE_MINUTES;
+  else if (policy === "same_day") due = true;
+  else due = lateBy < minutes;
+
+  // A late customer send never goes out during quiet hours (an on-time one is the admin's call)
+  if (due && job === "send" && lateBy >= ON_TIME_GRACE_MINUTES && nowMinutes >= CUSTOMER_QUIET_MINUTES) due = false;
+  return due ? "due" : "missed";
+}
+
+/**
+ * Staff summary run on a given date, or null. It follows the send days and
+ * covers the same delivery date as that day's send.
+ * @returns {object|null} { time, deliveryDate }
+ */
+function getSummarySlot(date, schedule = getSchedule()) {
+  const override = schedule.overrides[toDateStr(date)];
+  if (override && override.summary === null) return null;
+
+  const slots = getSendSlots(date, schedule);
+  const time = override && override.summary !== undefined ? override.summary : schedule.summaryTime;
+  if (slots.length === 0 && !(override && override.summary)) return null;
+
+  const deliveryDate = slots[0]?.deliveryDate || toDateStr(addDays(date, 1));
+  return { time, deliveryDate };
+}
+
+/**
+ * Does any send run on this date?
+ */
+function isSendDay(date) {
+  return getSendSlots(date).length > 0;
+}
+
+/**
+ * Is this a date some send covers? (Tue–Sat by default, Monday with the pilot)
+ */
+function isDeliveryDay(date) {
+  const schedule = getSchedule();
+  const target = toDateStr(date);
+  for (const back of [1, 2]) {
+    if (getSendSlots(addDays(date, -back), schedule).some((s) => s.deliveryDate === target)) return true;
+  }
+  return false;
+}
+
+/**
+ * Delivery date today's send covers (next day, or Monday from a pilot Saturday).
+ */
+function getDeliveryDateForSend(date) {
+  const slots = getSendSlots(date);
+  return slots[0]?.deliveryDate || toDateStr(addDays(date, 1));
+}
+
+/**
+ * Does a slot cover this store?
+ */
+function slotIncludesStore(slot, store) {
+  if (slot.stores) return slot.stores.includes(store);
+  return !slot.excludeStores.includes(store);
+}
+
+/**
+ * Upcoming runs for each job, from `now` forward.
+ * @returns {object} { send: [...], summary: {...}|null } — send has one entry per slot on the next send day
+ */
+function getNextRuns(now = getESTNow(), { lookaheadDays = 14 } = {}) {
+  const schedule = getSchedule();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  let send = [];
+  let summary = null;
+
+  for (let i = 0; i <= lookaheadDays && (send.length === 0 || !summary); i++) {
+    const date = addDays(now, i);
+    const dateStr = toDateStr(date);
+    const isUpcoming = (time) => i > 0 || toMinutes(time) > nowMinutes;
+
+    if (send.length === 0) {
+      send = getSendSlots(date, schedule).filter((s) => isUpcoming(s.time)).map((s) => ({
+        ...s,
+        date: dateStr,
+        day: DAY_NAMES[date.getDay()],
+        display: `${DAY_NAMES[date.getDay()]} ${formatTime(s.time)}`,
+        override: s.key === "override" ? schedule.overrides[dateStr]?.note || true : undefined,
+      }));
+    }
+    if (!summary) {
+      const slot = getSummarySlot(date, schedule);
+      if (slot && isUpcoming(slot.time)) {
+        summary = { ...slot, date: dateStr, day: DAY_NAMES[date.getDay()], display: `${DAY_NAMES[date.getDay()]} ${formatTime(slot.time)}` };
+      }
+    }
+  }
+  return { send, summary };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  CATCH_UP_POLICIES,
+  ON_TIME_GRACE_MINUTES,
+  getSchedule,
+  saveSchedule,
+  setOverride,
+  removeOverride,
+  describeSchedule,
+  getScheduleWarnings,
+  getSendSlots,
+  getSummarySlot,
+  getRunTiming,
+  isSendDay,
+  isDeliveryDay,
+  getDeliveryDateForSend,
+  slotIncludesStore,
+  getNextRuns,
+  formatTime,
+  toDateStr,
+};
@@ -0,0 +1,244 @@
+/**
+ * Scheduler Run Log
+ *
+ * Every send and staff-summary run is a row in scheduler_runs, so a
+ * restart can tell what already happened today instead of relying on
+ * in-memory flags.
+ *
+ * RUN KEY: "<date>|send|<slot key>" or "<date>|summary" — unique, so a
+ * scheduled run can only be claimed once. Manual triggers get their own key.
+ *
+ * STATUSES:
+ *   running   → claimed; locked_by + heartbeat_at show who holds it
+ *   completed → done (counts filled in)
+ *   failed    → threw a fatal error; retried (up to MAX_ATTEMPTS) while still due
+ *   skipped   → due but not run (auto-send off)
+ *   missed    → the server wasn't up while the run was due
+ *
+ * LOCK: a run held by another process whose heartbeat is older than
+ * LOCK_STALE_MS is taken over (that process died mid-run) and resumed.
+ * Resuming is idempotent — only 'pending' notifications are sent — except
+ * the one text that was in flight at the crash, which is marked
+ * failed_permanent for staff to check rather than risk a double text.
+ *
+ * Runs older than RUN_RETENTION_DAYS are pruned at startup.
+ */
+
+const os = require("os");
+const db = require("../database");
+
+const LOCK_STALE_MS = 2 * 60 * 1000;
+const MAX_ATTEMPTS = 3; // a run that keeps failing stops being retried
+const RUN_RETENTION_DAYS = 90;
+
+// Identifies this process — a restart is a new instance
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${Date.now()}`;
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function hydrate(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    stores: row.stores ? JSON.parse(row.stores) : null,
+    exclude_stores: row.exclude_stores ? JSON.parse(row.exclude_stores) : [],
+  };
+}
+
+function getRun(id) {
+  return hydrate(db.prepare("SELECT * FROM scheduler_runs WHERE id = ?").get(id));
+}
+
+function getRunByKey(runKey) {
+  return hydrate(db.prepare("SELECT * FROM scheduler_runs WHERE run_key = ?").get(runKey));
+}
+
+function isStale(run) {
+  const heartbeat = new Date(run.heartbeat_at || run.started_at).getTime();
+  return !Number.isFinite(heartbeat) || Date.now() - heartbeat > LOCK_STALE_MS;
+}
+
+/**
+ * Claim a run for this process.
+ * @param {object} run - { runKey, job, runDate, slot, deliveryDate, trigger }
+ * @returns {object|null} the run row (with `resumed: true` if it was taken
+ *   over from a dead process or retried after a failure), or null if it's
+ *   already finished or another live process holds it
+ */
+function claimRun({ runKey, job, runDate, slot = null, deliveryDate, trigger = "schedule" }) {
+  const now = new Date().toISOString();
+
+  const inserted = db.prepare(`
+    INSERT OR IGNORE INTO scheduler_runs
+      (run_key, job, run_date, slot_key, slot_time, delivery_date, stores, exclude_stores, trigger, status, locked_by, started_at, heartbeat_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'running', ?, ?, ?)
+  `).run(
+    runKey, job, runDate, slot?.key || null, slot?.time || null, deliveryDate,
+    slot?.stores ? JSON.stringify(slot.stores) : null,
+    slot?.excludeStores?.length ? JSON.stringify(slot.excludeStores) : null,
+    trigger, INSTANCE_ID, now, now
+  );
+  if (inserted.changes > 0) return getRunByKey(runKey);
+
+  const existing = getRunByKey(runKey);
+  if (["completed", "skipped", "missed"].includes(existing.status)) return null;
+  if (existing.status === "running" && (existing.locked_by === INSTANCE_ID || !isStale(existing))) return null;
+  if (existing.attempts >= MAX_ATTEMPTS) return null;
+
+  // Interrupted (dead process) or failed — take it over, guarded against a racing claimer
+  const takeover = db.prepare(`
+    UPDATE scheduler_runs SET status = 'running', locked_by = ?, heartbeat_at = ?, attempts = attempts + 1, error = NULL
+    WHERE id = ? AND status = ? AND COALESCE(locked_by, '') = ?
+  `).run(INSTANCE_ID, now, existing.id, existing.status, existing.locked_by || "");
+  if (takeover.changes === 0) return null;
+
+  const why = existing.status === "failed" ? `after failure: ${existing.error}` : `from ${existing.locked_by}`;
+  logActivity("scheduler_resumed", `Resuming ${describeRun(existing)} ${why}`);
+  return { ...getRunByKey(runKey), resumed: true, previousStatus: existing.status };
+}
+
+/**
+ * Record which notification is about to be texted (cleared by recordOutcome).
+ */
+function markInFlight(runId, notificationId) {
+  db.prepare("UPDATE scheduler_runs SET in_flight_notification_id = ?, heartbeat_at = ? WHERE id = ?")
+    .run(notificationId, new Date().toISOString(), runId);
+}
+
+/**
+ * Count one notification's outcome against the run.
+ * @param {string} outcome - "sent" | "failed" | "suppressed"
+ */
+function recordOutcome(runId, outcome) {
+  if (!["sent", "failed", "suppressed"].includes(outcome)) throw new Error(`Unknown outcome: ${outcome}`);
+  db.prepare(`UPDATE scheduler_runs SET ${outcome} = ${outcome} + 1, in_flight_notification_id = NULL, heartbeat_at = ? WHERE id = ?`)
+    .run(new Date().toISOString(), runId);
+}
+
+/**
+ * Close out a run.
+ * @param {object} fields - { status, held, error, detail }
+ */
+function finishRun(runId, { status = "completed", held, error = null, detail = null } = {}) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE scheduler_runs
+    SET status = ?, held = COALESCE(?, held), error = ?, detail = COALESCE(?, detail), finished_at = ?, heartbeat_at = ?
+    WHERE id = ?
+  `).run(status, held ?? null, error, detail, now, now, runId);
+  return getRun(runId);
+}
+
+/**
+ * Record a run that won't happen (auto-send off, or the window was missed).
+ * @returns {object|null} the new row, or null if the run already has one
+ */
+function recordUnrun({ runKey, job, runDate, slot = null, deliveryDate, status, detail }) {
+  const now = new Date().toISOString();
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO scheduler_runs
+      (run_key, job, run_date, slot_key, slot_time, delivery_date, stores, exclude_stores, trigger, status, detail, started_at, finished_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'schedule', ?, ?, ?, ?)
+  `).run(
+    runKey, job, runDate, slot?.key || null, slot?.time || null, deliveryDate,
+    slot?.stores ? JSON.stringify(slot.stores) : null,
+    slot?.excludeStores?.length ? JSON.stringify(slot.excludeStores) : null,
+    status, detail || null, now, now
+  );
+  return result.changes > 0 ? getRunByKey(runKey) : null;
+}
+
+/**
+ * Close out an interrupted run that is no longer due.
+ */
+function abandonRun(run, reason) {
+  db.prepare("UPDATE scheduler_runs SET status = 'failed', error = ?, finished_at = ? WHERE id = ? AND status = 'running'")
+    .run(reason, new Date().toISOString(), run.id);
+  logActivity("scheduler_run_abandoned", `${describeRun(run)} abandoned: ${reason}`);
+}
+
+function describeRun(run) {
+  const job = run.job === "send" ? "send" : "staff summary";
+  const time = run.slot_time ? ` ${run.slot_time}` : "";
+  return `${run.run_date}${time} ${job} (#${run.id}, deliveries ${run.delivery_date})`;
+}
+
+/**
+ * Run history for the dashboard, newest first.
+ */
+function listRuns({ job, status, limit = 50 } = {}) {
+  let query = "SELECT * FROM scheduler_runs WHERE 1=1";
+  const params = [];
+  if (job) {
+    query += " AND job = ?";
+    params.push(job);
+  }
+  if (status) {
+    query += " AND status = ?";
+    params.push(status);
+  }
+  query += " ORDER BY started_at DESC, id DESC LIMIT ?";
+  params.push(Math.min(Number(limit) || 50, 500));
+  return db.prepare(query).all(...params).map(hydrate);
+}
+
+/**
+ * Most recent completed run of a job, or null.
+ */
+function getLastRun(job) {
+  return hydrate(
+    db.prepare("SELECT * FROM scheduler_runs WHERE job = ? AND status = 'completed' ORDER BY finished_at DESC LIMIT 1").get(job)
+  );
+}
+
+/**
+ * A run of a job for a delivery date that's running right now (lock not
+ * stale), or null — e.g. so a manual send doesn't text the same rows as
+ * the 6 PM run.
+ * @param {object} opts - { trigger: only runs with this trigger }
+ */
+function getLiveRun(job, deliveryDate, { trigger = null } = {}) {
+  let query = "SELECT * FROM scheduler_runs WHERE job = ? AND delivery_date = ? AND status = 'running'";
+  const params = [job, deliveryDate];
+  if (trigger) {
+    query += " AND trigger = ?";
+    params.push(trigger);
+  }
+  return db.prepare(query).all(...params).map(hydrate).find((run) => !isStale(run)) || null;
+}
+
+/**
+ * Runs other processes left 'running' (checked at startup).
+ */
+function getInterruptedRuns() {
+  return db.prepare("SELECT * FROM scheduler_runs WHERE status = 'running' AND COALESCE(locked_by, '') != ?")
+    .all(INSTANCE_ID).map(hydrate);
+}
+
+function pruneRuns() {
+  const cutoff = new Date(Date.now() - RUN_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return db.prepare("DELETE FROM scheduler_runs WHERE started_at < ? AND status != 'running'").run(cutoff).changes;
+}
+
+module.exports = {
+  INSTANCE_ID,
+  claimRun,
+  markInFlight,
+  recordOutcome,
+  finishRun,
+  recordUnrun,
+  abandonRun,
+  describeRun,
+  getRun,
+  getRunByKey,
+  listRuns,
+  getLastRun,
+  getLiveRun,
+  getInterruptedRuns,
+  isStale,
+  pruneRuns,
+};
@@ -1,19 +1,39 @@
 /**
- * Daily Scheduler — 6 PM EST Send + 9 PM AI Staff Summary
+ * Daily Scheduler — Customer Send + AI Staff Summary
  *
- * SCHEDULE:
+ * SCHEDULE (default — see schedule.js, editable in Settings → Send Schedule):
  *   Monday 6 PM    → sends for Tuesday deliveries
  *   Tuesday 6 PM   → sends for Wednesday deliveries
  *   Wednesday 6 PM → sends for Thursday deliveries
  *   Thursday 6 PM  → sends for Friday deliveries
  *   Friday 6 PM    → sends for Saturday deliveries
- *   Saturday       → NO SEND (Sunday = no delivery)
+ *   Saturday       → NO SEND unless the Monday pilot is on
  *   Sunday         → NO SEND (Monday = no delivery)
  *
+ * Stores can send at their own time (one run per distinct time), and a
+ * date can be overridden or skipped.
+ *
+ * RUN STATE (see scheduler-runs.js):
+ *   Each run is claimed in scheduler_runs before it starts, so a restart
+ *   mid-run resumes it (only still-pending rows go out) instead of sending
+ *   twice, and a run the server was down for is caught up or recorded as
+ *   missed per the schedule's catch-up policy. Missed sends alert staff.
+ *   A manual send is refused while a send for the same delivery date is
+ *   running, and a scheduled send waits for a running manual one.
+ *
  * 9 PM STAFF SUMMARY:
  *   Uses Claude (Sonnet 4.5) to generate a natural, conversational
  *   SMS recap of tomorrow's deliveries for the scheduling team.
  *   Falls back to a simple template if the API call fails.
+ *   Confirmations the carrier didn't deliver are listed with phone
+ *   numbers so someone calls those customers. Goes to everyone in the
+ *   staff directory with the summary on (staff.js); staff who cover
+ *   specific stores get a summary of just those stores.
+ *
+ * PAUSES (see pauses.js):
+ *   auto_send_enabled = "false" skips the automatic 6 PM send entirely.
+ *   Date/store pauses hold matching rows as 'pending' while the rest send.
+ *   Rows on a blackout date (blackouts.js) are held the same way.
  *
  * This uses a simple interval check rather than a cron dependency.
  * Checks every minute if it's time to fire.
@@ -22,19 +42,47 @@
 const db = require("../database");
 const fetch = require("node-fetch");
 const { sendSms } = require("./quo");
-const { getSmsBody, isSendDay } = require("./templates");
+const { getSmsBody } = require("./templates");
+const {
+  getSchedule,
+  getSendSlots,
+  getSummarySlot,
+  getRunTiming,
+  ON_TIME_GRACE_MINUTES,
+  getDeliveryDateForSend,
+  slotIncludesStore,
+  getNextRuns,
+  describeSchedule,
+  formatTime,
+  toDateStr,
+} = require("./schedule");
+const { isAutoSendEnabled, getHoldReason, getPausesForDate, describePause } = require("./pauses");
+const { getBlackoutsForDate, describeBlackout } = require("./blackouts");
+const { getUndeliveredConfirmations } = require("./delivery-status");
+const { REASONS: HANDOFF_REASONS, getOverdueHandoffs } = require("./handoffs");
+const { getLifecycleCounts } = require("./conversation-lifecycle");
+const { transition } = require("./notification-state");
+const {
+  claimRun,
+  markInFlight,
+  recordOutcome,
+  finishRun,
+  recordUnrun,
+  abandonRun,
+  describeRun,
+  getRunByKey,
+  getLastRun,
+  getLiveRun,
+  getInterruptedRuns,
+  isStale,
+  pruneRuns,
+} = require("./scheduler-runs");
+const { getStore } = require("./stores");
+const { getSummaryGroups } = require("./staff");
+const { alertStaff } = require("./staff-alerts");
 
-const SEND_HOUR = 18; // 6 PM
-const SEND_MINUTE = 0;
-const SUMMARY_HOUR = 21; // 9 PM
-const SUMMARY_MINUTE = 0;
 const CHECK_INTERVAL_MS = 60 * 1000; // check every minute
 
-const STAFF_PHONES = ["+18593336243", "+19316500631"];
-
-let lastSendDate = null; // prevent double-sends on the same day
-let lastSummaryDate = null; // prevent double-summaries on the same day
-
 /**
  * Get current time in EST/EDT
  */
@@ -45,113 +93,160 @@ function getESTNow() {
 }
 
 /**
- * Check if it's time to send (6 PM EST on a weekday)
- * and we haven't already sent today.
+ * Minutes past a scheduled "HH:MM" (negative if it's still ahead).
  */
-function shouldSendNow() {
-  const now = getESTNow();
-  const today = now.toISOString().split("T")[0];
-
-  // Already sent today?
-  if (lastSendDate === today) return false;
-
-  // Is it a send day (Mon–Fri)?
-  if (!isSendDay(now)) return false;
-
-  // Is it 6 PM (or within the first minute of 6 PM)?
-  if (now.getHours() === SEND_HOUR && now.getMinutes() >= SEND_MINUTE) {
-    return true;
-  }
-
-  return false;
+function minutesLate(time, now) {
+  const [h, m] = time.split(":").map(Number);
+  return now.getHours() * 60 + now.getMinutes() - (h * 60 + m);
 }
 
 /**
- * Execute the daily send batch.
- * Finds all pending notifications for tomorrow and sends them.
+ * Execute a send run.
+ * Finds pending notifications for the slot's delivery date (and stores) and sends them.
+ * With no slot (manual trigger), sends everything for today's send's delivery date.
+ *
+ * @param {object} [slot] - send slot from getSendSlots (null = manual)
+ * @param {object} [opts] - { run } the claimed scheduler_runs row; manual sends claim their own
+ * @throws code SEND_IN_PROGRESS (manual only) if a send for the same delivery date is running —
+ *   both would pick up the same pending rows and text them twice
  */
-async function executeDailySend() {
+async function executeDailySend(slot = null, { run = null } = {}) {
   const now = getESTNow();
-  const today = now.toISOString().split("T")[0];
+  const today = toDateStr(now);
+  const tomorrowStr = slot ? slot.deliveryDate : getDeliveryDateForSend(now);
+  const label = slot ? `${formatTime(slot.time)} Send` : "Manual Send";
+
+  if (!run) {
+    const live = getLiveRun("send", tomorrowStr);
+    if (live) {
+      throw Object.assign(new Error(`The ${describeRun(live)} is still running — try again when it finishes`), { code: "SEND_IN_PROGRESS" });
+    }
+    run = claimRun({
+      runKey: `${today}|send|manual|${Date.now()}`,
+      job: "send",
+      runDate: today,
+      slot,
+      deliveryDate: tomorrowStr,
+      trigger: "manual",
+    });
+  }
 
-  // Calculate tomorrow's date
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().split("T")[0];
+  try {
+    return await sendForRun(run, slot, tomorrowStr, label);
+  } catch (err) {
+    finishRun(run.id, { status: "failed", error: err.message });
+    throw err;
+  }
+}
 
+async function sendForRun(run, slot, tomorrowStr, label) {
   console.log(`\n[Scheduler] ═══════════════════════════════════════`);
-  console.log(`[Scheduler] Daily send triggered at 6 PM EST`);
+  console.log(`[Scheduler] ${label} ${run.resumed ? "resumed" : "triggered"}${slot && slot.stores ? ` for ${slot.stores.join(", ")}` : ""}`);
   console.log(`[Scheduler] Sending for deliveries on: ${tomorrowStr}`);
 
-  // Get all pending notifications for tomorrow
+  // A text was mid-send when the last process died — we can't tell whether
+  // Quo got it, so don't risk a duplicate. Staff check Quo and re-send by hand.
+  if (run.resumed && run.in_flight_notification_id) {
+    const interrupted = db.prepare("SELECT * FROM notifications WHERE id = ? AND status = 'pending'").get(run.in_flight_notification_id);
+    if (interrupted) {
+      transition(interrupted.id, "message", "failed_permanent", {
+        fields: { error_message: "Send interrupted by a restart — check Quo before re-sending" },
+      });
+      logActivity("send_interrupted", `[${label}] Send to ${interrupted.customer_name} was interrupted by a restart — check Quo before re-sending`, interrupted.id);
+      recordOutcome(run.id, "failed");
+    }
+  }
+
+  // Get pending notifications for the delivery date this run covers
   const pending = db
     .prepare(
       "SELECT * FROM notifications WHERE status = 'pending' AND scheduled_date = ?"
     )
-    .all(tomorrowStr);
+    .all(tomorrowStr)
+    .filter((n) => !slot || slotIncludesStore(slot, n.store));
 
   if (pending.length === 0) {
     console.log(`[Scheduler] No pending notifications for ${tomorrowStr}`);
     logActivity("scheduler_run", `Daily send — no pending notifications for ${tomorrowStr}`);
-    lastSendDate = today;
-    return { sent: 0, failed: 0 };
+    finishRun(run.id, { held: 0 });
+    return { runId: run.id, sent: 0, failed: 0, held: 0, suppressed: 0 };
   }
 
   console.log(`[Scheduler] Found ${pending.length} notifications to send`);
 
-  const results = { sent: 0, failed: 0, errors: [] };
+  const results = { runId: run.id, sent: 0, failed: 0, held: 0, suppressed: 0, errors: [] };
+  const holdReasons = new Set();
 
   for (const notification of pending) {
+    // Date/store pause or blackout — leave it pending in the queue
+    const holdReason = getHoldReason(notification);
+    if (holdReason) {
+      results.held++;
+      holdReasons.add(holdReason);
+      continue;
+    }
+
+    markInFlight(run.id, notification.id);
     try {
       const smsBody = getSmsBody(notification);
-      const result = await sendSms(notification.phone, smsBody);
-
-      db.prepare(
-        `UPDATE notifications
-         SET status = 'sent', sent_at = ?, quo_message_id = ?, updated_at = ?
-         WHERE id = ?`
-      ).run(
-        new Date().toISOString(),
-        result.messageId || null,
-        new Date().toISOString(),
-        notification.id
-      );
+      const result = await sendSms(notification.phone, smsBody, { notificationId: notification.id, purpose: "confirmation" });
+
+      transition(notification.id, "message", "sent", {
+        fields: {
+          sent_at: new Date().toISOString(),
+          quo_message_id: result.messageId || null,
+          carrier_status: "accepted",
+          carrier_error: null,
+          carrier_status_at: new Date().toISOString(),
+        },
+      });
 
       logActivity(
         "sms_sent",
-        `[6 PM Send] SMS sent to ${notification.customer_name}`,
+        `[${label}] SMS sent to ${notification.customer_name}`,
         notification.id
       );
+      recordOutcome(run.id, "sent");
       results.sent++;
 
       // Small delay between sends to avoid rate limiting
       await sleep(500);
     } catch (err) {
-      db.prepare(
-        `UPDATE notifications
-         SET status = 'failed', error_message = ?, retry_count = retry_count + 1, updated_at = ?
-         WHERE id = ?`
-      ).run(err.message, new Date().toISOString(), notification.id);
+      if (err.code === "OPTED_OUT") {
+        transition(notification.id, "message", "suppressed", { fields: { error_message: err.message } });
+        recordOutcome(run.id, "suppressed");
+        results.suppressed++;
+        continue;
+      }
+
+      transition(notification.id, "message", "failed", {
+        fields: { error_message: err.message, retry_count: (notification.retry_count || 0) + 1 },
+      });
 
       logActivity(
         "sms_failed",
-        `[6 PM Send] Failed for ${notification.customer_name}: ${err.message}`,
+        `[${label}] Failed for ${notification.customer_name}: ${err.message}`,
         notification.id
       );
+      recordOutcome(run.id, "failed");
       results.failed++;
       results.errors.push({ id: notification.id, error: err.message });
     }
   }
 
-  console.log(`[Scheduler] Complete — Sent: ${results.sent}, Failed: ${results.failed}`);
+  console.log(`[Scheduler] Complete — Sent: ${results.sent}, Failed: ${results.failed}, Held: ${results.held}, Opted out: ${results.suppressed}`);
   console.log(`[Scheduler] ═══════════════════════════════════════\n`);
 
+  if (results.held > 0) {
+    logActivity("scheduler_held", `${results.held} notification(s) for ${tomorrowStr} held — ${[...holdReasons].join("; ")}`);
+  }
+
   logActivity(
     "scheduler_complete",
-    `Daily 6 PM send complete — ${results.sent} sent, ${results.failed} failed for ${tomorrowStr}`
+    `${label} complete — ${results.sent} sent, ${results.failed} failed, ${results.held} held, ${results.suppressed} opted out for ${tomorrowStr}`
   );
 
-  lastSendDate = today;
+  finishRun(run.id, { held: results.held, detail: holdReasons.size > 0 ? `Held: ${[...holdReasons].join("; ")}` : null });
   return results;
 }
 
@@ -173,14 +268,24 @@ function startScheduler() {
   const now = getESTNow();
   const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
 
+  const slots = getSendSlots(now);
+
   console.log(`[Scheduler] Started — checking every minute`);
   console.log(`[Scheduler] Current EST time: ${now.toLocaleString()}`);
-  console.log(`[Scheduler] Today is ${dayNames[now.getDay()]} — ${isSendDay(now) ? "SEND DAY ✓" : "NO SEND (weekend)"}`);
-  console.log(`[Scheduler] Customer SMS: 6:00 PM EST | Staff summary: 9:00 PM EST`);
+  console.log(`[Scheduler] Today is ${dayNames[now.getDay()]} — ${slots.length > 0 ? `SEND DAY ✓ (${slots.map((s) => formatTime(s.time)).join(", ")})` : "NO SEND"}`);
 
-  logActivity("scheduler_started", `Scheduler initialized — send time: 6:00 PM EST, Mon–Fri`);
+  const schedule = describeSchedule(getSchedule());
+  console.log(`[Scheduler] Schedule: ${schedule}`);
+  logActivity("scheduler_started", `Scheduler initialized — ${schedule}`);
 
-  // Check immediately on startup (in case server restarted after 6 PM)
+  pruneRuns();
+  const interrupted = getInterruptedRuns();
+  if (interrupted.length > 0) {
+    console.log(`[Scheduler] ${interrupted.length} run(s) left running by a previous process — resuming if still due`);
+    logActivity("scheduler_interrupted", `Found ${interrupted.length} interrupted run(s): ${interrupted.map(describeRun).join("; ")}`);
+  }
+
+  // Check immediately on startup (in case the server restarted around a run)
   checkAndSend();
 
   // Then check every minute
@@ -188,40 +293,99 @@ function startScheduler() {
 }
 
 async function checkAndSend() {
-  if (shouldSendNow()) {
-    try {
-      await executeDailySend();
-    } catch (err) {
-      console.error("[Scheduler] Fatal error during daily send:", err);
-      logActivity("scheduler_error", `Fatal error: ${err.message}`);
-    }
+  const now = getESTNow();
+  const today = toDateStr(now);
+  const schedule = getSchedule();
+
+  for (const slot of getSendSlots(now, schedule)) {
+    await runScheduledJob({
+      job: "send",
+      runKey: `${today}|send|${slot.key}`,
+      runDate: today,
+      slot,
+      time: slot.time,
+      deliveryDate: slot.deliveryDate,
+      now,
+      schedule,
+    });
   }
 
-  if (shouldSendSummary()) {
-    try {
-      await executeStaffSummary();
-    } catch (err) {
-      console.error("[Scheduler] Fatal error during staff summary:", err);
-      logActivity("scheduler_error", `Staff summary error: ${err.message}`);
-    }
+  const summary = getSummarySlot(now, schedule);
+  if (summary) {
+    await runScheduledJob({
+      job: "summary",
+      runKey: `${today}|summary`,
+      runDate: today,
+      time: summary.time,
+      deliveryDate: summary.deliveryDate,
+      now,
+      schedule,
+    });
   }
 }
 
 /**
- * Check if it's time to send the 9 PM staff summary.
+ * Start, resume, or write off one scheduled run depending on where `now`
+ * falls under the catch-up policy. Safe to call every tick — the run row
+ * is the lock.
  */
-function shouldSendSummary() {
-  const now = getESTNow();
-  const today = now.toISOString().split("T")[0];
+async function runScheduledJob({ job, runKey, runDate, slot = null, time, deliveryDate, now, schedule }) {
+  const timing = getRunTiming(time, now, job, schedule);
+  if (timing === "upcoming") return;
+
+  const label = job === "send" ? `${formatTime(time)} send` : `${formatTime(time)} staff summary`;
+  const runInfo = { runKey, job, runDate, slot, deliveryDate };
+
+  if (timing === "missed") {
+    const existing = getRunByKey(runKey);
+    if (existing && existing.status === "running" && isStale(existing)) {
+      abandonRun(existing, `Interrupted and no longer due (catch-up: ${schedule.catchUp.policy})`);
+      await alertMissed(job, label, deliveryDate, "was interrupted by a restart and is past its catch-up window");
+    } else if (!existing && recordUnrun({ ...runInfo, status: "missed", detail: `Server was down at ${formatTime(time)} (catch-up: ${schedule.catchUp.policy})` })) {
+      logActivity("scheduler_missed", `${label} for ${deliveryDate} missed — server was down (catch-up: ${schedule.catchUp.policy})`);
+      await alertMissed(job, label, deliveryDate, "didn't run — the server was down");
+    }
+    return;
+  }
+
+  if (job === "send" && !isAutoSendEnabled()) {
+    // Kill switch is off — everything stays pending for a manual send
+    if (recordUnrun({ ...runInfo, status: "skipped", detail: "Auto-send is turned off" })) {
+      console.log(`[Scheduler] Auto-send disabled — skipping ${label}`);
+      logActivity("scheduler_paused", `${label} skipped — auto-send is turned off`);
+    }
+    return;
+  }
 
-  if (lastSummaryDate === today) return false;
-  if (!isSendDay(now)) return false;
+  // A manual send for the same date has the pending rows — wait for it (next tick)
+  if (job === "send" && getLiveRun("send", deliveryDate, { trigger: "manual" })) return;
 
-  if (now.getHours() === SUMMARY_HOUR && now.getMinutes() >= SUMMARY_MINUTE) {
-    return true;
+  const late = minutesLate(time, now);
+  const run = claimRun({ ...runInfo, trigger: late >= ON_TIME_GRACE_MINUTES ? "catch_up" : "schedule" });
+  if (!run) return; // already done, or another process has it
+
+  if (late >= ON_TIME_GRACE_MINUTES && !run.resumed) {
+    logActivity("scheduler_catch_up", `${label} for ${deliveryDate} running ${late} min late (catch-up: ${schedule.catchUp.policy})`);
+  }
+
+  try {
+    if (job === "send") await executeDailySend(slot, { run });
+    else await executeStaffSummary(deliveryDate, { run });
+  } catch (err) {
+    console.error(`[Scheduler] Fatal error during ${label}:`, err);
+    logActivity("scheduler_error", `${label} error: ${err.message}`);
   }
+}
 
-  return false;
+/**
+ * Tell staff a send didn't go out, if it left customers un-texted.
+ * Missed summaries are only logged.
+ */
+async function alertMissed(job, label, deliveryDate, why) {
+  if (job !== "send") return;
+  const pending = db.prepare("SELECT COUNT(*) as c FROM notifications WHERE status = 'pending' AND scheduled_date = ?").get(deliveryDate).c;
+  if (pending === 0) return;
+  await alertStaff(`MO Delivery: the ${label} for ${deliveryDate} ${why}. ${pending} customer text(s) still pending — send them from the dashboard.`);
 }
 
 /**
@@ -235,21 +399,25 @@ async function generateSummaryWithClaude(data) {
   }
 
   const systemPrompt = `You are a dispatcher assistant for Mattress Overstock, a mattress delivery company in Kentucky. 
-Write a brief SMS summary for the scheduling staff about tomorrow's deliveries.
+Write a brief SMS summary for the scheduling staff about the next delivery day's deliveries (usually tomorrow).
 
 RULES:
 - Keep it under 300 characters if possible, max 450
 - Be conversational but informative — this is a text to coworkers, not a formal report
 - Lead with the most important info (total deliveries, confirmation status)
 - Call out anything that needs attention: declines, no-replies, active rescheduling, failed sends
+- If any texts were undelivered by the carrier, list those customers with their phone numbers and say they need a call — never leave them out
+- "quietReschedules" counts rescheduling conversations from the last 24 hours where the customer went quiet: nudged (texted a reminder), escalated (queued for a staff call), closed (given up on). Mention any that aren't zero in a few words
+- If there are overdue handoffs, list each customer with their phone number and who claimed it (or that nobody has) — these customers were promised a call-back and are still waiting
 - If everyone confirmed, keep it short and upbeat
 - If no deliveries, keep it very brief
 - No emojis. No hashtags. Use plain text formatting
 - Include the date and day of the week
 - If there are per-store details worth noting, mention them briefly
+- If "stores" is set, this summary only covers those stores — say which
 - Sign off as "MO Delivery AI 1.0"`;
 
-  const userMessage = `Generate a staff summary SMS for tomorrow's deliveries based on this data:
+  const userMessage = `Generate a staff summary SMS for the deliveries on ${data.date} based on this data:
 
 ${JSON.stringify(data, null, 2)}`;
 
@@ -290,83 +458,137 @@ ${JSON.stringify(data, null, 2)}`;
 }
 
 /**
- * 9 PM Staff Summary (AI-Generated)
+ * Staff Summary (AI-Generated)
  *
  * Gathers delivery stats and per-store breakdowns, then uses Claude
  * to write a natural, conversational SMS summary for scheduling staff.
  * Falls back to a simple template if the API call fails.
+ *
+ * @param {string} [deliveryDate] - YYYY-MM-DD; defaults to today's send's delivery date
+ * @param {object} [opts] - { run } the claimed scheduler_runs row; manual summaries claim their own
  */
-async function executeStaffSummary() {
+async function executeStaffSummary(deliveryDate, { run = null } = {}) {
   const now = getESTNow();
-  const today = now.toISOString().split("T")[0];
 
-  // Tomorrow's date
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().split("T")[0];
-  const tomorrowDisplay = tomorrow.toLocaleDateString("en-US", {
-    weekday: "long",
-    month: "long",
-    day: "numeric",
-  });
+  // Delivery date this summary covers (tomorrow, or Monday after a pilot Saturday)
+  const tomorrowStr = deliveryDate || getDeliveryDateForSend(now);
 
-  console.log(`\n[Scheduler] ═══════════════════════════════════════`);
-  console.log(`[Scheduler] 9 PM Staff Summary triggered`);
-  console.log(`[Scheduler] Summary for deliveries on: ${tomorrowStr}`);
+  if (!run) {
+    const today = toDateStr(now);
+    run = claimRun({ runKey: `${today}|summary|manual|${Date.now()}`, job: "summary", runDate: today, deliveryDate: tomorrowStr, trigger: "manual" });
+  }
+
+  try {
+    return await summarizeForRun(run, tomorrowStr);
+  } catch (err) {
+    finishRun(run.id, { status: "failed", error: err.message });
+    throw err;
+  }
+}
+
+/**
+ * Gather the summary numbers for a delivery date — every store, or only
+ * the given ones (for staff who cover specific stores).
+ */
+function gatherSummaryData(tomorrowStr, tomorrowDisplay, stores = null) {
+  const scope = stores ? ` AND store IN (${stores.map(() => "?").join(", ")})` : "";
+  const params = [tomorrowStr, ...(stores || [])];
 
   // ─── Gather overall stats ───
-  const total = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled'").get(tomorrowStr).count;
-  const sent = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status IN ('sent','delivered')").get(tomorrowStr).count;
-  const confirmed = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND customer_response = 'yes'").get(tomorrowStr).count;
-  const declined = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND customer_response = 'no'").get(tomorrowStr).count;
-  const noReply = sent - confirmed - declined;
-  const pending = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'pending'").get(tomorrowStr).count;
-  const failed = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'failed'").get(tomorrowStr).count;
-  const rescheduling = db.prepare("SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND conversation_state = 'rescheduling'").get(tomorrowStr).count;
+  const total = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled'${scope}`).get(...params).count;
+  const sent = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'sent'${scope}`).get(...params).count;
+  const confirmed = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled' AND confirmation_status = 'confirmed'${scope}`).get(...params).count;
+  const declined = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status != 'cancelled' AND confirmation_status = 'declined'${scope}`).get(...params).count;
+  const noReply = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'sent' AND confirmation_status = 'unconfirmed'${scope}`).get(...params).count;
+  const pending = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status = 'pending'${scope}`).get(...params).count;
+  const failed = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND status IN ('failed','failed_permanent')${scope}`).get(...params).count;
+  const rescheduling = db.prepare(`SELECT COUNT(*) as count FROM notifications WHERE scheduled_date = ? AND conversation_state IN ('rescheduling', 'staff')${scope}`).get(...params).count;
 
   // ─── Per-store breakdown ───
   const storeBreakdown = db.prepare(`
     SELECT store,
       COUNT(*) as total,
-      SUM(CASE WHEN customer_response = 'yes' THEN 1 ELSE 0 END) as confirmed,
-      SUM(CASE WHEN customer_response = 'no' THEN 1 ELSE 0 END) as declined,
-      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed
+      SUM(CASE WHEN confirmation_status = 'confirmed' THEN 1 ELSE 0 END) as confirmed,
+      SUM(CASE WHEN confirmation_status = 'declined' THEN 1 ELSE 0 END) as declined,
+      SUM(CASE WHEN status IN ('failed','failed_permanent') THEN 1 ELSE 0 END) as failed
     FROM notifications
-    WHERE scheduled_date = ? AND status != 'cancelled'
+    WHERE scheduled_date = ? AND status != 'cancelled'${scope}
     GROUP BY store
-  `).all(tomorrowStr);
+  `).all(...params);
 
   // ─── Notable details (who declined, who's rescheduling, who hasn't replied) ───
   const declinedCustomers = db.prepare(
-    "SELECT customer_name, store FROM notifications WHERE scheduled_date = ? AND customer_response = 'no'"
-  ).all(tomorrowStr);
+    `SELECT customer_name, store FROM notifications WHERE scheduled_date = ? AND status != 'cancelled' AND confirmation_status = 'declined'${scope}`
+  ).all(...params);
 
   const reschedulingCustomers = db.prepare(
-    "SELECT customer_name, store FROM notifications WHERE scheduled_date = ? AND conversation_state = 'rescheduling'"
-  ).all(tomorrowStr);
+    `SELECT customer_name, store FROM notifications WHERE scheduled_date = ? AND conversation_state IN ('rescheduling', 'staff')${scope}`
+  ).all(...params);
 
   const noReplyCustomers = db.prepare(
-    "SELECT customer_name, store FROM notifications WHERE scheduled_date = ? AND status IN ('sent','delivered') AND customer_response IS NULL"
-  ).all(tomorrowStr);
+    `SELECT customer_name, store FROM notifications WHERE scheduled_date = ? AND status = 'sent' AND confirmation_status = 'unconfirmed'${scope}`
+  ).all(...params);
+
+  // Carrier never delivered the confirmation — these customers need a call
+  const undeliveredCustomers = getUndeliveredConfirmations(tomorrowStr).filter((c) => !stores || stores.includes(c.store));
+  const undelivered = undeliveredCustomers.length;
+
+  // Customers promised a person who still haven't heard from one
+  const overdueHandoffList = getOverdueHandoffs({ stores });
+  const overdueHandoffs = overdueHandoffList.length;
+
+  // Quiet rescheduling conversations the lifecycle worker acted on today
+  const quietReschedules = getLifecycleCounts(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), { stores });
 
   // ─── Build data payload for Claude ───
-  const summaryData = {
+  return {
     date: tomorrowDisplay,
     dateStr: tomorrowStr,
-    overall: { total, sent, confirmed, declined, noReply, pending, failed, rescheduling },
+    stores: stores ? stores.map((slug) => getStore(slug)?.name || slug) : null,
+    overall: { total, sent, confirmed, declined, noReply, pending, failed, rescheduling, undelivered, overdueHandoffs },
     byStore: storeBreakdown,
     declinedCustomers: declinedCustomers.map(c => `${c.customer_name} (${c.store})`),
     reschedulingCustomers: reschedulingCustomers.map(c => `${c.customer_name} (${c.store})`),
     noReplyCustomers: noReplyCustomers.map(c => `${c.customer_name} (${c.store})`),
+    undeliveredCustomers: undeliveredCustomers.map(c => `${c.customer_name} ${c.phone} (${c.store}) — ${c.carrier_error}`),
+    undeliveredList: undeliveredCustomers,
+    overdueHandoffs: overdueHandoffList.map(h => `${h.customer_name} ${h.phone} (${h.store || "no store"}) — ${HANDOFF_REASONS[h.reason] || h.reason}, ${h.claimed_by ? `claimed by ${h.claimed_by}` : "unclaimed"}`),
+    overdueHandoffList,
+    quietReschedules,
   };
+}
+
+/**
+ * Summary text for gatherSummaryData() — Claude, or the template fallback.
+ */
+async function writeSummary(summaryData) {
+  const { undeliveredList: undeliveredCustomers, overdueHandoffList, ...claudeData } = summaryData;
+  const { total, confirmed, declined, noReply, pending, rescheduling, undelivered, overdueHandoffs } = summaryData.overall;
+  const tomorrowDisplay = summaryData.date;
 
   // ─── Generate summary with Claude ───
-  let message = await generateSummaryWithClaude(summaryData);
+  let message = await generateSummaryWithClaude(claudeData);
+
+  // Claude sometimes trims lists — the undelivered customers must make it into the text
+  if (message && undelivered > 0) {
+    const missing = undeliveredCustomers.filter(c => !message.includes(c.phone));
+    if (missing.length > 0) {
+      message += `\n\nNot delivered — please call: ${missing.map(c => `${c.customer_name} ${c.phone}`).join(", ")}`;
+    }
+  }
+  // Same for overdue handoffs
+  if (message && overdueHandoffs > 0) {
+    const missing = overdueHandoffList.filter(h => !message.includes(h.phone));
+    if (missing.length > 0) {
+      message += `\n\nOverdue handoffs — still waiting on a call: ${missing.map(h => `${h.customer_name} ${h.phone}`).join(", ")}`;
+    }
+  }
 
   // ─── Fallback if Claude fails ───
   if (!message) {
     console.log("[Scheduler] Using fallback template for staff summary");
-    message = `MATTRESS OVERSTOCK\n`;
+    const heading = `MATTRESS OVERSTOCK${summaryData.stores ? ` — ${summaryData.stores.join(", ")}` : ""}`;
+    message = `${heading}\n`;
     message += `${tomorrowDisplay}\n`;
     message += `━━━━━━━━━━━━━━━━━━\n`;
     message += `${total} Deliveries on deck\n\n`;
@@ -376,6 +598,14 @@ async function executeStaffSummary() {
 
     if (pending > 0) message += `${pending} Not yet sent\n`;
     if (rescheduling > 0) message += `${rescheduling} Rescheduling\n`;
+    const quiet = summaryData.quietReschedules;
+    if (quiet.nudged + quiet.escalated + quiet.closed > 0) {
+      message += `Quiet reschedules: ${quiet.nudged} nudged, ${quiet.escalated} sent to staff, ${quiet.closed} closed\n`;
+    }
+    if (undelivered > 0) {
+      message += `\n${undelivered} text(s) NOT delivered — please call:\n`;
+      message += undeliveredCustomers.map(c => `${c.customer_name} ${c.phone}`).join("\n") + "\n";
+    }
 
     if (confirmed === total && total > 0) {
       message += `\nAll confirmed. Let's roll.`;
@@ -384,29 +614,59 @@ async function executeStaffSummary() {
     }
 
     if (total === 0) {
-      message = `MATTRESS OVERSTOCK\n${tomorrowDisplay}\n━━━━━━━━━━━━━━━━━━\nNo deliveries tomorrow. Enjoy the break.`;
+      message = `${heading}\n${tomorrowDisplay}\n━━━━━━━━━━━━━━━━━━\nNo deliveries on the schedule. Enjoy the break.`;
+    }
+
+    if (overdueHandoffs > 0) {
+      message += `\n\n${overdueHandoffs} OVERDUE handoff(s) — promised a call-back:\n`;
+      message += overdueHandoffList.map(h => `${h.customer_name} ${h.phone}${h.claimed_by ? ` (${h.claimed_by})` : " (unclaimed)"}`).join("\n");
     }
   }
+  return message;
+}
+
+async function summarizeForRun(run, tomorrowStr) {
+  const tomorrow = new Date(tomorrowStr + "T12:00:00");
+  const tomorrowDisplay = tomorrow.toLocaleDateString("en-US", {
+    weekday: "long",
+    month: "long",
+    day: "numeric",
+  });
+
+  console.log(`\n[Scheduler] ═══════════════════════════════════════`);
+  console.log(`[Scheduler] Staff Summary triggered`);
+  console.log(`[Scheduler] Summary for deliveries on: ${tomorrowStr}`);
+
+  const overall = gatherSummaryData(tomorrowStr, tomorrowDisplay);
+  const { confirmed, declined, noReply, undelivered, overdueHandoffs } = overall.overall;
+
+  // ─── One summary per set of stores, to everyone in the directory who gets it ───
+  const groups = getSummaryGroups();
+  if (groups.length === 0) console.log("[Scheduler] Nobody in the staff directory gets the summary");
 
-  // ─── Send to each staff member ───
   let sentCount = 0;
-  for (const phone of STAFF_PHONES) {
-    try {
-      await sendSms(phone, message);
-      console.log(`[Scheduler] Staff summary sent to ${phone}`);
-      sentCount++;
-    } catch (err) {
-      console.error(`[Scheduler] Failed to send summary to ${phone}:`, err.message);
+  for (const group of groups) {
+    const message = await writeSummary(group.stores ? gatherSummaryData(tomorrowStr, tomorrowDisplay, group.stores) : overall);
+    for (const member of group.members) {
+      try {
+        await sendSms(member.phone, message, { purpose: "staff_summary" });
+        console.log(`[Scheduler] Staff summary sent to ${member.name}`);
+        recordOutcome(run.id, "sent");
+        sentCount++;
+      } catch (err) {
+        console.error(`[Scheduler] Failed to send summary to ${member.name}:`, err.message);
+        recordOutcome(run.id, "failed");
+      }
     }
   }
+  finishRun(run.id);
 
-  logActivity("staff_summary_sent", `9 PM summary sent to ${sentCount} staff — ${confirmed} confirmed, ${declined} declined, ${noReply} no reply for ${tomorrowStr}`);
+  logActivity("staff_summary_sent", `Staff summary sent to ${sentCount} staff — ${confirmed} confirmed, ${declined} declined, ${noReply} no reply${undelivered > 0 ? `, ${undelivered} undelivered` : ""}${overdueHandoffs > 0 ? `, ${overdueHandoffs} overdue handoff(s)` : ""} for ${tomorrowStr}`);
 
   console.log(`[Scheduler] Staff summary complete — sent to ${sentCount} recipients`);
   console.log(`[Scheduler] ═══════════════════════════════════════\n`);
 
-  lastSummaryDate = today;
-  return { sent: sentCount };
+  return { runId: run.id, sent: sentCount };
 }
 
 /**
@@ -416,37 +676,55 @@ function getSchedulerStatus() {
   const now = getESTNow();
   const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
 
-  // Find next send time
-  let nextSend = new Date(now);
-  nextSend.setHours(SEND_HOUR, SEND_MINUTE, 0, 0);
-
-  // If past 6 PM today or not a send day, advance to next weekday
-  if (now.getHours() >= SEND_HOUR || !isSendDay(now)) {
-    do {
-      nextSend.setDate(nextSend.getDate() + 1);
-    } while (!isSendDay(nextSend));
-    nextSend.setHours(SEND_HOUR, SEND_MINUTE, 0, 0);
-  }
-
-  // Tomorrow for delivery context
-  const deliveryDate = new Date(nextSend);
-  deliveryDate.setDate(deliveryDate.getDate() + 1);
+  // Resolved next run of each job (per-store slots, pilot and overrides applied)
+  const nextRuns = getNextRuns(now);
+  const nextSend = nextRuns.send[0] || null;
 
   // Count pending for next delivery date
-  const deliveryStr = deliveryDate.toISOString().split("T")[0];
-  const pendingCount = db
-    .prepare("SELECT COUNT(*) as count FROM notifications WHERE status = 'pending' AND scheduled_date = ?")
-    .get(deliveryStr)?.count || 0;
+  const deliveryStr = nextSend ? nextSend.deliveryDate : getDeliveryDateForSend(now);
+  const pendingRows = db
+    .prepare("SELECT * FROM notifications WHERE status = 'pending' AND scheduled_date = ?")
+    .all(deliveryStr);
+  const heldCount = pendingRows.filter((n) => getHoldReason(n)).length;
+
+  // Which pause (if any) is in effect for the next send
+  const autoSendEnabled = isAutoSendEnabled();
+  const pauses = getPausesForDate(deliveryStr);
+  const blackouts = getBlackoutsForDate(deliveryStr);
+  const storeHolds = [...pauses.map(describePause), ...blackouts.map(describeBlackout)];
+  let activePause = null;
+  if (!autoSendEnabled) {
+    activePause = { scope: "global", description: "Auto-send is turned off" };
+  } else if (blackouts.some((b) => !b.store)) {
+    activePause = { scope: "closed", description: describeBlackout(blackouts.find((b) => !b.store)) };
+  } else if (pauses.some((p) => !p.store)) {
+    const p = pauses.find((p) => !p.store);
+    activePause = { scope: "date", id: p.id, description: describePause(p) };
+  } else if (storeHolds.length > 0) {
+    activePause = {
+      scope: "store",
+      stores: [...new Set([...pauses, ...blackouts].map((p) => p.store))],
+      description: storeHolds.join("; "),
+    };
+  }
 
   return {
     currentTimeEST: now.toLocaleString("en-US", { timeZone: "America/New_York" }),
-    todayIsSendDay: isSendDay(now),
+    todayIsSendDay: getSendSlots(now).length > 0,
     todayName: dayNames[now.getDay()],
-    lastSendDate,
-    nextSendTime: nextSend.toLocaleString("en-US", { timeZone: "America/New_York" }),
-    nextSendDay: dayNames[nextSend.getDay()],
+    lastSendDate: getLastRun("send")?.run_date || null,
+    lastRuns: { send: getLastRun("send"), summary: getLastRun("summary") },
+    nextSendTime: nextSend ? `${nextSend.date} ${nextSend.time}` : null,
+    nextSendDay: nextSend ? nextSend.day : null,
+    nextSendDisplay: nextSend ? nextSend.display : null,
+    nextRuns,
     nextDeliveryDate: deliveryStr,
-    pendingForNextDelivery: pendingCount,
+    pendingForNextDelivery: pendingRows.length,
+    heldForNextDelivery: heldCount,
+    autoSendEnabled,
+    activePause,
+    pauses,
+    blackouts,
   };
 }
 
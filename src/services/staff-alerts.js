@@ -0,0 +1,291 @@
+/**
+ * Staff Alerts + Handoff Escalation
+ *
+ * Texts to the staff directory (staff.js):
+ *
+ *   alertStaff()       — system alerts (failed sends, missed runs) to the
+ *                        on-duty staff who get alerts for that store
+ *   alertHumanNeeded() — a customer needs a person (HUMAN NEEDED, missed
+ *                        delivery, removed stop, a window change we
+ *                        couldn't text). Recorded in handoff_alerts and
+ *                        escalated until someone takes it:
+ *
+ *     1. Texted to the first tier with anyone on duty for the store —
+ *        dispatchers, then store managers, then owners
+ *     2. Nobody replies OK within handoff_escalation_minutes (default 15) →
+ *        "ESCALATED" to the next tier with someone on duty
+ *     3. No tier left → 'unanswered' (still on the dashboard, still takeable)
+ *
+ *   Raised while nobody is on duty, it waits and goes out when someone
+ *   comes on. A staff member takes it by replying OK (webhooks/quo.js) or
+ *   from Settings → Staff; everyone else who was texted hears who has it.
+ *
+ * handoff_alerts.status: open | acknowledged | unanswered
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { ROLES, ROLE_LABELS, findStaffByPhone, isOnDuty, getAlertRecipients, getHandoffTiers } = require("./staff");
+const { claimHandoffFor } = require("./handoffs");
+
+const ESCALATION_CHECK_INTERVAL_MS = 60 * 1000; // check every minute
+const DEFAULT_ESCALATION_MINUTES = 15;
+const ALERT_STATUSES = ["open", "acknowledged", "unanswered"];
+
+// "OK", "ok!", "got it", "on it" …
+const ACK_PATTERN = /^(ok(ay)?|k|ack|got it|on it|mine|i got it|i'?ll take it)[\s.!]*$/i;
+
+let escalationRunning = false; // prevent overlapping passes
+
+function getESTNow() {
+  return new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+}
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getEscalationMinutes() {
+  const value = parseInt(db.prepare("SELECT value FROM settings WHERE key = 'handoff_escalation_minutes'").get()?.value, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_ESCALATION_MINUTES;
+}
+
+function parseList(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function getAlert(id) {
+  const row = db.prepare(`
+    SELECT h.*, n.customer_name, n.phone AS customer_phone
+    FROM handoff_alerts h LEFT JOIN notifications n ON n.id = h.notification_id
+    WHERE h.id = ?
+  `).get(id);
+  return row ? { ...row, notified: parseList(row.notified) } : null;
+}
+
+// ─── System alerts ───────────────────────────────────────
+
+/**
+ * Text a system alert to the staff who get alerts (on duty if anyone is).
+ * @param {object} [opts] - { notificationId } delivery the alert is about (message ledger),
+ *   { store } to reach only that store's staff
+ * @returns {number} how many staff phones the alert reached
+ */
+async function alertStaff(message, { notificationId = null, store = null } = {}) {
+  const recipients = getAlertRecipients(store);
+  if (recipients.length === 0) console.log(`[Staff] No staff get alerts${store ? ` for ${store}` : ""} — alert not sent`);
+
+  let sentCount = 0;
+  for (const member of recipients) {
+    try {
+      await sendSms(member.phone, message, { notificationId, purpose: "staff_alert" });
+      sentCount++;
+    } catch (err) {
+      console.error(`[Staff] Failed to alert ${member.name}:`, err.message);
+    }
+  }
+  return sentCount;
+}
+
+// ─── Handoffs ────────────────────────────────────────────
+
+/**
+ * Text the next tier with someone on duty. Marks the alert unanswered when
+ * no tier is left; leaves it waiting when a tier is left but nobody's on.
+ * @returns {number} how many staff phones were texted
+ */
+async function dispatchAlert(alert, { escalation = false } = {}) {
+  const after = alert.role ? ROLES.indexOf(alert.role) : -1;
+  const remaining = getHandoffTiers(alert.store).filter((tier) => ROLES.indexOf(tier.role) > after);
+  const label = alert.customer_name || `alert #${alert.id}`;
+
+  if (remaining.length === 0) {
+    db.prepare("UPDATE handoff_alerts SET status = 'unanswered' WHERE id = ?").run(alert.id);
+    console.log(`[Staff] ✗ Nobody left to escalate ${label} to`);
+    logActivity(
+      "handoff_unanswered",
+      alert.role ? `Nobody took the alert for ${label} — no one left to escalate to` : `No staff get handoff alerts for ${alert.store || "this store"} — alert for ${label} not sent`,
+      alert.notification_id
+    );
+    return 0;
+  }
+
+  const now = getESTNow();
+  const tier = remaining
+    .map((t) => ({ ...t, members: t.members.filter((m) => isOnDuty(m, now)) }))
+    .find((t) => t.members.length > 0);
+  if (!tier) return 0; // nobody on duty yet — the worker tries again
+
+  const body = escalation
+    ? `ESCALATED — nobody has taken this after ${getEscalationMinutes()} min:\n${alert.message}\nReply OK to take it.`
+    : `${alert.message}\nReply OK to take it.`;
+
+  const reached = [];
+  for (const member of tier.members) {
+    try {
+      await sendSms(member.phone, body, { notificationId: alert.notification_id, purpose: "staff_alert" });
+      reached.push(member.phone);
+    } catch (err) {
+      console.error(`[Staff] Failed to send handoff alert to ${member.name}:`, err.message);
+    }
+  }
+
+  // Move on to this tier even if the texts failed, so the next escalation isn't stuck on it
+  const notified = [...new Set([...alert.notified, ...reached])];
+  db.prepare(`
+    UPDATE handoff_alerts SET role = ?, notified = ?, last_sent_at = ?, escalations = escalations + ? WHERE id = ?
+  `).run(tier.role, JSON.stringify(notified), new Date().toISOString(), escalation ? 1 : 0, alert.id);
+
+  if (escalation) {
+    console.log(`[Staff] ↑ Escalated ${label} to ${ROLE_LABELS[tier.role].toLowerCase()}s (${reached.length} texted)`);
+    logActivity("handoff_escalated", `Nobody took the alert for ${label} — escalated to ${tier.members.map((m) => m.name).join(", ")}`, alert.notification_id);
+  }
+  return reached.length;
+}
+
+/**
+ * A customer needs a person: alert the store's handoff contacts and keep
+ * escalating until someone takes it.
+ * @returns {number} how many staff phones were texted now (0 if it's waiting for someone on duty)
+ */
+async function alertHumanNeeded(notification, message) {
+  const id = db.prepare(`
+    INSERT INTO handoff_alerts (notification_id, store, message, status, created_at) VALUES (?, ?, ?, 'open', ?)
+  `).run(notification.id, notification.store || null, message, new Date().toISOString()).lastInsertRowid;
+
+  const sent = await dispatchAlert(getAlert(id));
+  const alert = getAlert(id);
+  if (alert.status === "open" && !alert.last_sent_at) {
+    console.log(`[Staff] Nobody on duty for ${notification.store || "this store"} — handoff alert for ${notification.customer_name} waiting`);
+    logActivity("handoff_waiting", `Nobody on duty — alert for ${notification.customer_name} goes out when someone comes on`, notification.id);
+  }
+  return sent;
+}
+
+/**
+ * Mark an alert as taken and tell everyone else who was texted.
+ * @param {object} opts - { by: staff name, phone: their phone (not told twice) }
+ */
+async function acknowledgeAlert(id, { by = null, phone = null } = {}) {
+  const alert = getAlert(id);
+  if (!alert) throw new Error("Alert not found");
+  if (alert.status === "acknowledged") throw new Error(`Already taken by ${alert.acknowledged_by || "someone"}`);
+
+  db.prepare("UPDATE handoff_alerts SET status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ? WHERE id = ?")
+    .run(new Date().toISOString(), by, id);
+  const label = alert.customer_name || `alert #${id}`;
+  logActivity("handoff_acknowledged", `${by || "Staff"} took the alert for ${label}`, alert.notification_id);
+  // Whoever takes the text owns the follow-up in the handoff queue
+  if (alert.notification_id) claimHandoffFor(alert.notification_id, { claimedBy: by });
+
+  for (const other of alert.notified.filter((p) => p !== phone)) {
+    try {
+      await sendSms(other, `${by || "Someone"} has the alert for ${label} — no need to follow up.`, { notificationId: alert.notification_id, purpose: "staff_alert" });
+    } catch (err) {
+      console.error("[Staff] Failed to send taken notice:", err.message);
+    }
+  }
+  return getAlert(id);
+}
+
+/**
+ * An inbound text from a staff phone. "OK" takes the newest open alert
+ * they were sent; anything else isn't ours.
+ * @returns {boolean} true if handled (don't treat it as a customer reply)
+ */
+async function handleStaffReply(phone, text) {
+  const member = findStaffByPhone(phone);
+  if (!member || !ACK_PATTERN.test(text.trim())) return false;
+
+  const waiting = db.prepare(`
+    SELECT id FROM handoff_alerts WHERE status IN ('open', 'unanswered') AND notified LIKE ? ORDER BY created_at DESC, id DESC
+  `).all(`%"${phone}"%`);
+
+  // Nothing to take — could be a staff member answering their own delivery text
+  if (waiting.length === 0) return false;
+
+  const alert = await acknowledgeAlert(waiting[0].id, { by: member.name, phone });
+  let reply = `Thanks ${member.name.split(" ")[0]} — ${alert.customer_name || "that one"}${alert.customer_phone ? ` (${alert.customer_phone})` : ""} is yours.`;
+  if (waiting.length > 1) reply += ` ${waiting.length - 1} more open — reply OK again to take the next.`;
+
+  try {
+    await sendSms(phone, reply, { purpose: "staff_alert" });
+  } catch (err) {
+    console.error("[Staff] Failed to answer staff reply:", err.message);
+  }
+  return true;
+}
+
+/**
+ * Handoff alerts, newest first.
+ * @param {object} filters - { status, limit }
+ */
+function listAlerts({ status = null, limit = 50 } = {}) {
+  let where = "";
+  const params = [];
+  if (status) {
+    where = "WHERE h.status = ?";
+    params.push(status);
+  }
+  return db.prepare(`
+    SELECT h.*, n.customer_name, n.phone AS customer_phone
+    FROM handoff_alerts h LEFT JOIN notifications n ON n.id = h.notification_id
+    ${where} ORDER BY h.created_at DESC LIMIT ?
+  `).all(...params, Math.min(Number(limit) || 50, 500)).map((row) => ({ ...row, notified: parseList(row.notified) }));
+}
+
+// ─── Escalation worker ───────────────────────────────────
+
+/**
+ * Send waiting alerts to whoever's come on duty, and escalate alerts
+ * nobody took in time.
+ */
+async function processEscalations() {
+  const cutoff = new Date(Date.now() - getEscalationMinutes() * 60 * 1000).toISOString();
+  const due = db.prepare(`
+    SELECT id FROM handoff_alerts WHERE status = 'open' AND (last_sent_at IS NULL OR last_sent_at <= ?) ORDER BY created_at ASC
+  `).all(cutoff);
+
+  for (const { id } of due) {
+    const alert = getAlert(id);
+    await dispatchAlert(alert, { escalation: !!alert.last_sent_at });
+  }
+  return due.length;
+}
+
+async function checkEscalations() {
+  if (escalationRunning) return;
+  escalationRunning = true;
+  try {
+    await processEscalations();
+  } catch (err) {
+    console.error("[Staff] Fatal error during escalation pass:", err);
+    logActivity("handoff_error", `Escalation worker error: ${err.message}`);
+  } finally {
+    escalationRunning = false;
+  }
+}
+
+function startEscalationWorker() {
+  console.log(`[Staff] Escalation worker started — unanswered handoffs escalate after ${getEscalationMinutes()} min`);
+  setInterval(checkEscalations, ESCALATION_CHECK_INTERVAL_MS);
+}
+
+module.exports = {
+  ALERT_STATUSES,
+  getEscalationMinutes,
+  alertStaff,
+  alertHumanNeeded,
+  acknowledgeAlert,
+  handleStaffReply,
+  listAlerts,
+  processEscalations,
+  startEscalationWorker,
+};
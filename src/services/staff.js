@@ -0,0 +1,282 @@
+/**
+ * Staff Directory
+ *
+ * Who gets staff texts, backed by the `staff` table and edited from
+ * Settings → Staff:
+ *
+ *   role          — dispatcher | store_manager | owner (handoff escalation
+ *                   order, see staff-alerts.js)
+ *   stores        — store slugs this person covers; empty = every store
+ *   duty_days     — weekdays they're on (0=Sun … 6=Sat); none = never on duty
+ *   duty_start / duty_end — "HH:MM" Eastern; both empty = all day. An end
+ *                   before the start runs past midnight ("21:00"–"07:00")
+ *   gets_summary  — 9 PM staff summary (sent regardless of duty hours)
+ *   gets_alerts   — system alerts (failed sends, missed runs)
+ *   gets_handoffs — HUMAN NEEDED / missed delivery / removed stop alerts
+ *
+ * Replaces the hard-coded STAFF_PHONES list in scheduler.js and the
+ * per-store staff_phones column.
+ */
+
+const db = require("../database");
+
+const ROLES = ["dispatcher", "store_manager", "owner"];
+const ROLE_LABELS = { dispatcher: "Dispatcher", store_manager: "Store manager", owner: "Owner" };
+
+const EDITABLE_FIELDS = [
+  "name", "phone", "role", "stores", "duty_days", "duty_start", "duty_end",
+  "gets_summary", "gets_alerts", "gets_handoffs", "active",
+];
+const JSON_FIELDS = ["stores", "duty_days"];
+const FLAG_FIELDS = ["gets_summary", "gets_alerts", "gets_handoffs", "active"];
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getESTNow() {
+  return new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+}
+
+function parseList(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Row → API shape (JSON columns decoded, flags as booleans).
+ */
+function hydrate(row) {
+  if (!row) return null;
+  const member = { ...row, stores: parseList(row.stores), duty_days: parseList(row.duty_days) };
+  for (const field of FLAG_FIELDS) member[field] = !!row[field];
+  return member;
+}
+
+function listStaff({ includeInactive = true } = {}) {
+  const rows = db.prepare(
+    `SELECT * FROM staff ${includeInactive ? "" : "WHERE active = 1"} ORDER BY CASE role WHEN 'dispatcher' THEN 0 WHEN 'store_manager' THEN 1 ELSE 2 END, name ASC`
+  ).all();
+  return rows.map(hydrate);
+}
+
+function getStaff(id) {
+  return hydrate(db.prepare("SELECT * FROM staff WHERE id = ?").get(id));
+}
+
+/**
+ * The active staff member with this phone, or null (e.g. to tell a staff
+ * reply from a customer's).
+ */
+function findStaffByPhone(phone) {
+  if (!phone) return null;
+  return hydrate(db.prepare("SELECT * FROM staff WHERE phone = ? AND active = 1").get(phone));
+}
+
+// ─── Routing ─────────────────────────────────────────────
+
+function coversStore(member, slug) {
+  return member.stores.length === 0 || (!!slug && member.stores.includes(slug));
+}
+
+function toMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Whether someone is on duty at a given Eastern time (default now).
+ */
+function isOnDuty(member, now = getESTNow()) {
+  if (!member.duty_days.includes(now.getDay())) return false;
+  if (!member.duty_start || !member.duty_end) return true;
+
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const start = toMinutes(member.duty_start);
+  const end = toMinutes(member.duty_end);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Active staff who want a kind of text for a store.
+ * @param {string} kind - "summary" | "alerts" | "handoffs"
+ * @param {string|null} store - slug; null = company-wide (everyone with the preference)
+ */
+function getRecipients(kind, store = null) {
+  return listStaff({ includeInactive: false })
+    .filter((m) => m[`gets_${kind}`])
+    .filter((m) => !store || coversStore(m, store));
+}
+
+/**
+ * Who gets a system alert: the on-duty recipients, or every recipient if
+ * nobody's on duty — a failed send still needs someone.
+ */
+function getAlertRecipients(store = null, now = getESTNow()) {
+  const recipients = getRecipients("alerts", store);
+  const onDuty = recipients.filter((m) => isOnDuty(m, now));
+  return onDuty.length > 0 ? onDuty : recipients;
+}
+
+/**
+ * Handoff contacts for a store in escalation order — one tier per role
+ * (dispatchers, then store managers, then owners), empty tiers dropped.
+ * @returns {Array<{ role, members }>}
+ */
+function getHandoffTiers(store) {
+  const recipients = getRecipients("handoffs", store);
+  return ROLES
+    .map((role) => ({ role, members: recipients.filter((m) => m.role === role) }))
+    .filter((tier) => tier.members.length > 0);
+}
+
+/**
+ * Summary recipients grouped by the stores they cover, so each group gets
+ * one summary. stores: null = every store.
+ * @returns {Array<{ stores, members }>}
+ */
+function getSummaryGroups() {
+  const groups = new Map();
+  for (const member of getRecipients("summary")) {
+    const stores = member.stores.length > 0 ? [...member.stores].sort() : null;
+    const key = stores ? stores.join(",") : "";
+    if (!groups.has(key)) groups.set(key, { stores, members: [] });
+    groups.get(key).members.push(member);
+  }
+  return [...groups.values()];
+}
+
+// ─── CRUD ────────────────────────────────────────────────
+
+function normalizePhone(value) {
+  let cleaned = String(value || "").replace(/[^\d+]/g, "");
+  if (cleaned.length === 10) cleaned = "+1" + cleaned;
+  if (cleaned.length === 11 && cleaned.startsWith("1")) cleaned = "+" + cleaned;
+  return cleaned;
+}
+
+function normalizeTime(value, field) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new Error(`${field} must be HH:MM (24-hour)`);
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+/**
+ * Validate and normalize an incoming staff payload (partial for updates).
+ */
+function normalizeStaffInput(input, { partial = false } = {}) {
+  const out = {};
+  if (!partial || input.name !== undefined) {
+    if (!input.name || !String(input.name).trim()) throw new Error("Name required");
+    out.name = String(input.name).trim();
+  }
+  if (!partial || input.phone !== undefined) {
+    const phone = normalizePhone(input.phone);
+    if (!/^\+\d{11,15}$/.test(phone)) throw new Error("A valid phone number is required");
+    out.phone = phone;
+  }
+  if (!partial || input.role !== undefined) {
+    const role = input.role || "dispatcher";
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+    out.role = role;
+  }
+  if (input.stores !== undefined) {
+    const list = Array.isArray(input.stores) ? input.stores : String(input.stores || "").split(",");
+    const stores = [...new Set(list.map((s) => String(s).trim()).filter(Boolean))];
+    const unknown = stores.filter((slug) => !db.prepare("SELECT 1 FROM stores WHERE slug = ?").get(slug));
+    if (unknown.length > 0) throw new Error(`Unknown store: ${unknown.join(", ")}`);
+    out.stores = stores;
+  }
+  if (input.duty_days !== undefined) {
+    const list = Array.isArray(input.duty_days) ? input.duty_days : String(input.duty_days || "").split(",").filter((d) => d.trim() !== "");
+    const days = [...new Set(list.map((d) => Number(d)))];
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) throw new Error("duty_days must be weekday numbers 0 (Sun) through 6 (Sat)");
+    out.duty_days = days.sort((a, b) => a - b);
+  }
+  if (input.duty_start !== undefined) out.duty_start = normalizeTime(input.duty_start, "duty_start");
+  if (input.duty_end !== undefined) out.duty_end = normalizeTime(input.duty_end, "duty_end");
+  for (const field of FLAG_FIELDS) {
+    if (input[field] !== undefined) out[field] = input[field] ? 1 : 0;
+  }
+
+  for (const field of JSON_FIELDS) {
+    if (out[field] !== undefined) out[field] = JSON.stringify(out[field]);
+  }
+  return out;
+}
+
+function assertHoursComplete(start, end) {
+  if (!!start !== !!end) throw new Error("Set both duty_start and duty_end, or neither (all day)");
+}
+
+function assertPhoneAvailable(phone, id) {
+  if (!phone) return;
+  const taken = db.prepare("SELECT name FROM staff WHERE phone = ? AND id != ?").get(phone, id || 0);
+  if (taken) throw new Error(`${phone} already belongs to ${taken.name}`);
+}
+
+function createStaff(input) {
+  const data = normalizeStaffInput(input);
+  assertHoursComplete(data.duty_start, data.duty_end);
+  assertPhoneAvailable(data.phone);
+
+  const fields = EDITABLE_FIELDS.filter((f) => data[f] !== undefined);
+  const now = new Date().toISOString();
+  const id = db.prepare(
+    `INSERT INTO staff (${fields.join(", ")}, created_at, updated_at) VALUES (${fields.map(() => "?").join(", ")}, ?, ?)`
+  ).run(...fields.map((f) => data[f]), now, now).lastInsertRowid;
+
+  logActivity("staff_added", `Staff added: ${data.name} (${ROLE_LABELS[data.role]})`);
+  return getStaff(id);
+}
+
+function updateStaff(id, input) {
+  const existing = getStaff(id);
+  if (!existing) return null;
+
+  const data = normalizeStaffInput(input, { partial: true });
+  assertHoursComplete(
+    data.duty_start !== undefined ? data.duty_start : existing.duty_start,
+    data.duty_end !== undefined ? data.duty_end : existing.duty_end
+  );
+  if (data.phone !== undefined) assertPhoneAvailable(data.phone, id);
+
+  const fields = EDITABLE_FIELDS.filter((f) => data[f] !== undefined);
+  if (fields.length > 0) {
+    db.prepare(`UPDATE staff SET ${fields.map((f) => `${f} = ?`).join(", ")}, updated_at = ? WHERE id = ?`)
+      .run(...fields.map((f) => data[f]), new Date().toISOString(), id);
+    logActivity("staff_updated", `Staff ${existing.name} updated: ${fields.join(", ")}`);
+  }
+  return getStaff(id);
+}
+
+function removeStaff(id) {
+  const existing = getStaff(id);
+  if (!existing) return null;
+  db.prepare("DELETE FROM staff WHERE id = ?").run(id);
+  logActivity("staff_removed", `Staff removed: ${existing.name}`);
+  return existing;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  listStaff,
+  getStaff,
+  findStaffByPhone,
+  isOnDuty,
+  getRecipients,
+  getAlertRecipients,
+  getHandoffTiers,
+  getSummaryGroups,
+  createStaff,
+  updateStaff,
+  removeStaff,
+};
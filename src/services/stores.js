@@ -0,0 +1,283 @@
+/**
+ * Store Registry
+ *
+ * Single source of truth for per-store configuration, backed by the
+ * `stores` table and edited from Settings → Stores:
+ *
+ *   sale_prefix     — leading digit(s) of the Spoke "Sale Number" (longest match wins)
+ *   name            — short dashboard label ("Nicholasville Rd")
+ *   display_name    — customer-facing name ("Mattress Overstock - Nicholasville Road")
+ *   review_url      — Google review link; solicit_reviews = 0 skips review texts
+ *   delivery_days   — weekdays we deliver (0=Sun … 6=Sat), used for rescheduling
+ *   flexible_days   — extra days offered on request, with flexible_note
+ *   en_route_texts / eta_update_texts — delivery-day texts (services/en-route.js)
+ *   auto_cancel_notices — text removed stops' customers without approval (services/cancellations.js)
+ *   capacity        — max stops per weekday, {"6": 25}; date overrides in services/capacity.js
+ *
+ * Who gets staff texts for a store is set in the staff directory (staff.js).
+ *
+ * Stores are never hard-deleted (notifications reference the slug);
+ * deactivating one stops its prefix from resolving.
+ */
+
+const db = require("../database");
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const FALLBACK_DISPLAY_NAME = "Mattress Overstock";
+
+const EDITABLE_FIELDS = [
+  "sale_prefix", "name", "display_name", "review_url", "solicit_reviews",
+  "delivery_days", "flexible_days", "flexible_note", "color", "active",
+  "en_route_texts", "eta_update_texts", "auto_cancel_notices", "capacity",
+];
+// Delivery-day text type → its on/off column
+const DAY_OF_TEXT_FIELDS = { en_route: "en_route_texts", eta_update: "eta_update_texts" };
+const JSON_FIELDS = ["delivery_days", "flexible_days", "capacity"];
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function parseList(value) {
+  try {
+    const parsed = JSON.parse(value || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function parseMap(value) {
+  try {
+    const parsed = JSON.parse(value || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Row → API shape (JSON columns decoded, flags as booleans).
+ */
+function hydrate(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    solicit_reviews: !!row.solicit_reviews,
+    active: !!row.active,
+    en_route_texts: !!row.en_route_texts,
+    eta_update_texts: !!row.eta_update_texts,
+    auto_cancel_notices: !!row.auto_cancel_notices,
+    delivery_days: parseList(row.delivery_days),
+    flexible_days: parseList(row.flexible_days),
+    capacity: parseMap(row.capacity),
+  };
+}
+
+function listStores({ includeInactive = true } = {}) {
+  const rows = db.prepare(
+    `SELECT * FROM stores ${includeInactive ? "" : "WHERE active = 1"} ORDER BY sale_prefix IS NULL, sale_prefix ASC, slug ASC`
+  ).all();
+  return rows.map(hydrate);
+}
+
+function getStore(slug) {
+  if (!slug) return null;
+  return hydrate(db.prepare("SELECT * FROM stores WHERE slug = ?").get(slug));
+}
+
+/**
+ * Sale Number → store slug ("unknown" if no active store matches).
+ */
+function resolveStoreFromSaleNumber(saleNumber) {
+  if (!saleNumber) return "unknown";
+  const str = String(saleNumber).trim();
+  if (!str) return "unknown";
+
+  const match = db.prepare(
+    "SELECT slug FROM stores WHERE active = 1 AND sale_prefix IS NOT NULL AND ? LIKE sale_prefix || '%' ORDER BY LENGTH(sale_prefix) DESC LIMIT 1"
+  ).get(str);
+  return match ? match.slug : "unknown";
+}
+
+function getDisplayName(slug) {
+  return getStore(slug)?.display_name || FALLBACK_DISPLAY_NAME;
+}
+
+/**
+ * Google review link for a store, or null if it doesn't solicit reviews.
+ */
+function getReviewLink(slug) {
+  const store = getStore(slug);
+  if (!store || !store.solicit_reviews) return null;
+  return store.review_url || null;
+}
+
+/**
+ * True for registered stores with review solicitation turned off (e.g. "other").
+ */
+function skipsReviews(slug) {
+  const store = getStore(slug);
+  return !!store && !store.solicit_reviews;
+}
+
+/**
+ * [2, 4, 6] → "Tuesdays, Thursdays, and Saturdays"
+ */
+function formatDayList(days) {
+  const names = [...days].sort((a, b) => a - b).map((d) => `${DAY_NAMES[d]}s`);
+  if (names.length <= 1) return names.join("");
+  if (names.length === 2) return `${names[0]} and ${names[1]}`;
+  return `${names.slice(0, -1).join(", ")}, and ${names[names.length - 1]}`;
+}
+
+/**
+ * Rescheduling rules for a store, or null if it has no delivery days set.
+ * @returns {object|null} { days, dayNames, flexible, flexibleNote }
+ */
+function getDeliveryRules(slug) {
+  const store = getStore(slug);
+  if (!store || !store.active || store.delivery_days.length === 0) return null;
+  return {
+    days: store.delivery_days,
+    dayNames: formatDayList(store.delivery_days),
+    flexible: store.flexible_days,
+    flexibleNote: store.flexible_note || null,
+  };
+}
+
+/**
+ * Whether a store sends a delivery-day text type ("en_route" | "eta_update").
+ * On unless a registered store turned it off.
+ */
+function sendsDayOfText(slug, type) {
+  const store = getStore(slug);
+  return !store || !!store[DAY_OF_TEXT_FIELDS[type]];
+}
+
+// ─── CRUD ────────────────────────────────────────────────
+
+function normalizeDays(value, field) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",").filter((d) => d.trim() !== "");
+  const days = [...new Set(list.map((d) => Number(d)))];
+  if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+    throw new Error(`${field} must be weekday numbers 0 (Sun) through 6 (Sat)`);
+  }
+  return days.sort((a, b) => a - b);
+}
+
+/**
+ * { "6": 25, "2": "" } → { "6": 25 } — blank means no limit that weekday.
+ */
+function normalizeCapacity(value) {
+  if (value === null) return {};
+  if (typeof value !== "object" || Array.isArray(value)) throw new Error("capacity must map weekday numbers to max stops");
+  const out = {};
+  for (const [day, max] of Object.entries(value)) {
+    if (!/^[0-6]$/.test(day)) throw new Error("capacity weekdays must be 0 (Sun) through 6 (Sat)");
+    if (max === null || max === "") continue;
+    const n = Number(max);
+    if (!Number.isInteger(n) || n < 0) throw new Error("capacity must be a whole number of stops (0 or more)");
+    out[day] = n;
+  }
+  return out;
+}
+
+/**
+ * Validate and normalize an incoming store payload (partial for updates).
+ */
+function normalizeStoreInput(input, { partial = false } = {}) {
+  const out = {};
+  if (!partial || input.name !== undefined) {
+    if (!input.name || !String(input.name).trim()) throw new Error("Store name required");
+    out.name = String(input.name).trim();
+  }
+  if (!partial || input.display_name !== undefined) {
+    if (!input.display_name || !String(input.display_name).trim()) throw new Error("Display name required");
+    out.display_name = String(input.display_name).trim();
+  }
+  if (input.sale_prefix !== undefined) {
+    const prefix = input.sale_prefix === null ? "" : String(input.sale_prefix).trim();
+    if (prefix && !/^\d+$/.test(prefix)) throw new Error("Sale prefix must be digits only");
+    out.sale_prefix = prefix || null;
+  }
+  if (input.review_url !== undefined) {
+    const url = input.review_url ? String(input.review_url).trim() : "";
+    if (url && !/^https?:\/\//.test(url)) throw new Error("Review URL must start with http:// or https://");
+    out.review_url = url || null;
+  }
+  if (input.solicit_reviews !== undefined) out.solicit_reviews = input.solicit_reviews ? 1 : 0;
+  if (input.active !== undefined) out.active = input.active ? 1 : 0;
+  if (input.en_route_texts !== undefined) out.en_route_texts = input.en_route_texts ? 1 : 0;
+  if (input.eta_update_texts !== undefined) out.eta_update_texts = input.eta_update_texts ? 1 : 0;
+  if (input.auto_cancel_notices !== undefined) out.auto_cancel_notices = input.auto_cancel_notices ? 1 : 0;
+  if (input.delivery_days !== undefined) out.delivery_days = normalizeDays(input.delivery_days, "delivery_days");
+  if (input.flexible_days !== undefined) out.flexible_days = normalizeDays(input.flexible_days, "flexible_days");
+  if (input.flexible_note !== undefined) out.flexible_note = input.flexible_note ? String(input.flexible_note).trim() : null;
+  if (input.color !== undefined) out.color = input.color || null;
+  if (input.capacity !== undefined) out.capacity = normalizeCapacity(input.capacity);
+
+  for (const field of JSON_FIELDS) {
+    if (out[field] !== undefined) out[field] = JSON.stringify(out[field]);
+  }
+  return out;
+}
+
+function assertPrefixAvailable(prefix, slug) {
+  if (!prefix) return;
+  const taken = db.prepare("SELECT slug FROM stores WHERE sale_prefix = ? AND slug != ?").get(prefix, slug || "");
+  if (taken) throw new Error(`Sale prefix ${prefix} is already used by ${taken.slug}`);
+}
+
+function createStore(input) {
+  const slug = String(input.slug || "").trim().toLowerCase();
+  if (!/^[a-z0-9-]+$/.test(slug)) throw new Error("Slug must be lowercase letters, numbers and dashes");
+  if (slug === "unknown") throw new Error(`"unknown" is reserved`);
+  if (getStore(slug)) throw new Error(`Store ${slug} already exists`);
+
+  const data = normalizeStoreInput(input);
+  assertPrefixAvailable(data.sale_prefix, slug);
+
+  const fields = ["slug", ...EDITABLE_FIELDS.filter((f) => data[f] !== undefined)];
+  const now = new Date().toISOString();
+  db.prepare(
+    `INSERT INTO stores (${fields.join(", ")}, created_at, updated_at) VALUES (${fields.map(() => "?").join(", ")}, ?, ?)`
+  ).run(slug, ...fields.slice(1).map((f) => data[f]), now, now);
+
+  logActivity("store_created", `Store added: ${data.display_name} (prefix ${data.sale_prefix || "none"})`);
+  return getStore(slug);
+}
+
+function updateStore(slug, input) {
+  const existing = getStore(slug);
+  if (!existing) return null;
+
+  const data = normalizeStoreInput(input, { partial: true });
+  if (data.sale_prefix !== undefined) assertPrefixAvailable(data.sale_prefix, slug);
+
+  const fields = EDITABLE_FIELDS.filter((f) => data[f] !== undefined);
+  if (fields.length > 0) {
+    db.prepare(
+      `UPDATE stores SET ${fields.map((f) => `${f} = ?`).join(", ")}, updated_at = ? WHERE slug = ?`
+    ).run(...fields.map((f) => data[f]), new Date().toISOString(), slug);
+    logActivity("store_updated", `Store ${slug} updated: ${fields.join(", ")}`);
+  }
+  return getStore(slug);
+}
+
+module.exports = {
+  DAY_NAMES,
+  listStores,
+  getStore,
+  resolveStoreFromSaleNumber,
+  getDisplayName,
+  getReviewLink,
+  skipsReviews,
+  sendsDayOfText,
+  getDeliveryRules,
+  formatDayList,
+  createStore,
+  updateStore,
+};
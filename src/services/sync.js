@@ -9,41 +9,38 @@
  *   2. Existing notification spoke_stop_ids — extract plan IDs as fallback
  *
  * SCHEDULE:
- *   8 AM – 4 PM EST: every 15 minutes
- *   4 PM – 6 PM EST: every 5 minutes (crunch time before 6 PM send)
- *   Only on send days (Mon–Fri)
+ *   8 AM until 2 hours before the day's last send: every 15 minutes
+ *   Final 2 hours before the last send: every 5 minutes (crunch time)
+ *   3 hours after the last send: every 15 minutes (catches re-optimized routes)
+ *   Only on send days (Mon–Fri by default — see schedule.js)
  *
- * SCOPE: Only syncs stops for the next delivery day
+ * SCOPE: Only syncs stops for the next delivery day. A company-wide
+ * blackout date is skipped; a stop for a store closed that day is imported
+ * (so it shows up) but flagged — the 6 PM send holds it.
+ *
+ * WINDOWS: a pending stop picks up a changed ETA window silently (nothing
+ * was texted yet). A stop whose text already went out is handed to
+ * window-changes.js, which re-asks the customer if it moved far enough.
+ *
+ * REMOVED STOPS: a stop missing from its plan is cancelled through
+ * cancellations.js (staff alert + customer notice if it was texted); one
+ * that comes back is restored to its prior status, not imported again.
  */
 
 const db = require("../database");
 const fetch = require("node-fetch");
-const { computeDeliveryWindow, isDeliveryDay, isSendDay } = require("./templates");
+const { computeDeliveryWindow } = require("./templates");
+const { isDeliveryDay, getSendSlots, getDeliveryDateForSend } = require("./schedule");
+const { resolveStoreFromSaleNumber, getDisplayName } = require("./stores");
+const { getBlackout, describeBlackout } = require("./blackouts");
+const { handleSyncedWindow } = require("./window-changes");
+const { cancelRemovedStop, findRemovedStop, restoreRemovedStop } = require("./cancellations");
 
 const SPOKE_API_BASE = "https://api.getcircuit.com/public/v0.2b";
 const SYNC_INTERVAL_MS = 60 * 1000; // check every minute, decide frequency inside
-
-const SALE_PREFIX_TO_STORE = {
-  "1": "other",
-  "2": "lexington",
-  "3": "georgetown",
-  "4": "somerset",
-  "5": "london",
-};
-
-const STORE_DISPLAY_NAMES = {
-  somerset: "Mattress Overstock - Somerset",
-  lexington: "Mattress Overstock - Nicholasville Road",
-  london: "Mattress Overstock - London",
-  georgetown: "Mattress Overstock - Georgetown",
-  other: "Mattress Overstock",
-};
-
-function resolveStoreFromSaleNumber(saleNumber) {
-  if (!saleNumber) return "unknown";
-  const prefix = String(saleNumber).charAt(0);
-  return SALE_PREFIX_TO_STORE[prefix] || "unknown";
-}
+const SYNC_START_MINUTES = 8 * 60; // 8 AM EST
+const CRUNCH_MINUTES = 2 * 60; // 5-minute syncs in the 2 hours before the last send
+const POST_SEND_MINUTES = 3 * 60; // keep syncing sent stops for 3 hours after the last send
 
 function extractSaleNumber(customProperties) {
   if (!customProperties || typeof customProperties !== "object") return null;
@@ -150,26 +147,27 @@ function getTrackedPlanIds(deliveryDate) {
 async function syncRoutes(targetDate) {
   const now = getESTNow();
 
-  // Default: sync for next delivery day (tomorrow on Mon-Fri)
-  let deliveryDate = targetDate;
-  if (!deliveryDate) {
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    deliveryDate = tomorrow.toISOString().split("T")[0];
-  }
+  // Default: sync for the delivery date today's send covers (tomorrow, or Monday on a pilot Saturday)
+  const deliveryDate = targetDate || getDeliveryDateForSend(now);
 
   // Validate it's a delivery day
   const deliveryDateObj = new Date(deliveryDate + "T12:00:00");
   if (!isDeliveryDay(deliveryDateObj)) {
     console.log(`[Sync] ${deliveryDate} is not a delivery day — skipping`);
-    return { newStops: 0, updated: 0, removed: 0, skipped: 0, errors: [] };
+    return { newStops: 0, updated: 0, windowChanges: 0, removed: 0, restored: 0, noticesHeld: 0, skipped: 0, errors: [] };
+  }
+
+  const closure = getBlackout(deliveryDate);
+  if (closure) {
+    console.log(`[Sync] ${deliveryDate} is a blackout date (${describeBlackout(closure)}) — skipping`);
+    return { newStops: 0, updated: 0, windowChanges: 0, removed: 0, restored: 0, noticesHeld: 0, skipped: 0, errors: [], blackout: describeBlackout(closure) };
   }
 
   console.log("\n[Sync] ═══════════════════════════════════════");
   console.log(`[Sync] Route sync at ${now.toLocaleTimeString()}`);
   console.log(`[Sync] Delivery date: ${deliveryDate}`);
 
-  const results = { newStops: 0, updated: 0, removed: 0, skipped: 0, errors: [] };
+  const results = { newStops: 0, updated: 0, windowChanges: 0, removed: 0, restored: 0, noticesHeld: 0, skipped: 0, errors: [] };
 
   try {
     const planIds = getTrackedPlanIds(deliveryDate);
@@ -222,6 +220,8 @@ async function syncRoutes(targetDate) {
           const result = await processStopForSync(stop, planDetails, driverMap, deliveryDate);
           if (result === "new") results.newStops++;
           else if (result === "updated") results.updated++;
+          else if (result === "window_changed") results.windowChanges++;
+          else if (result === "restored") results.restored++;
           else results.skipped++;
         } catch (err) {
           console.error(`[Sync] Stop error:`, err.message);
@@ -233,17 +233,20 @@ async function syncRoutes(targetDate) {
     // ─── Detect removed stops ───
     if (allSpokeStopIds.size > 0) {
       const dbNotifs = db.prepare(
-        `SELECT id, customer_name, spoke_stop_id, status FROM notifications
-         WHERE scheduled_date = ? AND spoke_stop_id IS NOT NULL AND status IN ('pending', 'sent')`
+        `SELECT * FROM notifications
+         WHERE scheduled_date = ? AND spoke_stop_id IS NOT NULL AND status != 'cancelled' AND delivery_status = 'queued'`
       ).all(deliveryDate);
 
       for (const n of dbNotifs) {
         if (!allSpokeStopIds.has(n.spoke_stop_id)) {
-          db.prepare("UPDATE notifications SET status = 'cancelled', updated_at = ? WHERE id = ?")
-            .run(new Date().toISOString(), n.id);
-          console.log(`[Sync] ✗ Cancelled: ${n.customer_name} (removed from Spoke)`);
-          logActivity("stop_removed", `Sync: ${n.customer_name} removed from route`, n.id);
-          results.removed++;
+          try {
+            const outcome = await cancelRemovedStop(n);
+            if (outcome !== "unchanged") results.removed++;
+            if (outcome === "held") results.noticesHeld++;
+          } catch (err) {
+            console.error(`[Sync] Cancel error:`, err.message);
+            results.errors.push(err.message);
+          }
         }
       }
     }
@@ -253,11 +256,11 @@ async function syncRoutes(targetDate) {
     results.errors.push(err.message);
   }
 
-  const summary = `Sync: ${results.newStops} new, ${results.updated} updated, ${results.removed} removed`;
+  const summary = `Sync: ${results.newStops} new, ${results.updated} updated, ${results.windowChanges} window change${results.windowChanges === 1 ? "" : "s"}, ${results.removed} removed, ${results.restored} restored`;
   console.log(`[Sync] ${summary}`);
   console.log("[Sync] ═══════════════════════════════════════\n");
 
-  if (results.newStops > 0 || results.updated > 0 || results.removed > 0) {
+  if (results.newStops > 0 || results.updated > 0 || results.windowChanges > 0 || results.removed > 0 || results.restored > 0) {
     logActivity("route_sync", summary);
   }
 
@@ -306,16 +309,32 @@ async function processStopForSync(stop, planDetails, driverMap, deliveryDate) {
   const driver = (routeRef && driverMap[routeRef]) || "Your driver";
 
   // Check existing
-  const existing = db.prepare("SELECT * FROM notifications WHERE spoke_stop_id = ?").get(stopId);
+  let existing = db.prepare("SELECT * FROM notifications WHERE spoke_stop_id = ?").get(stopId);
+
+  // A stop we cancelled as removed is back — restore it instead of importing a duplicate
+  const removed = existing
+    ? (existing.status === "cancelled" ? findRemovedStop({ spokeStopId: stopId }) : null)
+    : findRemovedStop({ phone: cleanPhone(phone), scheduledDate: deliveryDate, address });
+  if (removed) {
+    existing = await restoreRemovedStop(removed, { spokeStopId: stopId });
+    if (!existing) return "skipped";
+    if (existing.status === "sent") await handleSyncedWindow(existing, rawDeliveryTime);
+    return "restored";
+  }
 
   if (existing) {
+    // Already texted — the window is a promise now
+    if (existing.status === "sent") {
+      const outcome = await handleSyncedWindow(existing, rawDeliveryTime);
+      return outcome === "notified" || outcome === "failed" ? "window_changed" : "skipped";
+    }
     if (existing.status !== "pending") return "skipped";
 
     const needsUpdate =
       (!existing.phone && phone) ||
       (existing.customer_name === "Unknown Customer" && name !== "Unknown Customer") ||
       (existing.store === "unknown" && store !== "unknown") ||
-      (existing.time_window === "TBD" && timeWindow !== "TBD");
+      (timeWindow !== "TBD" && timeWindow !== existing.time_window);
 
     if (!needsUpdate) return "skipped";
 
@@ -349,8 +368,13 @@ async function processStopForSync(stop, planDetails, driverMap, deliveryDate) {
   );
 
   const nid = result.lastInsertRowid;
-  logActivity("stop_imported", `Sync imported: ${name} → ${STORE_DISPLAY_NAMES[store] || store} (${timeWindow})`, nid);
+  logActivity("stop_imported", `Sync imported: ${name} → ${getDisplayName(store)} (${timeWindow})`, nid);
   console.log(`[Sync] ✓ New #${nid}: ${name} | ${store} | ${timeWindow}`);
+
+  const storeClosure = getBlackout(deliveryDate, store);
+  if (storeClosure) {
+    logActivity("blackout_conflict", `${name} is routed for ${deliveryDate} but ${getDisplayName(store)} is closed (${describeBlackout(storeClosure)}) — needs a new date`, nid);
+  }
   return "new";
 }
 
@@ -360,23 +384,26 @@ let syncInterval = null;
 let lastSyncTime = 0;
 
 function startAutoSync() {
-  console.log("[Sync] Auto-sync enabled — 15 min (8-4), 5 min (4-6), Mon–Fri");
+  console.log("[Sync] Auto-sync enabled — 15 min from 8 AM, 5 min in the 2 hours before the send, 15 min for 3 hours after, on send days");
   logActivity("sync_started", "Auto-sync initialized");
   syncInterval = setInterval(checkAndSync, SYNC_INTERVAL_MS);
 }
 
 async function checkAndSync() {
   const now = getESTNow();
-  const hour = now.getHours();
-  const day = now.getDay();
-
-  // Only Mon-Fri
-  if (day === 0 || day === 6) return;
-  // Only 8 AM - 6 PM
-  if (hour < 8 || hour >= 18) return;
-
-  // Frequency: every 5 min from 4-6 PM, every 15 min otherwise
-  const intervalMs = hour >= 16 ? 5 * 60 * 1000 : 15 * 60 * 1000;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+
+  // Only on send days, from 8 AM until 3 hours after the day's last send
+  const slots = getSendSlots(now);
+  if (slots.length === 0) return;
+  const lastSend = Math.max(...slots.map((s) => {
+    const [h, m] = s.time.split(":").map(Number);
+    return h * 60 + m;
+  }));
+  if (minutes < SYNC_START_MINUTES || minutes >= lastSend + POST_SEND_MINUTES) return;
+
+  // Frequency: every 5 min in the crunch before the send, every 15 min otherwise
+  const intervalMs = minutes >= lastSend - CRUNCH_MINUTES && minutes < lastSend ? 5 * 60 * 1000 : 15 * 60 * 1000;
   const elapsed = Date.now() - lastSyncTime;
   if (elapsed < intervalMs) return;
 
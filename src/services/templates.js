@@ -5,16 +5,37 @@
  * - All delivery windows are exactly 2 hours
  * - Windows start on the hour or half-hour (7:00, 7:30, 8:00, etc.)
  * - If a delivery time falls within a 30-min block, ALWAYS round UP
- * - Messages sent at 6 PM EST for NEXT day's deliveries
- * - No messages on Saturday or Sunday
- * - No deliveries on Sunday or Monday
- * - Delivery days: Tuesday–Saturday
- * - Send days: Monday–Friday at 6 PM EST
+ * - Messages sent the evening before delivery (6 PM EST by default —
+ *   send days, times and the Saturday/Monday pilot live in schedule.js)
  *
  * VALID WINDOWS (30-min increments, 2-hour spans):
  *   7:00–9:00 AM through 6:00–8:00 PM
+ *
+ * TEMPLATES:
+ *   The confirmation text is rendered from the active row in sms_templates
+ *   (editable in the dashboard). Placeholders use {{variable}} syntax — see
+ *   TEMPLATE_VARIABLES for the supported set.
  */
 
+const db = require("../database");
+const { getStore } = require("./stores");
+
+// ─── Template variables ─────────────────────────────────
+const TEMPLATE_VARIABLES = [
+  "customer_first",
+  "customer_last",
+  "date",
+  "time_window",
+  "driver",
+  "store",
+  "product",
+  "address",
+  "business_name",
+  "delivery_day",
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
 /**
  * Round a time (in minutes from midnight) UP to the nearest 30-minute mark.
  * e.g., 7:14 AM (434 min) → 7:30 AM (450 min)
@@ -140,75 +161,128 @@ function formatTimeFullDisplay(minutes) {
 }
 
 /**
- * Build the SMS message body using Drew's exact format.
+ * Resolve the "between X and Y" window text for a notification.
  */
-function getSmsBody(notification) {
-  let windowText;
-
+function getWindowText(notification) {
   if (notification.time_window && notification.time_window !== "TBD") {
     // Already formatted as "between X and Y"
     if (notification.time_window.startsWith("between ")) {
-      windowText = notification.time_window;
-    } else {
-      // Raw window like "9:00 AM - 11:00 AM" — recompute
-      const parts = notification.time_window.split(/[-–]/);
-      if (parts.length === 2) {
-        const startMin = parseTimeString(parts[0].trim());
-        const rounded = roundUpTo30(startMin);
-        const clamped = Math.max(420, Math.min(1080, rounded));
-        windowText = formatWindow(clamped, clamped + 120);
-      } else {
-        windowText = notification.time_window;
-      }
+      return notification.time_window;
     }
-  } else if (notification.raw_delivery_time) {
-    const window = computeDeliveryWindow(notification.raw_delivery_time);
-    windowText = window.windowText;
-  } else {
-    windowText = "your scheduled time";
+    // Raw window like "9:00 AM - 11:00 AM" — recompute
+    const parts = notification.time_window.split(/[-–]/);
+    if (parts.length === 2) {
+      const startMin = parseTimeString(parts[0].trim());
+      const rounded = roundUpTo30(startMin);
+      const clamped = Math.max(420, Math.min(1080, rounded));
+      return formatWindow(clamped, clamped + 120);
+    }
+    return notification.time_window;
+  }
+  if (notification.raw_delivery_time) {
+    return computeDeliveryWindow(notification.raw_delivery_time).windowText;
   }
+  return "your scheduled time";
+}
 
-  return [
-    `Hello! Mattress Overstock here with a delivery update.`,
-    `Your mattress delivery is scheduled for tomorrow ${windowText}.`,
-    `Please reply YES if this time works for you.`,
-    `If it does not, reply NO and a member of our team will follow up.`,
-    `If the delivery window is not accepted, your delivery will need to be moved to a different day.`,
-    `Thanks\u2014we look forward to delivering your mattress!`,
-  ].join("\n");
+/**
+ * Get the active SMS template row (or null if none is active).
+ */
+function getActiveTemplate() {
+  return db.prepare("SELECT * FROM sms_templates WHERE is_active = 1 ORDER BY id DESC LIMIT 1").get() || null;
 }
 
 /**
- * Schedule helpers
+ * Check a template body for placeholders we don't know how to fill.
+ *
+ * @param {string} body - Template body
+ * @returns {{ valid: boolean, unknown: string[] }}
  */
+function validateTemplate(body) {
+  const unknown = [];
+  for (const match of String(body || "").matchAll(PLACEHOLDER_PATTERN)) {
+    const name = match[1];
+    if (!TEMPLATE_VARIABLES.includes(name) && !unknown.includes(name)) {
+      unknown.push(name);
+    }
+  }
+  return { valid: unknown.length === 0, unknown };
+}
 
-// Is today a valid SEND day? (Mon=1 through Fri=5)
-function isSendDay(date) {
-  const day = date.getDay();
-  return day >= 1 && day <= 5;
+/**
+ * Build the variable map for a notification row.
+ */
+function getTemplateVariables(notification) {
+  const nameParts = (notification.customer_name || "").trim().split(/\s+/);
+  const businessName =
+    db.prepare("SELECT value FROM settings WHERE key = 'business_name'").get()?.value ||
+    "Mattress Overstock";
+
+  let date = notification.scheduled_date || "";
+  if (notification.scheduled_date) {
+    const d = new Date(notification.scheduled_date + "T12:00:00");
+    if (!isNaN(d.getTime())) {
+      date = d.toLocaleDateString("en-US", { weekday: "long", month: "long", day: "numeric" });
+    }
+  }
+
+  // "tomorrow" for the normal evening-before send, "on Monday" from a Saturday send
+  let deliveryDay = "tomorrow";
+  if (notification.scheduled_date) {
+    const now = new Date(new Date().toLocaleString("en-US", { timeZone: "America/New_York" }));
+    const days = Math.round((new Date(notification.scheduled_date + "T12:00:00") - new Date(now.toDateString() + " 12:00:00")) / 86400000);
+    if (days === 0) deliveryDay = "today";
+    else if (days !== 1 && !isNaN(days)) {
+      deliveryDay = "on " + new Date(notification.scheduled_date + "T12:00:00").toLocaleDateString("en-US", { weekday: "long" });
+    }
+  }
+
+  return {
+    customer_first: nameParts[0] || "",
+    customer_last: nameParts.length > 1 ? nameParts.slice(1).join(" ") : "",
+    date,
+    time_window: getWindowText(notification),
+    driver: notification.driver || "Your driver",
+    store: getStore(notification.store)?.display_name || businessName,
+    product: notification.product || "",
+    address: notification.address || "",
+    business_name: businessName,
+    delivery_day: deliveryDay,
+  };
 }
 
-// Is a date a valid DELIVERY day? (Tue=2 through Sat=6)
-function isDeliveryDay(date) {
-  const day = date.getDay();
-  return day >= 2 && day <= 6;
+/**
+ * Substitute {{variables}} in a template body from a notification row.
+ * Unknown placeholders are left as-is (they're rejected at save time).
+ */
+function renderTemplate(body, notification) {
+  const vars = getTemplateVariables(notification);
+  return String(body).replace(PLACEHOLDER_PATTERN, (match, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) ? vars[name] : match
+  );
 }
 
-// Get tomorrow's date from a send date
-function getDeliveryDateFromSendDate(sendDate) {
-  const d = new Date(sendDate);
-  d.setDate(d.getDate() + 1);
-  return d;
+/**
+ * Build the SMS message body from the active dashboard template.
+ */
+function getSmsBody(notification) {
+  const template = getActiveTemplate();
+  if (!template) {
+    throw new Error("No active SMS template — set one in the dashboard Settings tab");
+  }
+  return renderTemplate(template.body, notification);
 }
 
 module.exports = {
   getSmsBody,
+  renderTemplate,
+  validateTemplate,
+  getActiveTemplate,
+  TEMPLATE_VARIABLES,
   computeDeliveryWindow,
+  getWindowText,
   roundUpTo30,
   parseTimeString,
   formatWindow,
   formatTimeFullDisplay,
-  isSendDay,
-  isDeliveryDay,
-  getDeliveryDateFromSendDate,
 };
@@ -0,0 +1,194 @@
+/**
+ * Webhook Inbox
+ *
+ * Every verified Spoke and Quo webhook is written to webhook_inbox and
+ * acknowledged immediately. A background worker then processes entries
+ * (Spoke REST lookups, Claude calls, SMS replies) outside the HTTP request.
+ *
+ * STATUSES:
+ *   received   → waiting for the worker (or for its next retry)
+ *   processing → handler is running
+ *   processed  → done
+ *   failed     → gave up after INBOX_MAX_ATTEMPTS — replay from the dashboard
+ *                (the only status that can be replayed)
+ *
+ * RETRY: 1, 2, 4, 8 minutes between attempts. Entries left in 'processing'
+ * by a crash or deploy are picked back up when the worker starts.
+ *
+ * Processed entries are pruned after 30 days; failed entries are kept.
+ */
+
+const db = require("../database");
+const { handleSpokeWebhook } = require("../webhooks/spoke");
+const { handleQuoWebhook } = require("../webhooks/quo");
+
+const INBOX_CHECK_INTERVAL_MS = 15 * 1000; // check every 15 seconds
+const INBOX_MAX_ATTEMPTS = 5;
+const INBOX_BASE_BACKOFF_MINUTES = 1;
+const INBOX_RETENTION_DAYS = 30;
+
+const HANDLERS = {
+  spoke: async (payload) => {
+    const result = await handleSpokeWebhook(payload);
+    if (result.errors.length > 0) throw new Error(result.errors[0].error);
+    return result;
+  },
+  quo: (payload) => handleQuoWebhook(payload),
+};
+
+let inboxRunning = false; // prevent overlapping passes
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function describeEntry(entry) {
+  const label = entry.source === "spoke" ? "Spoke" : "Quo";
+  return `${label} ${entry.event_type || "event"} #${entry.id}`;
+}
+
+/**
+ * Store a webhook for processing and kick the worker.
+ * @returns {number} inbox entry ID
+ */
+function enqueueWebhook(source, payload, eventId = null) {
+  const now = new Date().toISOString();
+  const eventType = payload?.type || payload?.data?.type || null;
+  const result = db.prepare(`
+    INSERT INTO webhook_inbox (source, event_id, event_type, payload, status, attempts, next_attempt_at, received_at, updated_at)
+    VALUES (?, ?, ?, ?, 'received', 0, ?, ?, ?)
+  `).run(source, eventId, eventType, JSON.stringify(payload), now, now, now);
+
+  setImmediate(checkInbox);
+  return result.lastInsertRowid;
+}
+
+/**
+ * Run one entry through its handler and record the outcome.
+ */
+async function processEntry(entry) {
+  const handler = HANDLERS[entry.source];
+  const now = new Date().toISOString();
+  db.prepare("UPDATE webhook_inbox SET status = 'processing', attempts = attempts + 1, updated_at = ? WHERE id = ?")
+    .run(now, entry.id);
+  const attempts = entry.attempts + 1;
+
+  try {
+    if (!handler) throw new Error(`No handler for source "${entry.source}"`);
+    await handler(JSON.parse(entry.payload));
+
+    db.prepare("UPDATE webhook_inbox SET status = 'processed', last_error = NULL, processed_at = ?, updated_at = ? WHERE id = ?")
+      .run(new Date().toISOString(), new Date().toISOString(), entry.id);
+    return true;
+  } catch (err) {
+    console.error(`[Inbox] ${describeEntry(entry)} failed (attempt ${attempts}):`, err.message);
+
+    if (attempts >= INBOX_MAX_ATTEMPTS) {
+      db.prepare("UPDATE webhook_inbox SET status = 'failed', last_error = ?, updated_at = ? WHERE id = ?")
+        .run(err.message, new Date().toISOString(), entry.id);
+      logActivity("webhook_failed", `${describeEntry(entry)} failed after ${attempts} attempts: ${err.message}`);
+    } else {
+      const backoffMs = INBOX_BASE_BACKOFF_MINUTES * Math.pow(2, attempts - 1) * 60 * 1000;
+      db.prepare("UPDATE webhook_inbox SET status = 'received', last_error = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?")
+        .run(err.message, new Date(Date.now() + backoffMs).toISOString(), new Date().toISOString(), entry.id);
+    }
+    return false;
+  }
+}
+
+/**
+ * One pass over due entries, oldest first.
+ */
+async function processInbox() {
+  const due = db.prepare(
+    "SELECT * FROM webhook_inbox WHERE status = 'received' AND (next_attempt_at IS NULL OR next_attempt_at <= ?) ORDER BY id ASC"
+  ).all(new Date().toISOString());
+
+  const results = { processed: 0, failed: 0 };
+  for (const entry of due) {
+    if (await processEntry(entry)) results.processed++;
+    else results.failed++;
+  }
+  return results;
+}
+
+async function checkInbox() {
+  if (inboxRunning) return;
+  inboxRunning = true;
+  try {
+    await processInbox();
+  } catch (err) {
+    console.error("[Inbox] Fatal error during inbox pass:", err);
+    logActivity("inbox_error", `Webhook inbox error: ${err.message}`);
+  } finally {
+    inboxRunning = false;
+  }
+}
+
+/**
+ * Send a failed entry back through the worker. Only failed ones — replaying
+ * a processed entry would repeat its texts and state changes, and one still
+ * received/processing belongs to the worker.
+ * @returns {object|null} the entry after processing, or null if not found
+ * @throws code NOT_REPLAYABLE if the entry isn't failed
+ */
+async function replayEntry(id) {
+  const entry = db.prepare("SELECT * FROM webhook_inbox WHERE id = ?").get(id);
+  if (!entry) return null;
+
+  const reset = db.prepare("UPDATE webhook_inbox SET status = 'received', attempts = 0, next_attempt_at = ?, updated_at = ? WHERE id = ? AND status = 'failed'")
+    .run(new Date().toISOString(), new Date().toISOString(), id);
+  if (reset.changes === 0) {
+    throw Object.assign(new Error(`Only failed events can be replayed (this one is ${entry.status})`), { code: "NOT_REPLAYABLE" });
+  }
+  logActivity("webhook_replayed", `${describeEntry(entry)} replayed from the dashboard`);
+
+  await processEntry(db.prepare("SELECT * FROM webhook_inbox WHERE id = ?").get(id));
+  return db.prepare("SELECT * FROM webhook_inbox WHERE id = ?").get(id);
+}
+
+/**
+ * List inbox entries for the dashboard (payload omitted — fetch one entry for it).
+ */
+function listEntries({ status, source, limit = 50 } = {}) {
+  let query = "SELECT id, source, event_id, event_type, status, attempts, last_error, received_at, processed_at, updated_at FROM webhook_inbox WHERE 1=1";
+  const params = [];
+  if (status) {
+    query += " AND status = ?";
+    params.push(status);
+  }
+  if (source) {
+    query += " AND source = ?";
+    params.push(source);
+  }
+  query += " ORDER BY id DESC LIMIT ?";
+  params.push(Number(limit));
+  return db.prepare(query).all(...params);
+}
+
+function getInboxCounts() {
+  const rows = db.prepare("SELECT status, COUNT(*) as count FROM webhook_inbox GROUP BY status").all();
+  return Object.fromEntries(rows.map((r) => [r.status, r.count]));
+}
+
+/**
+ * Start the inbox worker. Resumes anything a crash left mid-processing.
+ */
+function startInboxWorker() {
+  const stuck = db.prepare("UPDATE webhook_inbox SET status = 'received', updated_at = ? WHERE status = 'processing'")
+    .run(new Date().toISOString()).changes;
+  if (stuck > 0) {
+    logActivity("inbox_resumed", `Resumed ${stuck} webhook(s) interrupted mid-processing`);
+  }
+
+  const cutoff = new Date(Date.now() - INBOX_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare("DELETE FROM webhook_inbox WHERE status = 'processed' AND received_at < ?").run(cutoff);
+
+  console.log(`[Inbox] Worker started — ${INBOX_MAX_ATTEMPTS} attempts per webhook${stuck > 0 ? `, resumed ${stuck}` : ""}`);
+  setInterval(checkInbox, INBOX_CHECK_INTERVAL_MS);
+  setImmediate(checkInbox);
+}
+
+module.exports = { enqueueWebhook, processInbox, replayEntry, listEntries, getInboxCounts, startInboxWorker };
@@ -0,0 +1,184 @@
+/**
+ * Window Changes
+ *
+ * Every change to a delivery window the customer was already texted is a
+ * row in `window_changes` — old and new window, what moved it, and whether
+ * the customer was told.
+ *
+ * ROUTE SYNC (after the 6 PM text):
+ *   A dispatcher can re-optimize the route after the confirmation went out.
+ *   Sync recomputes the window from Spoke's ETA (same rounding as the
+ *   original) and compares its start with the window we texted:
+ *     - moved by window_change_threshold_minutes or more (default 60) →
+ *       "your delivery window has changed" text asking the customer to
+ *       reply YES again; the new window becomes time_window and a YES
+ *       already given goes back to unconfirmed
+ *     - smaller moves leave the texted window alone
+ *   Nothing is texted to declined, opted-out or rescheduling customers, or
+ *   once the truck has left — the window is still updated and recorded as
+ *   not_notified, and staff are alerted to call an opted-out customer. If
+ *   the text can't go out, the window is still updated and staff are
+ *   alerted to call.
+ *
+ * Delivery-day live-ETA updates (en-route.js) are recorded here too.
+ */
+
+const db = require("../database");
+const { sendSms } = require("./quo");
+const { computeDeliveryWindow } = require("./templates");
+const { getDisplayName } = require("./stores");
+const { transition } = require("./notification-state");
+const { describeDay } = require("./reply-correlation");
+const { alertHumanNeeded } = require("./staff-alerts");
+
+const DEFAULT_THRESHOLD_MINUTES = 60;
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getThresholdMinutes() {
+  const value = parseInt(db.prepare("SELECT value FROM settings WHERE key = 'window_change_threshold_minutes'").get()?.value, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_THRESHOLD_MINUTES;
+}
+
+/**
+ * Add a row to a notification's window history.
+ * @param {object} change - { notificationId, oldWindow, newWindow, oldTime, newTime, source, status, messageId }
+ *   source: "sync" | "live_eta"; status: "notified" | "not_notified" | "failed"
+ * @returns {number} window_changes ID
+ */
+function recordWindowChange({ notificationId, oldWindow, newWindow, oldTime = null, newTime = null, source, status, messageId = null }) {
+  const shift = oldTime && newTime
+    ? computeDeliveryWindow(newTime).windowStart - computeDeliveryWindow(oldTime).windowStart
+    : null;
+  return db.prepare(`
+    INSERT INTO window_changes (notification_id, old_window, new_window, old_time, new_time, shift_minutes, source, status, message_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(notificationId, oldWindow, newWindow, oldTime, newTime, shift, source, status, messageId, new Date().toISOString()).lastInsertRowid;
+}
+
+/**
+ * A notification's window history, oldest first.
+ */
+function getWindowHistory(notificationId) {
+  return db.prepare("SELECT * FROM window_changes WHERE notification_id = ? ORDER BY created_at ASC, id ASC").all(notificationId);
+}
+
+/**
+ * Why a sent delivery's customer shouldn't be texted about a new window, or null.
+ */
+function skipReason(notification) {
+  if (["declined", "opted_out"].includes(notification.confirmation_status)) return notification.confirmation_status;
+  if (notification.delivery_status !== "queued") return `delivery ${notification.delivery_status}`;
+  if (["rescheduling", "staff"].includes(notification.conversation_state)) return "rescheduling";
+  return null;
+}
+
+/**
+ * Move a sent delivery's window to the synced ETA, keeping the first
+ * texted window in original_time_window.
+ */
+function applySyncedWindow(notification, windowText, rawDeliveryTime) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE notifications SET
+      original_time_window = COALESCE(original_time_window, time_window),
+      time_window = ?, raw_delivery_time = ?,
+      window_updated_at = ?, window_update_count = COALESCE(window_update_count, 0) + 1, updated_at = ?
+    WHERE id = ?
+  `).run(windowText, rawDeliveryTime, now, now, notification.id);
+}
+
+/**
+ * Route sync found a new ETA for a delivery whose confirmation already went
+ * out. Texts the customer if the window moved past the threshold.
+ * @param {object} notification - a 'sent' notification
+ * @param {string} rawDeliveryTime - new ETA ("13:40", Eastern)
+ * @returns {string} "unchanged" | "below_threshold" | "skipped" | "notified" | "failed"
+ */
+async function handleSyncedWindow(notification, rawDeliveryTime) {
+  if (!rawDeliveryTime || !notification.raw_delivery_time) return "unchanged";
+
+  const texted = computeDeliveryWindow(notification.raw_delivery_time);
+  const updated = computeDeliveryWindow(rawDeliveryTime);
+  const shift = updated.windowStart - texted.windowStart;
+  if (shift === 0) return "unchanged";
+  if (Math.abs(shift) < getThresholdMinutes()) return "below_threshold";
+
+  const oldWindow = notification.time_window && notification.time_window !== "TBD" ? notification.time_window : texted.windowText;
+
+  const skip = skipReason(notification);
+  if (skip) {
+    console.log(`[Window] ${notification.customer_name}'s window moved ${oldWindow} → ${updated.windowText}, not texting: ${skip}`);
+    applySyncedWindow(notification, updated.windowText, rawDeliveryTime);
+    recordWindowChange({
+      notificationId: notification.id, oldWindow, newWindow: updated.windowText,
+      oldTime: notification.raw_delivery_time, newTime: rawDeliveryTime,
+      source: "sync", status: "not_notified",
+    });
+    logActivity("window_change_not_notified", `${notification.customer_name}'s window moved ${oldWindow} → ${updated.windowText} — not texted (${skip})`, notification.id);
+
+    // They can't be texted, but they were promised the old window — someone should call
+    if (notification.confirmation_status === "opted_out") {
+      const sent = await alertHumanNeeded(
+        notification,
+        `WINDOW CHANGED — ${notification.customer_name} (${notification.phone}), ${notification.scheduled_date}: now ${updated.windowText}, was ${oldWindow}. They've opted out of texts — please call.`
+      );
+      if (sent > 0) logActivity("staff_alert_sent", `Window-change alert sent to ${sent} staff for ${notification.customer_name}`, notification.id);
+    }
+    return "skipped";
+  }
+
+  const firstName = notification.customer_name.split(" ")[0];
+  const message =
+    `Hi ${firstName}, ${getDisplayName(notification.store)} here with a schedule change: ` +
+    `your delivery ${describeDay(notification.scheduled_date)} is now ${updated.windowText} (was ${oldWindow}). ` +
+    `Please reply YES to confirm the new time, or NO if it doesn't work.`;
+
+  let messageId = null;
+  let error = null;
+  try {
+    const result = await sendSms(notification.phone, message, { notificationId: notification.id, purpose: "window_change" });
+    messageId = result.ledgerId || null;
+  } catch (err) {
+    error = err;
+    console.error("[Window] Failed to send window change:", err.message);
+  }
+
+  // The window is the window either way — the customer is re-asked, or staff call
+  applySyncedWindow(notification, updated.windowText, rawDeliveryTime);
+  recordWindowChange({
+    notificationId: notification.id, oldWindow, newWindow: updated.windowText,
+    oldTime: notification.raw_delivery_time, newTime: rawDeliveryTime,
+    source: "sync", status: error ? "failed" : "notified", messageId,
+  });
+
+  if (error) {
+    logActivity("window_change_failed", `${notification.customer_name}'s window moved ${oldWindow} → ${updated.windowText} but the text failed: ${error.message}`, notification.id);
+    const sent = await alertHumanNeeded(
+      notification,
+      `WINDOW CHANGED — ${notification.customer_name} (${notification.phone}), ${notification.scheduled_date}: now ${updated.windowText}, was ${oldWindow}. We could NOT text them — please call.`
+    );
+    if (sent > 0) logActivity("staff_alert_sent", `Window-change alert sent to ${sent} staff for ${notification.customer_name}`, notification.id);
+    return "failed";
+  }
+
+  // Ask again — a YES was for the old window
+  if (notification.confirmation_status === "confirmed") {
+    transition(notification.id, "confirmation", "unconfirmed", { fields: { customer_response: null, response_at: null }, reason: "window changed" });
+  }
+  logActivity("window_change_sent", `${notification.customer_name}'s window moved ${oldWindow} → ${updated.windowText} — asked to re-confirm`, notification.id);
+  console.log(`[Window] ✓ ${notification.customer_name}: ${oldWindow} → ${updated.windowText}`);
+  return "notified";
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD_MINUTES,
+  getThresholdMinutes,
+  recordWindowChange,
+  getWindowHistory,
+  handleSyncedWindow,
+};
@@ -0,0 +1,250 @@
+/**
+ * Quo Reply Webhook Handler
+ *
+ * Processes inbound customer texts (message.received) and carrier status
+ * updates for our outbound texts (message.delivered and failures, see
+ * delivery-status.js) — called by the webhook inbox worker, never directly
+ * from the HTTP request.
+ *
+ * ROUTING (first match wins):
+ *   1. A staff phone replying OK to a handoff alert → takes it
+ *      (services/staff-alerts.js), never reaches the customer inbox
+ *   2. Opt-in keyword, or a confident opt-out ("STOP", "stop texting me")
+ *      → registry (applies to the phone)
+ *   3. Customer mid-rescheduling → Claude conversation, or the inbox
+ *      (flagged for a reply) if staff have taken the conversation over
+ *   4. Matched to one open delivery (services/reply-correlation.js — asks
+ *      "which one?" when several are open), then classified
+ *      (services/intent.js) and stored on that notification:
+ *        confirm → confirm delivery
+ *        decline → start AI rescheduling
+ *        opt_out → registry (and open handoffs for the phone are resolved)
+ *   5. Questions, anything else, or below intent_min_confidence → dashboard
+ *      inbox, flagged as needing a staff reply
+ *
+ * Errors propagate so the inbox can retry the event.
+ */
+
+const db = require("../database");
+const { sendSms } = require("../services/quo");
+const { parseOptKeyword, optOut, optIn } = require("../services/optout");
+const { handleRescheduleMessage, startRescheduleConversation } = require("../services/reschedule");
+const { handleStatusEvent } = require("../services/delivery-status");
+const { recordInbound } = require("../services/messages");
+const { touchThread, flagNeedsReply } = require("../services/inbox");
+const { classifyKeywords, classifyReply, recordReplyIntent, getMinConfidence } = require("../services/intent");
+const { correlateReply, askWhichDelivery, describeDay } = require("../services/reply-correlation");
+const { getWindowText } = require("../services/templates");
+const { transition } = require("../services/notification-state");
+const { handleStaffReply } = require("../services/staff-alerts");
+const { resolveHandoffFor } = require("../services/handoffs");
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+/**
+ * Main handler — takes the parsed Quo webhook event.
+ */
+async function handleQuoWebhook(event) {
+  const type = event.type || event.data?.type;
+
+  // Carrier status for something we sent
+  if (handleStatusEvent(event)) return;
+
+  // Only handle incoming messages
+  if (type === "message.received" || event.data?.object?.direction === "incoming") {
+    const message = event.data?.object || event.data || {};
+    const from = message.from || message.identifier || "";
+    const rawBody = (message.text || message.body || message.content || "").trim();
+    const body = rawBody.toUpperCase();
+
+    if (!from || !rawBody) {
+      return;
+    }
+
+    // Clean the phone number for matching
+    let cleanFrom = from.replace(/[^\d+]/g, "");
+    if (cleanFrom.length === 10) cleanFrom = "+1" + cleanFrom;
+    if (cleanFrom.length === 11 && cleanFrom.startsWith("1")) cleanFrom = "+" + cleanFrom;
+
+    const inboundId = recordInbound({ phone: cleanFrom, body: rawBody, quoMessageId: message.id || null })
+      ?? (message.id ? db.prepare("SELECT id FROM messages WHERE quo_message_id = ?").get(message.id)?.id : null);
+
+    // ─── Staff taking a handoff alert ("OK") ───
+    if (await handleStaffReply(cleanFrom, rawBody)) return;
+
+    touchThread(cleanFrom);
+
+    // ─── Opt-out / opt-in (apply to the phone, not one delivery) ───
+    if (parseOptKeyword(rawBody) === "in") {
+      if (optIn(cleanFrom, { source: "sms", keyword: body })) {
+        try {
+          await sendSms(cleanFrom, "You're opted back in to delivery texts from Mattress Overstock. Reply STOP at any time to opt out.", { purpose: "opt_reply" });
+        } catch (e) {
+          console.error("[Quo Webhook] Failed to send START auto-reply:", e.message);
+        }
+      }
+      return;
+    }
+
+    const quick = classifyKeywords(rawBody);
+    if (quick.intent === "opt_out" && quick.confidence >= getMinConfidence()) {
+      await handleOptOut(cleanFrom, body, { rawBody, intent: quick });
+      return;
+    }
+
+    // ─── Check if this customer is mid-rescheduling ───
+    const reschedulingNotif = db.prepare(
+      "SELECT * FROM notifications WHERE phone = ? AND conversation_state IN ('rescheduling', 'staff') ORDER BY updated_at DESC LIMIT 1"
+    ).get(cleanFrom);
+
+    if (reschedulingNotif?.conversation_state === "staff") {
+      // Emma is paused — keep the turn for her history in case it's handed back
+      db.prepare("INSERT INTO reschedule_conversations (notification_id, role, content, created_at) VALUES (?, 'user', ?, ?)")
+        .run(reschedulingNotif.id, rawBody, new Date().toISOString());
+      flagNeedsReply(cleanFrom, { body: rawBody, reason: `rescheduling — ${reschedulingNotif.conversation_taken_by || "staff"} took over` });
+      return;
+    }
+
+    if (reschedulingNotif) {
+      console.log(`[Quo Webhook] ${reschedulingNotif.customer_name} is rescheduling — routing to Claude`);
+
+      // Process through Claude
+      const result = await handleRescheduleMessage(reschedulingNotif, rawBody);
+
+      // Send Claude's reply
+      try {
+        await sendSms(cleanFrom, result.reply, { notificationId: reschedulingNotif.id, purpose: "reschedule_reply" });
+        console.log(`[Quo Webhook] Reschedule reply sent to ${reschedulingNotif.customer_name}: ${result.reply.substring(0, 80)}...`);
+      } catch (e) {
+        console.error("[Quo Webhook] Failed to send reschedule reply:", e.message);
+      }
+
+      return;
+    }
+
+    // ─── Confirm / decline flow — which delivery is this about? ───
+    const match = correlateReply(cleanFrom, rawBody, inboundId);
+
+    if (match.status === "none") {
+      console.log(`[Quo Webhook] No matching notification for ${cleanFrom.substring(0, 6)}****`);
+      flagNeedsReply(cleanFrom, { body: rawBody, reason: "no delivery awaiting a reply" });
+      return;
+    }
+
+    if (match.status === "ambiguous") {
+      const ambiguousIntent = await classifyReply(rawBody);
+      if (["confirm", "decline"].includes(ambiguousIntent.intent) && ambiguousIntent.confidence >= getMinConfidence()) {
+        const question = askWhichDelivery(cleanFrom, match.candidates, { text: rawBody, intent: ambiguousIntent, messageId: inboundId });
+        console.log(`[Quo Webhook] ${match.candidates.length} open deliveries for ${cleanFrom.substring(0, 6)}**** — asking which one`);
+        try {
+          await sendSms(cleanFrom, question, { notificationId: match.candidates[0].id, purpose: "auto_reply" });
+        } catch (e) {
+          console.error("[Quo Webhook] Failed to send which-delivery question:", e.message);
+          flagNeedsReply(cleanFrom, { body: rawBody, reason: "couldn't ask which delivery the reply is about" });
+        }
+      } else {
+        flagNeedsReply(cleanFrom, { body: rawBody, reason: `${match.candidates.length} open deliveries, reply isn't a clear YES/NO` });
+      }
+      return;
+    }
+
+    const { notification } = match;
+    const replyText = match.replyText;
+    const intent = match.intent || await classifyReply(replyText, { timeWindow: notification.time_window });
+    recordReplyIntent(notification.id, replyText, intent);
+    const confidence = `${Math.round(intent.confidence * 100)}%`;
+
+    if (intent.confidence < getMinConfidence()) {
+      console.log(`[Quo Webhook] ${notification.customer_name}'s reply is unclear (${intent.intent} ${confidence}) — sending to staff`);
+      flagNeedsReply(cleanFrom, { body: rawBody, reason: `unclear reply (${intent.intent}, ${confidence})` });
+      return;
+    }
+
+    if (intent.intent === "opt_out") {
+      await handleOptOut(cleanFrom, body);
+
+    } else if (intent.intent === "confirm") {
+      // Confirmation only — delivery_status stays put until Spoke reports the delivery
+      const moved = transition(notification.id, "confirmation", "confirmed", { fields: { response_at: new Date().toISOString() }, reason: `replied "${replyText}"` });
+      if (!moved.ok) {
+        flagNeedsReply(cleanFrom, { body: rawBody, reason: `confirmed after ${moved.from}` });
+        return;
+      }
+
+      logActivity("customer_confirmed", `${notification.customer_name} replied "${replyText}" — ${notification.scheduled_date} delivery confirmed (${match.method})`, notification.id);
+      console.log(`[Quo Webhook] ${notification.customer_name} confirmed delivery (${confidence}, ${match.method})`);
+
+      // Auto-reply confirmation
+      try {
+        await sendSms(cleanFrom, `Thank you! Your delivery ${describeDay(notification.scheduled_date)} ${getWindowText(notification)} is confirmed. See you then!`, { notificationId: notification.id, purpose: "auto_reply" });
+        logActivity("auto_reply_sent", `Confirmation reply sent to ${notification.customer_name}`, notification.id);
+      } catch (e) {
+        console.error("[Quo Webhook] Failed to send YES auto-reply:", e.message);
+      }
+
+    } else if (intent.intent === "decline") {
+      const moved = transition(notification.id, "confirmation", "declined", { fields: { response_at: new Date().toISOString() }, reason: `replied "${replyText}"` });
+      if (!moved.ok) {
+        flagNeedsReply(cleanFrom, { body: rawBody, reason: `declined after ${moved.from}` });
+        return;
+      }
+
+      logActivity("customer_declined", `${notification.customer_name} replied "${replyText}" — ${notification.scheduled_date} delivery needs rescheduling (${match.method})`, notification.id);
+      console.log(`[Quo Webhook] ${notification.customer_name} declined delivery (${confidence}, ${match.method})`);
+
+      // Start AI rescheduling conversation
+      try {
+        const reschedResult = await startRescheduleConversation(notification);
+        await sendSms(cleanFrom, reschedResult.reply, { notificationId: notification.id, purpose: "reschedule_reply" });
+        logActivity("reschedule_started", `AI rescheduling started for ${notification.customer_name}`, notification.id);
+      } catch (e) {
+        console.error("[Quo Webhook] Failed to start rescheduling:", e.message);
+        try {
+          await sendSms(cleanFrom, "We understand you can't make the scheduled delivery. Please call us at (859) 555-0100 to reschedule.", { notificationId: notification.id, purpose: "auto_reply" });
+        } catch (e2) { console.error("[Quo Webhook] Failed to send fallback reply:", e2.message); }
+      }
+
+    } else {
+      flagNeedsReply(cleanFrom, { body: rawBody, reason: intent.intent === "question" ? "customer asked a question" : "not a YES/NO reply" });
+    }
+  }
+}
+
+/**
+ * Opt the phone out, end any rescheduling, and send the one confirmation
+ * text the carrier rules allow. Pass { rawBody, intent } to record the
+ * classification on the customer's latest delivery.
+ */
+async function handleOptOut(cleanFrom, keyword, { rawBody = null, intent = null } = {}) {
+  const latest = db.prepare(
+    "SELECT * FROM notifications WHERE phone = ? AND status = 'sent' ORDER BY updated_at DESC LIMIT 1"
+  ).get(cleanFrom);
+  optOut(cleanFrom, { source: "sms", keyword, notificationId: latest?.id || null });
+  if (latest && intent) recordReplyIntent(latest.id, rawBody, intent);
+
+  if (latest) {
+    transition(latest.id, "confirmation", "opted_out", { fields: { response_at: new Date().toISOString() } });
+  }
+  // Nobody should keep chasing a customer who opted out — close their handoffs so the reminders stop
+  const handedOff = db.prepare(
+    "SELECT DISTINCT h.notification_id FROM handoffs h JOIN notifications n ON n.id = h.notification_id WHERE n.phone = ? AND h.status != 'resolved'"
+  ).all(cleanFrom);
+  for (const { notification_id } of handedOff) {
+    resolveHandoffFor(notification_id, { outcome: "other", note: "customer opted out" });
+  }
+  db.prepare("UPDATE notifications SET conversation_state = 'none', updated_at = ? WHERE phone = ? AND conversation_state IN ('rescheduling', 'staff', 'handoff')")
+    .run(new Date().toISOString(), cleanFrom);
+
+  try {
+    await sendSms(cleanFrom, "You've been opted out of texts from Mattress Overstock and won't receive any more messages. Reply START to opt back in.", { allowOptedOut: true, notificationId: latest?.id || null, purpose: "opt_reply" });
+    logActivity("auto_reply_sent", `Opt-out confirmation sent to ${cleanFrom.substring(0, 6)}****`, latest?.id || null);
+  } catch (e) {
+    console.error("[Quo Webhook] Failed to send STOP auto-reply:", e.message);
+  }
+}
+
+module.exports = { handleQuoWebhook };
@@ -8,64 +8,44 @@
  * Spoke REST API: https://api.getcircuit.com/public/v0.2b
  * Auth: Bearer {SPOKE_API_KEY}
  *
+ * Events arrive via the webhook inbox (services/webhook-inbox.js), so a thrown
+ * error here means the event is retried rather than lost.
+ *
  * EVENTS HANDLED:
  *   stop.allocated          → route sent to driver → creates pending notification
- *   stop.attempted_delivery → driver marks complete → sends Google review request
+ *   stop.attempted_delivery → driver marks complete → delivery_status 'delivered',
+ *                             sends Google review request
+ *                           → attempt failed → delivery_status 'attempted_failed' with
+ *                             Spoke's reason, "sorry we missed you" text that starts
+ *                             AI rescheduling, staff alert — no review request
+ *   stop.out_for_delivery   → driver heading to this stop next → delivery_status
+ *                             'en_route', "on the way, arriving around X" text
+ *   route.started           → driver left the depot → each stop's live ETA checked
+ *                             against its promised window; a new window is texted
+ *                             if it moved outside (services/en-route.js)
  *
  * STORE RESOLUTION:
  *   All deliveries ship from a central depot, so store is determined by
- *   the leading digit of the "Sale Number" custom property in Spoke:
- *     1 = (skip review solicitation)
- *     2 = Nicholasville Road (Lexington)
- *     3 = Georgetown
- *     4 = Somerset
- *     5 = London
+ *   the leading digit(s) of the "Sale Number" custom property in Spoke,
+ *   matched against the store registry (services/stores.js). Stores with
+ *   review solicitation turned off (e.g. prefix 1 = "other") get no review text.
  */
 
 const db = require("../database");
 const { sendSms } = require("../services/quo");
-const { getSmsBody, computeDeliveryWindow, isSendDay, isDeliveryDay } = require("../services/templates");
+const { getSmsBody, computeDeliveryWindow } = require("../services/templates");
+const { isDeliveryDay } = require("../services/schedule");
+const { resolveStoreFromSaleNumber, getDisplayName, getReviewLink, skipsReviews } = require("../services/stores");
+const { transition } = require("../services/notification-state");
+const { startRescheduleConversation } = require("../services/reschedule");
+const { openHandoff } = require("../services/handoffs");
+const { alertHumanNeeded } = require("../services/staff-alerts");
+const { sendEnRouteText, checkLiveEta } = require("../services/en-route");
+const { findRemovedStop, restoreRemovedStop } = require("../services/cancellations");
 const fetch = require("node-fetch");
 
 const SPOKE_API_BASE = "https://api.getcircuit.com/public/v0.2b";
 
-// ─── Sale Number Leading Digit → Store ──────────────────
-const SALE_PREFIX_TO_STORE = {
-  "1": "other",       // skip review solicitation
-  "2": "lexington",   // Nicholasville Road
-  "3": "georgetown",
-  "4": "somerset",
-  "5": "london",
-};
-
-// ─── Google Review Links ────────────────────────────────
-const STORE_REVIEW_LINKS = {
-  somerset: "https://g.page/r/CcHG8jVFzOK1EBM/review",
-  lexington: "https://g.page/r/CRCnucIb-t91EBM/review",
-  london: "https://g.page/r/CW69HHcXCceJEBM/review",
-  georgetown: "https://g.page/r/CZQNrg3DMJIdEBM/review",
-};
-
-const STORE_DISPLAY_NAMES = {
-  somerset: "Mattress Overstock - Somerset",
-  lexington: "Mattress Overstock - Nicholasville Road",
-  london: "Mattress Overstock - London",
-  georgetown: "Mattress Overstock - Georgetown",
-  other: "Mattress Overstock",
-};
-
-/**
- * Resolve store from Sale Number custom property.
- * The leading digit determines the store.
- */
-function resolveStoreFromSaleNumber(saleNumber) {
-  if (!saleNumber) return "unknown";
-  const str = String(saleNumber).trim();
-  if (!str) return "unknown";
-  const leadingDigit = str.charAt(0);
-  return SALE_PREFIX_TO_STORE[leadingDigit] || "unknown";
-}
-
 /**
  * Extract Sale Number from Spoke custom properties.
  * Spoke uses UUIDs as keys, not display names. Example:
@@ -158,6 +138,22 @@ async function handleSpokeWebhook(payload, headers) {
         console.error("[Spoke] Delivery complete error:", err.message, err.stack);
         results.errors.push({ error: err.message });
       }
+    } else if (payload.type === "stop.out_for_delivery") {
+      try {
+        await processOutForDelivery(payload.data);
+        results.processed++;
+      } catch (err) {
+        console.error("[Spoke] Out for delivery error:", err.message, err.stack);
+        results.errors.push({ error: err.message });
+      }
+    } else if (payload.type === "route.started") {
+      try {
+        await processRouteStarted(payload.data);
+        results.processed++;
+      } catch (err) {
+        console.error("[Spoke] Route started error:", err.message, err.stack);
+        results.errors.push({ error: err.message });
+      }
     } else {
       console.log("[Spoke] Ignoring event:", payload.type);
       results.skipped++;
@@ -165,33 +161,33 @@ async function handleSpokeWebhook(payload, headers) {
     return results;
   }
 
-  // ─── Manual/Test webhook ───
-  if (payload.stop) {
+  console.log("[Spoke] Unrecognized payload:", JSON.stringify(payload).substring(0, 300));
+  results.skipped++;
+  return results;
+}
+
+/**
+ * Manual/test stop import (admin-only — POST /api/spoke/test-stop).
+ * Accepts { stop: {...} } or an array of stops in our custom format.
+ */
+async function handleTestStops(payload) {
+  const results = { processed: 0, skipped: 0, errors: [] };
+  const stops = Array.isArray(payload) ? payload : payload && payload.stop ? [payload.stop] : [];
+
+  if (stops.length === 0) {
+    results.skipped++;
+    return results;
+  }
+
+  for (const stop of stops) {
     try {
-      await processManualStop(payload.stop);
+      await processManualStop(stop);
       results.processed++;
     } catch (err) {
       console.error("[Spoke] Error:", err.message, err.stack);
       results.errors.push({ error: err.message });
     }
-    return results;
   }
-
-  // ─── Array of stops ───
-  if (Array.isArray(payload)) {
-    for (const stop of payload) {
-      try {
-        await processManualStop(stop);
-        results.processed++;
-      } catch (err) {
-        results.errors.push({ error: err.message });
-      }
-    }
-    return results;
-  }
-
-  console.log("[Spoke] Unrecognized payload:", JSON.stringify(payload).substring(0, 300));
-  results.skipped++;
   return results;
 }
 
@@ -220,6 +216,9 @@ async function processSpokeStop(webhookData) {
     if (fullStop) {
       console.log("[Spoke API] Full stop recipient:", JSON.stringify(fullStop.recipient));
       console.log("[Spoke API] Full stop customProperties:", JSON.stringify(fullStop.customProperties));
+    } else if (process.env.SPOKE_API_KEY) {
+      // Webhook data has no recipient PII — throw so the inbox retries the lookup
+      throw new Error(`Spoke API lookup failed for ${stopId}`);
     } else {
       console.log("[Spoke API] Could not fetch full stop — using webhook data only");
     }
@@ -337,14 +336,25 @@ async function processSpokeStop(webhookData) {
   const spokeRouteId = routeData.id || null;
 
   if (spokeStopId) {
-    const existing = db.prepare("SELECT id FROM notifications WHERE spoke_stop_id = ?").get(spokeStopId);
-    if (existing) {
+    const existing = db.prepare("SELECT id, status FROM notifications WHERE spoke_stop_id = ?").get(spokeStopId);
+    if (existing && existing.status !== "cancelled") {
       console.log("[Spoke] Duplicate stop — skipping");
       return;
     }
   }
 
-  // ─── Validate delivery day (Tue–Sat) ───
+  // ─── A stop sync cancelled as removed is back — restore it, don't duplicate ───
+  const removed = findRemovedStop({ spokeStopId, phone: cleanPhone(phone), scheduledDate, address });
+  if (removed) {
+    await restoreRemovedStop(removed, { spokeStopId });
+    return;
+  }
+  if (spokeStopId && db.prepare("SELECT id FROM notifications WHERE spoke_stop_id = ?").get(spokeStopId)) {
+    console.log("[Spoke] Stop was cancelled — skipping");
+    return;
+  }
+
+  // ─── Validate delivery day (Tue–Sat, or a date the send schedule covers) ───
   const deliveryDate = new Date(scheduledDate + "T12:00:00");
   if (!isDeliveryDay(deliveryDate)) {
     console.log("[Spoke]", scheduledDate, "is not a delivery day — skipping");
@@ -378,7 +388,7 @@ async function processSpokeStop(webhookData) {
 
   const notificationId = result.lastInsertRowid;
   trackPlan(spokeStopId, scheduledDate);
-  logActivity("stop_imported", `New delivery: ${customerName} → ${STORE_DISPLAY_NAMES[store] || store} (${timeWindow})`, notificationId);
+  logActivity("stop_imported", `New delivery: ${customerName} → ${getDisplayName(store)} (${timeWindow})`, notificationId);
   console.log("[Spoke] ✓ Stored notification #" + notificationId);
 }
 
@@ -387,6 +397,7 @@ async function processSpokeStop(webhookData) {
  *
  * When the driver marks a stop as complete/delivered, we send the customer
  * a thank-you text with a Google Review link for the correct store.
+ * A failed attempt goes to processFailedAttempt() instead — never a review.
  *
  * If the store is "other" (sale number starts with 1), skip the review request.
  */
@@ -415,24 +426,29 @@ async function processDeliveryComplete(webhookData) {
   const attempted = deliveryInfo.attempted === true;
   console.log("[Spoke] succeeded:", succeeded, "| attempted:", attempted, "| deliveryInfo.succeeded:", deliveryInfo.succeeded, "| deliveryInfo.attempted:", deliveryInfo.attempted);
 
-  if (!succeeded && attempted) {
-    console.log("[Spoke] Delivery attempted but not successful — skipping review request");
-    logActivity("delivery_failed", `Delivery attempt failed for stop ${stopId}`);
-    return;
-  }
-
   // ─── Find matching notification in our database ───
   let notification = null;
   if (stopId) {
     notification = db.prepare("SELECT * FROM notifications WHERE spoke_stop_id = ?").get(stopId);
   }
 
+  if (!succeeded && attempted) {
+    console.log("[Spoke] Delivery attempted but not successful — skipping review request");
+    if (!notification) {
+      logActivity("delivery_failed", `Delivery attempt failed for stop ${stopId}: ${describeAttemptFailure(deliveryInfo)} (no matching notification)`);
+      return;
+    }
+    await processFailedAttempt(notification, deliveryInfo);
+    return;
+  }
+
   // ─── No DB match — fetch from API and send directly ───
   if (!notification) {
     console.log("[Spoke] No matching notification — fetching from Spoke API for direct review send");
     const fullStop = stopId ? await spokeApiFetch(stopId) : null;
 
     if (!fullStop) {
+      if (process.env.SPOKE_API_KEY && stopId) throw new Error(`Spoke API lookup failed for ${stopId}`);
       console.log("[Spoke] Could not fetch stop from API — skipping");
       return;
     }
@@ -451,9 +467,9 @@ async function processDeliveryComplete(webhookData) {
     const store = resolveStoreFromSaleNumber(saleNumber);
     console.log("[Spoke] Direct review — Customer:", customerName, "| Phone:", phone, "| Sale#:", saleNumber, "→ Store:", store);
 
-    if (store === "other") {
-      console.log("[Spoke] Store is 'other' (sale prefix 1) — skipping review");
-      logActivity("delivery_complete", `Delivery complete for ${customerName} — no review (store: other)`);
+    if (skipsReviews(store)) {
+      console.log(`[Spoke] Store '${store}' has review requests turned off — skipping review`);
+      logActivity("delivery_complete", `Delivery complete for ${customerName} — no review (store: ${store})`);
       return;
     }
 
@@ -463,8 +479,8 @@ async function processDeliveryComplete(webhookData) {
       return;
     }
 
-    const reviewLink = STORE_REVIEW_LINKS[store] || null;
-    const storeName = STORE_DISPLAY_NAMES[store] || "Mattress Overstock";
+    const reviewLink = getReviewLink(store);
+    const storeName = getDisplayName(store);
 
     let message;
     if (reviewLink) {
@@ -478,10 +494,14 @@ async function processDeliveryComplete(webhookData) {
     }
 
     try {
-      await sendSms(cleanPhone(phone), message);
+      await sendSms(cleanPhone(phone), message, { purpose: "review_request" });
       console.log(`[Spoke] ✓ Direct review request sent to ${customerName} (${store})`);
       logActivity("review_request_sent", `Google review request sent to ${customerName} → ${storeName} (no prior notification)`);
     } catch (err) {
+      if (err.code === "OPTED_OUT") {
+        console.log(`[Spoke] ${customerName} has opted out — no review request`);
+        return;
+      }
       console.error("[Spoke] Failed to send direct review:", err.message);
       logActivity("review_request_failed", `Failed direct review for ${customerName}: ${err.message}`);
     }
@@ -490,20 +510,18 @@ async function processDeliveryComplete(webhookData) {
 
   const store = notification.store;
   console.log("[Spoke] Delivery complete for:", notification.customer_name, "| Store:", store);
+  transition(notification.id, "delivery", "delivered", { reason: "Spoke stop completed" });
 
-  // ─── Skip review for "other" stores (sale number starts with 1) ───
-  if (store === "other") {
-    console.log("[Spoke] Store is 'other' (sale prefix 1) — skipping review solicitation");
-    logActivity("delivery_complete", `Delivery complete for ${notification.customer_name} — no review (store: other)`, notification.id);
-    db.prepare(
-      "UPDATE notifications SET status = 'delivered', updated_at = ? WHERE id = ?"
-    ).run(new Date().toISOString(), notification.id);
+  // ─── Skip review for stores with solicitation off (e.g. "other", sale prefix 1) ───
+  if (skipsReviews(store)) {
+    console.log(`[Spoke] Store '${store}' has review requests turned off — skipping review solicitation`);
+    logActivity("delivery_complete", `Delivery complete for ${notification.customer_name} — no review (store: ${store})`, notification.id);
     return;
   }
 
   // ─── Build review request message ───
-  const reviewLink = STORE_REVIEW_LINKS[store] || null;
-  const storeName = STORE_DISPLAY_NAMES[store] || "Mattress Overstock";
+  const reviewLink = getReviewLink(store);
+  const storeName = getDisplayName(store);
 
   let message;
   if (reviewLink) {
@@ -518,20 +536,172 @@ async function processDeliveryComplete(webhookData) {
 
   // ─── Send review request ───
   try {
-    await sendSms(notification.phone, message);
+    const result = await sendSms(notification.phone, message, { notificationId: notification.id, purpose: "review_request" });
     console.log(`[Spoke] ✓ Review request sent to ${notification.customer_name} (${store})`);
     logActivity("review_request_sent", `Google review request sent to ${notification.customer_name} → ${storeName}`, notification.id);
 
     db.prepare(
-      "UPDATE notifications SET status = 'delivered', review_sent_at = ?, updated_at = ? WHERE id = ?"
-    ).run(new Date().toISOString(), new Date().toISOString(), notification.id);
+      "UPDATE notifications SET review_sent_at = ?, review_message_id = ?, review_carrier_status = 'accepted', review_carrier_status_at = ?, updated_at = ? WHERE id = ?"
+    ).run(new Date().toISOString(), result.messageId || null, new Date().toISOString(), new Date().toISOString(), notification.id);
 
   } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      console.log(`[Spoke] ${notification.customer_name} has opted out — no review request`);
+      return;
+    }
     console.error("[Spoke] Failed to send review request:", err.message);
     logActivity("review_request_failed", `Failed to send review request to ${notification.customer_name}: ${err.message}`, notification.id);
   }
 }
 
+// Spoke's deliveryInfo.state for a failed attempt
+const FAILURE_STATES = {
+  failed_not_home: "Customer not home",
+  failed_cant_find_address: "Couldn't find the address",
+  failed_no_parking: "No parking",
+  failed_no_time: "Driver ran out of time",
+  failed_package_not_available: "Package not available",
+  failed_missing_required_proof: "Missing required proof of delivery",
+  failed_payment_not_received: "Payment not received",
+  failed_other: "Other",
+};
+
+/**
+ * Spoke's reason for a failed attempt, with the driver's notes if any.
+ */
+function describeAttemptFailure(deliveryInfo) {
+  const state = deliveryInfo.state || "";
+  const reason = FAILURE_STATES[state] || (state ? state.replace(/^failed_/, "").replace(/_/g, " ") : "");
+  const notes = (deliveryInfo.driverProvidedInternalNotes || deliveryInfo.driverProvidedRecipientNotes || "").trim();
+  return [reason, notes].filter(Boolean).join(" — ") || "No reason given";
+}
+
+/**
+ * The driver couldn't deliver: record why, text the customer a "sorry we
+ * missed you" that opens the AI rescheduling conversation, and alert staff.
+ * A repeat event for the same attempt does nothing.
+ */
+async function processFailedAttempt(notification, deliveryInfo) {
+  const reason = describeAttemptFailure(deliveryInfo);
+  const attemptedAt = deliveryInfo.attemptedAt
+    ? new Date(typeof deliveryInfo.attemptedAt === "number" ? deliveryInfo.attemptedAt * 1000 : deliveryInfo.attemptedAt).toISOString()
+    : new Date().toISOString();
+
+  if (notification.delivery_status === "attempted_failed") {
+    console.log(`[Spoke] Failed attempt for ${notification.customer_name} already recorded — skipping`);
+    return;
+  }
+  const moved = transition(notification.id, "delivery", "attempted_failed", {
+    fields: { delivery_failure_reason: reason, delivery_attempted_at: attemptedAt },
+    reason,
+  });
+  if (!moved.ok) return;
+
+  console.log(`[Spoke] ✗ Delivery attempt failed for ${notification.customer_name}: ${reason}`);
+  logActivity("delivery_failed", `Delivery attempt failed for ${notification.customer_name}: ${reason}`, notification.id);
+
+  // ─── Tell the customer and start rescheduling ───
+  let followUp = "We could NOT text them — please call.";
+  const updated = db.prepare("SELECT * FROM notifications WHERE id = ?").get(notification.id);
+  try {
+    const resched = await startRescheduleConversation(updated, { reason: "missed" });
+    await sendSms(notification.phone, resched.reply, { notificationId: notification.id, purpose: "missed_delivery" });
+    logActivity("missed_delivery_sent", `"Sorry we missed you" sent to ${notification.customer_name}`, notification.id);
+    // No delivery rules for the store means no AI conversation — the text promised a call-back
+    const state = db.prepare("SELECT conversation_state FROM notifications WHERE id = ?").get(notification.id).conversation_state;
+    followUp = state === "rescheduling"
+      ? "Emma is rescheduling with them by text."
+      : "They were told someone will text them tomorrow after 10 AM to reschedule.";
+  } catch (err) {
+    if (err.code === "OPTED_OUT") {
+      console.log(`[Spoke] ${notification.customer_name} has opted out — no missed-delivery text`);
+    } else {
+      console.error("[Spoke] Failed to send missed-delivery text:", err.message);
+      logActivity("sms_failed", `Missed-delivery text to ${notification.customer_name} failed: ${err.message}`, notification.id);
+      openHandoff(notification, { reason: "text_failed", detail: `Missed-delivery text failed (${err.message}) — please call.` });
+    }
+    // Nobody is talking to them — don't leave the conversation open
+    db.prepare("UPDATE notifications SET conversation_state = 'none', updated_at = ? WHERE id = ? AND conversation_state = 'rescheduling'")
+      .run(new Date().toISOString(), notification.id);
+  }
+
+  // ─── Alert staff ───
+  const sent = await alertHumanNeeded(
+    notification,
+    `MISSED DELIVERY — ${notification.customer_name} (${notification.phone}), ${getDisplayName(notification.store)}: ${reason}. ${followUp}`
+  );
+  if (sent > 0) {
+    logActivity("staff_alert_sent", `Missed-delivery alert sent to ${sent} staff for ${notification.customer_name}`, notification.id);
+  }
+}
+
+/**
+ * Spoke ETA (epoch seconds) from a stop, or null.
+ */
+function getEtaTimestamp(stop) {
+  const eta = stop?.eta || {};
+  return eta.estimatedArrivalAt || eta.estimatedEarliestArrivalAt || null;
+}
+
+/**
+ * Process a stop.out_for_delivery event — the driver is heading to this
+ * stop next. Texts the customer "on the way, arriving around X".
+ */
+async function processOutForDelivery(webhookData) {
+  const stopId = webhookData.id;
+  console.log("[Spoke] Processing stop.out_for_delivery:", stopId);
+
+  if (webhookData.type === "start" || webhookData.type === "end") {
+    console.log(`[Spoke] Skipping depot stop (type: ${webhookData.type})`);
+    return;
+  }
+
+  const notification = stopId ? db.prepare("SELECT * FROM notifications WHERE spoke_stop_id = ?").get(stopId) : null;
+  if (!notification) {
+    console.log("[Spoke] No matching notification for out-for-delivery stop — skipping");
+    return;
+  }
+
+  // Webhook stops carry the ETA even though they strip PII; fetch only if it's missing
+  let etaTimestamp = getEtaTimestamp(webhookData);
+  if (!etaTimestamp) etaTimestamp = getEtaTimestamp(await spokeApiFetch(stopId));
+
+  await sendEnRouteText(notification, etaTimestamp);
+}
+
+/**
+ * Process a route.started event — the driver has left the depot. Fetches
+ * each of the route's stops for a live ETA and tells any customer whose
+ * ETA has moved outside their promised window.
+ */
+async function processRouteStarted(webhookData) {
+  const routeId = webhookData.id; // e.g., "plans/abc123/routes/def456"
+  console.log("[Spoke] Processing route.started:", routeId);
+  if (!routeId) return;
+
+  const notifications = db.prepare(
+    "SELECT * FROM notifications WHERE spoke_route_id = ? AND delivery_status IN ('queued', 'en_route') AND status != 'cancelled' ORDER BY raw_delivery_time ASC"
+  ).all(routeId);
+  if (notifications.length === 0) {
+    console.log("[Spoke] No open notifications on route", routeId);
+    return;
+  }
+  logActivity("route_started", `Route started with ${notifications.length} deliver${notifications.length === 1 ? "y" : "ies"} — checking ETAs`);
+
+  let lookupFailures = 0;
+  for (const notification of notifications) {
+    const stop = notification.spoke_stop_id ? await spokeApiFetch(notification.spoke_stop_id) : null;
+    if (!stop) {
+      if (process.env.SPOKE_API_KEY && notification.spoke_stop_id) lookupFailures++;
+      continue;
+    }
+    await checkLiveEta(notification, getEtaTimestamp(stop));
+  }
+
+  // Stops already checked won't re-text (the new window is the promise), so a retry is safe
+  if (lookupFailures > 0) throw new Error(`Spoke API lookup failed for ${lookupFailures} stop(s) on ${routeId}`);
+}
+
 /**
  * Process a manually sent test stop (our custom format)
  */
@@ -650,4 +820,4 @@ function trackPlan(spokeStopId, deliveryDate) {
   }
 }
 
-module.exports = { handleSpokeWebhook };
+module.exports = { handleSpokeWebhook, handleTestStops };
@@ -0,0 +1,185 @@
+/**
+ * Webhook Verification
+ *
+ * Express middleware that authenticates inbound Spoke and Quo webhooks
+ * before they reach a handler.
+ *
+ * SPOKE (Circuit):
+ *   Header circuit-signature = hex HMAC-SHA256 of the raw body, keyed with
+ *   SPOKE_WEBHOOK_SECRET. Freshness comes from the payload's `created`
+ *   timestamp — a signed event without one is rejected, since the dedup
+ *   table only remembers IDs for EVENT_RETENTION_DAYS and a captured
+ *   payload could be replayed after that. Event ID = payload.id, or a hash
+ *   of the body.
+ *
+ * QUO (OpenPhone):
+ *   Header openphone-signature = "hmac;1;<timestamp ms>;<base64 digest>"
+ *   Digest = HMAC-SHA256 of "<timestamp>.<raw body>", keyed with the
+ *   base64-decoded QUO_WEBHOOK_SECRET. Event ID = payload.id.
+ *
+ * Every accepted event ID is recorded in webhook_events; a repeat is
+ * acknowledged with 200 (so the sender stops retrying) but not processed.
+ * Stale timestamps older than settings.webhook_max_age_seconds are rejected.
+ *
+ * If a secret is not set, that source is not signature-checked (local dev),
+ * matching how requireAuth treats a missing ADMIN_PASSWORD. Dedup still applies.
+ *
+ * Every rejection is written to activity_log as 'webhook_rejected'.
+ */
+
+const crypto = require("crypto");
+const db = require("../database");
+
+const EVENT_RETENTION_DAYS = 7;
+const warnedUnsigned = new Set();
+
+function logActivity(type, detail, notificationId = null) {
+  db.prepare("INSERT INTO activity_log (type, detail, notification_id, created_at) VALUES (?, ?, ?, ?)").run(
+    type, detail, notificationId, new Date().toISOString()
+  );
+}
+
+function getMaxAgeSeconds() {
+  const row = db.prepare("SELECT value FROM settings WHERE key = 'webhook_max_age_seconds'").get();
+  const value = parseInt(row?.value, 10);
+  return Number.isFinite(value) && value > 0 ? value : 300;
+}
+
+/**
+ * Constant-time compare of two strings (false on length mismatch).
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Normalize a seconds-or-milliseconds epoch (or ISO string) to ms.
+ */
+function toEpochMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n < 1e12 ? n * 1000 : n;
+  }
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function isStale(timestampMs) {
+  if (timestampMs === null) return false;
+  return Math.abs(Date.now() - timestampMs) > getMaxAgeSeconds() * 1000;
+}
+
+// ─── Per-source signature checks ─────────────────────────
+// Each returns { ok, reason, timestampMs }.
+
+function verifySpokeSignature(rawBody, headers, payload) {
+  const secret = process.env.SPOKE_WEBHOOK_SECRET;
+  const timestampMs = toEpochMs(payload?.created ?? payload?.createdAt);
+  if (!secret) return { ok: true, unsigned: true, timestampMs };
+
+  const signature = headers["circuit-signature"] || headers["x-spoke-signature"];
+  if (!signature) return { ok: false, reason: "missing signature header" };
+
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  if (!safeEqual(String(signature).replace(/^sha256=/, "").toLowerCase(), expected)) {
+    return { ok: false, reason: "signature mismatch" };
+  }
+  if (timestampMs === null) return { ok: false, reason: "missing created timestamp" };
+  return { ok: true, timestampMs };
+}
+
+function verifyQuoSignature(rawBody, headers) {
+  const secret = process.env.QUO_WEBHOOK_SECRET;
+  const header = headers["openphone-signature"] || headers["quo-signature"];
+  const parts = header ? String(header).split(";") : [];
+  const timestampMs = parts.length === 4 ? toEpochMs(parts[2]) : null;
+  if (!secret) return { ok: true, unsigned: true, timestampMs };
+
+  if (!header) return { ok: false, reason: "missing signature header" };
+  if (parts.length !== 4 || parts[0] !== "hmac") return { ok: false, reason: "malformed signature header" };
+
+  const [, , timestamp, digest] = parts;
+  const signedData = Buffer.concat([Buffer.from(`${timestamp}.`), rawBody]);
+  const expected = crypto
+    .createHmac("sha256", Buffer.from(secret, "base64"))
+    .update(signedData)
+    .digest("base64");
+  if (!safeEqual(digest, expected)) return { ok: false, reason: "signature mismatch" };
+  return { ok: true, timestampMs };
+}
+
+const VERIFIERS = {
+  spoke: { label: "Spoke", secretEnv: "SPOKE_WEBHOOK_SECRET", verify: verifySpokeSignature },
+  quo: { label: "Quo", secretEnv: "QUO_WEBHOOK_SECRET", verify: verifyQuoSignature },
+};
+
+// ─── Replay protection ───────────────────────────────────
+
+function getEventId(payload, rawBody) {
+  if (payload && !Array.isArray(payload) && payload.id) return String(payload.id);
+  return "sha256:" + crypto.createHash("sha256").update(rawBody).digest("hex");
+}
+
+/**
+ * Record an event ID. Returns false if it was already seen.
+ */
+function claimEvent(source, eventId) {
+  const cutoff = new Date(Date.now() - EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  db.prepare("DELETE FROM webhook_events WHERE received_at < ?").run(cutoff);
+
+  const result = db.prepare(
+    "INSERT OR IGNORE INTO webhook_events (source, event_id, received_at) VALUES (?, ?, ?)"
+  ).run(source, eventId, new Date().toISOString());
+  return result.changes > 0;
+}
+
+function logRejection(source, reason) {
+  const { label } = VERIFIERS[source];
+  console.warn(`[Webhook] Rejected ${label} webhook: ${reason}`);
+  logActivity("webhook_rejected", `${label} webhook rejected: ${reason}`);
+}
+
+/**
+ * Middleware: authenticate a webhook for the given source ("spoke" | "quo").
+ * Requires express.json() to have captured req.rawBody.
+ */
+function verifyWebhook(source) {
+  const { label, secretEnv, verify } = VERIFIERS[source];
+
+  return (req, res, next) => {
+    const rawBody = req.rawBody || Buffer.from("");
+    const check = verify(rawBody, req.headers, req.body);
+
+    if (!check.ok) {
+      logRejection(source, check.reason);
+      return res.status(401).json({ error: "Webhook rejected", reason: check.reason });
+    }
+
+    if (check.unsigned && !warnedUnsigned.has(source)) {
+      warnedUnsigned.add(source);
+      console.warn(`[Webhook] ${secretEnv} not set — accepting unsigned ${label} webhooks`);
+    }
+
+    if (isStale(check.timestampMs)) {
+      const reason = `stale timestamp (${new Date(check.timestampMs).toISOString()})`;
+      logRejection(source, reason);
+      return res.status(401).json({ error: "Webhook rejected", reason });
+    }
+
+    // Duplicates get a 200 so the sender stops retrying — they're just not processed
+    const eventId = getEventId(req.body, rawBody);
+    if (!claimEvent(source, eventId)) {
+      logRejection(source, `duplicate event ${eventId.substring(0, 40)}`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+
+    req.webhookEventId = eventId;
+    next();
+  };
+}
+
+module.exports = { verifyWebhook };